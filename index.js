@@ -7,9 +7,9 @@ const cors = require('cors');
 const { Server } = require('socket.io');
 const fs = require('fs');
 const path = require('path');
-const axios = require('axios');
 const os = require('os');
 const { exec } = require('child_process');
+const { PassThrough } = require('stream');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcrypt');
 
@@ -38,136 +38,430 @@ app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 
 // Import enhanced models
-const { User, Project, Activity, Session } = require('./models/User');
+const { Project, Activity, Session } = require('./models/User');
 
 // Import database service
 const databaseService = require('./services/database');
 
+// Import operational transform engine for merging concurrent edits
+const { MAX_OPERATION_SIZE, TextOperation, parseOperation, transformAgainstHistory, recordOperation, lengthAtRevision } = require('./services/operationalTransform');
+
+// Import code execution backends
+const { createExecutionBackend, languageMap, getFileName, parseCompilerDiagnostics } = require('./services/execution');
+const { ExecutionQueue } = require('./services/executionQueue');
+const { recordExecution, listExecutions } = require('./services/executionHistory');
+const { normalizeTestCases, parseTestFile, runTestCases } = require('./services/testRunner');
+
+// Import session persistence
+const { createSessionStore, serializeSession, deserializeSession } = require('./services/sessionStore');
+
+// Import file version history
+const { createFileVersionStore, recordFileVersion, listFileVersions, getFileVersion, diffFileVersions } = require('./services/fileVersions');
+
+// Import refresh token rotation
+const { RefreshTokenStore } = require('./services/refreshTokens');
+
+// Import user accounts
+const { createUserRepository } = require('./services/userRepository');
+
+// Import named session invites
+const {
+  generateInviteKey,
+  createInvite,
+  findInviteByKey,
+  assertInviteUsable,
+  assertInviteRecipient,
+  findInvitationsForEmail,
+  describeInvite
+} = require('./services/sessionInvites');
+
+// Import session permission evaluation
+const {
+  ACTION_CAPABILITIES,
+  getSessionRole,
+  listSessionRoles,
+  defineSessionRole,
+  deleteSessionRole,
+  assignSessionRole,
+  normalizeAccessAssignment,
+  applyAccessAssignment,
+  grantsPermissionManagement,
+  setPendingPermissions,
+  takePendingPermissions,
+  getMemberRole,
+  getUserPermissions,
+  normalizePathRules,
+  normalizeSessionPath,
+  sessionFileKey,
+  canReadPath,
+  isSessionOwner,
+  isSessionMember,
+  setMemberGrant,
+  removeSessionMember,
+  hasCapability,
+  checkPermission
+} = require('./services/permissions');
+
+// Import outgoing mail
+const { createMailTransport } = require('./services/mail');
+
+// Import REST and socket authentication middleware
+const { createAuthMiddleware, sendAuthError, normalizeGuestName } = require('./middleware/auth');
+const { createSocketAuthMiddleware, applyGuestIdentity, applyUserIdentity, getGuestPolicyError } = require('./middleware/socketAuth');
+const { createTokenVerifier } = require('./services/tokenVerifier');
+
 // JWT secret key (in production, use environment variable)
 const JWT_SECRET = process.env.JWT_SECRET || 'codecollab-enhanced-secret-key';
-
-// Token verification helper function
-const verifyToken = async (token) => {
-  // Validate token format
-  if (!token || typeof token !== 'string' || token.trim().length === 0) {
-    throw new Error('Invalid token format');
+const JWT_AUDIENCE = process.env.JWT_AUDIENCE || undefined;
+const JWT_ISSUER = process.env.JWT_ISSUER || undefined;
+
+// AUTH_MODE=strict (default) only accepts verified Firebase tokens and signed,
+// unexpired JWTs. AUTH_MODE=dev-unsigned also accepts unsigned development tokens
+// whose payload has sub and email - never use it where the server is reachable.
+const AUTH_MODE = (process.env.AUTH_MODE || 'strict').toLowerCase();
+if (!['strict', 'dev-unsigned'].includes(AUTH_MODE)) {
+  throw new Error(`Unknown AUTH_MODE: ${AUTH_MODE} (expected strict or dev-unsigned)`);
+}
+if (process.env.NODE_ENV === 'production') {
+  if (AUTH_MODE !== 'strict') {
+    throw new Error('AUTH_MODE=dev-unsigned is not allowed when NODE_ENV=production');
   }
-
-  // Clean token (remove any whitespace/newlines)
-  const cleanToken = token.trim();
-
-  // First, try to verify as Firebase token
-  if (admin) {
-    try {
-      const decodedToken = await admin.auth().verifyIdToken(cleanToken);
-      return {
-        type: 'firebase',
-        decoded: decodedToken,
-        userId: decodedToken.uid,
-        email: decodedToken.email,
-        name: decodedToken.name || decodedToken.email?.split('@')[0] || 'User'
-      };
-    } catch (firebaseError) {
-      // If Firebase verification fails, try JWT
-      console.log(`🔍 Token is not a valid Firebase token (${firebaseError.code}), trying JWT...`);
-    }
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET must be set when NODE_ENV=production');
   }
+}
+if (AUTH_MODE === 'dev-unsigned') {
+  console.warn('⚠️ AUTH_MODE=dev-unsigned - unsigned development tokens are accepted');
+}
 
-  // Try to verify as JWT token
-  try {
-    const decoded = jwt.verify(cleanToken, JWT_SECRET, { algorithms: ['HS256', 'RS256'] }); // Allow both algorithms
-    return {
-      type: 'jwt',
-      decoded: decoded,
-      userId: decoded.sub,
-      email: decoded.email,
-      name: decoded.name || decoded.email?.split('@')[0] || 'User'
-    };
-  } catch (jwtError) {
-    console.log(`🔍 JWT verification failed: ${jwtError.message}`);
-    
-    // Check if this is a demo token (fallback for development) or Google/Firebase token
-    try {
-      const tokenParts = cleanToken.split('.');
-      if (tokenParts.length === 3) {
-        const payload = JSON.parse(Buffer.from(tokenParts[1], 'base64').toString('utf8'));
-        
-        // Accept any valid JWT structure for development/demo purposes
-        if (payload.sub && payload.email) {
-          console.log(`🔍 Accepting demo/development token for: ${payload.email}`);
-          return {
-            type: 'demo-jwt',
-            decoded: payload,
-            userId: payload.sub,
-            email: payload.email,
-            name: payload.name || payload.email?.split('@')[0] || 'User'
-          };
-        }
-      }
-    } catch (demoError) {
-      console.log(`🔍 Demo token parsing failed: ${demoError.message}`);
-    }
-    
-    throw new Error(`Invalid token: Neither Firebase nor JWT verification succeeded (Firebase: ${admin ? 'available' : 'not configured'}, JWT: ${jwtError.message})`);
-  }
-};
+// GUEST_POLICY decides what happens to clients without a valid token:
+// anonymous (default) - they continue as "Guest User"
+// named - they continue as a guest under the guestName they send
+// reject - they are turned away
+const GUEST_POLICY = (process.env.GUEST_POLICY || 'anonymous').toLowerCase();
+if (!['anonymous', 'named', 'reject'].includes(GUEST_POLICY)) {
+  throw new Error(`Unknown GUEST_POLICY: ${GUEST_POLICY} (expected anonymous, named or reject)`);
+}
+
+// User accounts (USER_STORE=json|postgres|memory)
+const userRepository = createUserRepository({
+  type: process.env.USER_STORE || 'json',
+  filePath: process.env.USER_STORE_PATH,
+  databaseUrl: process.env.DATABASE_URL
+});
 
 // In-memory stores (in production, use a proper database)
-const users = new Map();
 const projects = new Map();
 const activities = [];
-const refreshTokens = new Set();
+
+// Short-lived access tokens are renewed with rotating refresh tokens
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const refreshTokens = new RefreshTokenStore({
+  ttl: (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000,
+  filePath: process.env.REFRESH_TOKEN_STORE === 'memory'
+    ? null
+    : process.env.REFRESH_TOKEN_STORE_PATH || path.join(__dirname, 'data', 'refresh-tokens.json')
+});
+
+// Token verification for REST requests and sockets
+const verifyToken = createTokenVerifier({
+  firebaseAuth: admin ? admin.auth() : null,
+  jwtSecret: JWT_SECRET,
+  audience: JWT_AUDIENCE,
+  issuer: JWT_ISSUER,
+  authMode: AUTH_MODE,
+  isFamilyRevoked: (familyId) => refreshTokens.isFamilyRevoked(familyId)
+});
+
+// Helper function to find the user a verified token belongs to. Firebase users
+// and users of signed (or, in dev-unsigned mode, development) JWTs get a user
+// account on first use.
+const resolveUserFromToken = (tokenInfo) => userRepository.findOrCreateFromToken(tokenInfo);
+
+// REST authentication: authenticate('required' | 'optional' | 'guest') sets req.user
+const { authenticate, requireRole } = createAuthMiddleware({
+  verifyToken,
+  resolveUser: resolveUserFromToken,
+  guestPolicy: GUEST_POLICY
+});
 
 // Session/Room management for private collaboration
 const collaborationSessions = new Map(); // sessionId -> session data
 const sessionInviteKeys = new Map(); // inviteKey -> sessionId
+
+// Mail for email invitations (MAIL_TRANSPORT=console|file|smtp)
+const mailTransport = createMailTransport({
+  type: process.env.MAIL_TRANSPORT || 'console',
+  from: process.env.MAIL_FROM,
+  directory: process.env.MAIL_DIR
+});
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
 const sessionUsers = new Map(); // sessionId -> Set of connected users
 
-// Initialize enhanced demo users
-const initializeDemoUsers = async () => {
+// Session persistence (SESSION_STORE=json|memory) so sessions survive restarts
+const sessionStore = createSessionStore({
+  type: process.env.SESSION_STORE || 'json',
+  directory: process.env.SESSION_STORE_PATH
+});
+const SESSION_SAVE_DELAY = 1000; // Debounce so bursts of edits are written once
+const pendingSessionSaves = new Map(); // sessionId -> timeout
+
+// File versions (FILE_VERSION_STORE=postgres|session); the postgres store
+// writes them to the file_versions table instead of the session snapshot
+const fileVersionStore = createFileVersionStore({
+  type: process.env.FILE_VERSION_STORE,
+  databaseUrl: process.env.DATABASE_URL
+});
+
+// Helper function to serialize a session for the session store
+const snapshotSession = (session) => {
+  const data = serializeSession(session);
+  if (fileVersionStore.persistsVersions) {
+    delete data.fileVersions;
+  }
+  return data;
+};
+
+// Helper function to snapshot a session to the session store after it changes
+const persistSession = (session) => {
+  if (!session || pendingSessionSaves.has(session.id)) return;
+
+  pendingSessionSaves.set(session.id, setTimeout(() => {
+    pendingSessionSaves.delete(session.id);
+    if (!collaborationSessions.has(session.id)) return;
+
+    sessionStore.save(snapshotSession(session)).catch(error => {
+      console.error(`❌ Failed to persist session ${session.id}:`, error.message);
+    });
+  }, SESSION_SAVE_DELAY));
+};
+
+// Helper function to write all pending session snapshots immediately
+const flushSessionSaves = () => {
+  const saves = [];
+  for (const [sessionId, timeout] of pendingSessionSaves.entries()) {
+    clearTimeout(timeout);
+    pendingSessionSaves.delete(sessionId);
+    const session = collaborationSessions.get(sessionId);
+    if (session) {
+      saves.push(sessionStore.save(snapshotSession(session)).catch(error => {
+        console.error(`❌ Failed to persist session ${sessionId}:`, error.message);
+      }));
+    }
+  }
+  return Promise.all(saves);
+};
+
+// Helper function to remove a session from memory and from the session store
+const discardCollaborationSession = (session) => {
+  collaborationSessions.delete(session.id);
+  sessionInviteKeys.delete(session.inviteKey);
+  for (const invite of session.invites.values()) {
+    sessionInviteKeys.delete(invite.key);
+  }
+  sessionUsers.delete(session.id);
+
+  clearTimeout(pendingSessionSaves.get(session.id));
+  pendingSessionSaves.delete(session.id);
+  clearTimeout(emptySessionTimers.get(session.id));
+  emptySessionTimers.delete(session.id);
+  executionQueue.clear(session.id);
+  sessionStore.remove(session.id).catch(error => {
+    console.error(`❌ Failed to remove stored session ${session.id}:`, error.message);
+  });
+};
+
+// Demo accounts with well-known passwords are only created with DEMO_MODE=true
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+
+// Helper function to create the demo accounts that do not exist yet
+const seedDemoUsers = async () => {
+  const demoUsersData = [
+    { id: '1', name: 'Admin User', email: 'admin@codecollab.com', role: 'admin', password: 'admin123' },
+    { id: '2', name: 'Demo User', email: 'user@codecollab.com', role: 'user', password: 'user123' },
+    { id: 'test-user-123', name: 'Test User', email: 'test@codecollab.com', role: 'user', password: 'user123' }
+  ];
+
+  let created = 0;
+  for (const { password, ...userData } of demoUsersData) {
+    if (await userRepository.findByEmail(userData.email)) continue;
+    await userRepository.create({
+      ...userData,
+      provider: 'local',
+      passwordHash: await bcrypt.hash(password, 10)
+    });
+    created++;
+  }
+  console.log(`🌱 DEMO_MODE: ${created} demo user(s) created`);
+};
+
+// Helper function to load user accounts (and the demo accounts in DEMO_MODE)
+const initializeUsers = async () => {
   try {
-    const demoUsersData = [
-      {
-        id: '1',
-        name: 'Admin User',
-        email: 'admin@codecollab.com',
-        role: 'admin'
-      },
-      {
-        id: '2',
-        name: 'Demo User',
-        email: 'user@codecollab.com',
-        role: 'user'
-      },
-      {
-        id: 'test-user-123',
-        name: 'Test User',
-        email: 'test@codecollab.com',
-        role: 'user'
+    const count = await userRepository.initialize();
+    console.log(`👤 Loaded ${count} user account(s)`);
+    if (DEMO_MODE) {
+      if (process.env.NODE_ENV === 'production') {
+        console.warn('⚠️ DEMO_MODE is enabled in production - demo accounts have well-known passwords');
       }
-    ];
-
-    for (const userData of demoUsersData) {
-      const user = new User(userData);
-      await user.hashPassword(userData.email === 'admin@codecollab.com' ? 'admin123' : 'user123');
-      users.set(user.email, user);
+      await seedDemoUsers();
     }
-    
-    console.log('✅ Enhanced demo users initialized with models');
   } catch (error) {
-    console.error('❌ Error initializing demo users:', error);
+    console.error('❌ Error initializing user accounts:', error);
   }
 };
 
-// Initialize demo users
-initializeDemoUsers();
-
 // Import routes
 const authRoutes = require('./routes/auth');
+const { createAdminRouter } = require('./routes/admin');
 
 // Use routes
 app.use('/api/auth', authRoutes);
 
+// Helper function to sign a short-lived access token. familyId ties it to the
+// refresh token family of the sign-in, so revoking the family revokes it too.
+const signAccessToken = (user, familyId) => {
+  return jwt.sign(
+    { sub: user.id, email: user.email, name: user.name, role: user.role, fid: familyId, type: 'access' },
+    JWT_SECRET,
+    {
+      algorithm: 'HS256',
+      expiresIn: ACCESS_TOKEN_TTL,
+      ...(JWT_AUDIENCE ? { audience: JWT_AUDIENCE } : {}),
+      ...(JWT_ISSUER ? { issuer: JWT_ISSUER } : {})
+    }
+  );
+};
+
+// Helper function to build the token pair returned to clients
+const createTokenResponse = (user, { refreshToken, familyId, expiresAt }) => {
+  const accessToken = signAccessToken(user, familyId);
+  return {
+    success: true,
+    tokenType: 'Bearer',
+    accessToken,
+    accessTokenExpiresAt: jwt.decode(accessToken).exp * 1000,
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+};
+
+// Helper function to disconnect a user's sockets after they sign out (or an
+// admin removes them). With a familyId, sockets that were opened with tokens of
+// other sign-ins stay connected.
+const disconnectUserSockets = (userId, familyId = null, reason = 'Signed out') => {
+  let disconnected = 0;
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.userId !== userId) continue;
+    if (familyId && socket.tokenFamilyId && socket.tokenFamilyId !== familyId) continue;
+
+    socket.emit('logged_out', { reason, timestamp: Date.now() });
+    socket.disconnect(true);
+    disconnected++;
+  }
+  return disconnected;
+};
+
+// Helper middleware to authenticate a sign-in with its primary credential:
+// { email, password } in the body, or a Firebase ID token (or login JWT) as
+// bearer token. Access tokens issued below are refused, otherwise a stolen
+// access token could be turned into a refresh token that outlives it.
+const authenticateSignIn = async (req, res, next) => {
+  const { email, password } = req.body || {};
+
+  if (email === undefined && password === undefined) {
+    authenticate('required')(req, res, () => {
+      const decoded = req.tokenInfo.decoded || {};
+      if (decoded.fid || decoded.type === 'access') {
+        sendAuthError(res, 401, 'PRIMARY_CREDENTIAL_REQUIRED', 'Sign in with your login credentials, not an access token');
+        return;
+      }
+      next();
+    });
+    return;
+  }
+
+  if (typeof email !== 'string' || typeof password !== 'string') {
+    sendAuthError(res, 400, 'INVALID_CREDENTIALS', 'Email and password are required');
+    return;
+  }
+  try {
+    const user = await userRepository.findByEmail(email);
+    if (!user || !user.passwordHash || !(await bcrypt.compare(password, user.passwordHash))) {
+      sendAuthError(res, 401, 'INVALID_CREDENTIALS', 'Invalid email or password');
+      return;
+    }
+    if (user.isActive === false) {
+      sendAuthError(res, 403, 'USER_INACTIVE', 'User account is inactive');
+      return;
+    }
+    req.user = user;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Access/refresh token endpoints
+// Exchange a primary credential for an access token and a refresh token
+app.post('/api/auth/token', authenticateSignIn, (req, res) => {
+  try {
+    const issued = refreshTokens.issue(req.user.id);
+    console.log(`🔑 Issued refresh token for ${req.user.email}`);
+    res.json(createTokenResponse(req.user, issued));
+  } catch (error) {
+    console.error('Error issuing tokens:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Trade a refresh token for a new pair; a reused refresh token revokes its whole family
+app.post('/api/auth/token/refresh', async (req, res) => {
+  const { refreshToken } = req.body || {};
+
+  try {
+    const rotated = refreshTokens.rotate(refreshToken);
+    const user = await userRepository.findById(rotated.userId);
+    if (!user || user.isActive === false) {
+      refreshTokens.revokeFamily(rotated.familyId);
+      sendAuthError(res, 401, 'USER_INACTIVE', 'User not found or inactive');
+      return;
+    }
+
+    res.json(createTokenResponse(user, rotated));
+  } catch (error) {
+    if (error.code === 'REFRESH_TOKEN_REUSED') {
+      console.warn(`⚠️ Refresh token reuse detected - token family revoked`);
+    }
+    if (error.code) {
+      sendAuthError(res, 401, error.code, error.message);
+      return;
+    }
+    console.error('Error refreshing tokens:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Sign out: revoke the refresh token (or, with allDevices, every sign-in of the
+// user) and disconnect the affected sockets
+app.post('/api/auth/token/revoke', (req, res) => {
+  const { refreshToken, allDevices = false } = req.body || {};
+
+  const revoked = refreshTokens.revoke(refreshToken);
+  if (!revoked) {
+    sendAuthError(res, 401, 'INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    return;
+  }
+
+  if (allDevices) {
+    refreshTokens.revokeUser(revoked.userId);
+  }
+  const disconnected = disconnectUserSockets(revoked.userId, allDevices ? null : revoked.familyId);
+  console.log(`🚪 User ${revoked.userId} signed out${allDevices ? ' everywhere' : ''} (${disconnected} socket(s) disconnected)`);
+
+  res.json({ success: true, message: 'Signed out', disconnectedSockets: disconnected });
+});
+
 // Serve static files from the React app build directory
 const buildPath = path.join(__dirname, '..', 'client', 'build');
 app.use(express.static(buildPath));
@@ -182,111 +476,113 @@ const io = new Server(server, {
   }
 });
 
-// Socket authentication middleware with enhanced user models and session support
-io.use(async (socket, next) => {
-  const token = socket.handshake.auth.token;
-  const sessionId = socket.handshake.auth.sessionId;
-  const inviteKey = socket.handshake.auth.inviteKey;
-  
-  // For now, we'll allow connections but validate session access later
-  if (!token || token === 'null' || token === 'undefined') {
-    console.log(`⚠️ Socket connection as guest - No token provided`);
-    // Allow guest access with limited permissions
-    socket.userId = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    socket.userEmail = 'guest@codecollab.com';
-    socket.userName = 'Guest User';
-    socket.userRole = 'guest';
-    socket.userAvatar = null;
-    socket.authenticated = false;
-    socket.tokenType = 'guest';
-    socket.sessionId = null; // Will be set when joining a session
-    return next();
+// Socket token expiry: clients get token_expiring before their token lapses and
+// can send a fresh token with reauthenticate. Otherwise the socket is
+// disconnected (SOCKET_EXPIRY_ACTION=disconnect, the default) or downgraded to a
+// guest that has left its session (SOCKET_EXPIRY_ACTION=downgrade).
+const SOCKET_EXPIRY_ACTION = process.env.SOCKET_EXPIRY_ACTION === 'downgrade' ? 'downgrade' : 'disconnect';
+const TOKEN_EXPIRY_WARNING = (parseInt(process.env.TOKEN_EXPIRY_WARNING_SECONDS) || 300) * 1000;
+const MAX_TIMER_DELAY = 2147483647; // Longest delay setTimeout supports
+
+const clearTokenExpiry = (socket) => {
+  clearTimeout(socket.tokenWarningTimer);
+  clearTimeout(socket.tokenExpiryTimer);
+};
+
+// Helper function to (re)start the expiry timers of an authenticated socket
+const scheduleTokenExpiry = (socket) => {
+  clearTokenExpiry(socket);
+  if (!socket.authenticated || !socket.tokenExpiresAt) return;
+
+  const expiresAt = socket.tokenExpiresAt;
+  const untilWarning = expiresAt - TOKEN_EXPIRY_WARNING - Date.now();
+  const warn = () => socket.emit('token_expiring', {
+    expiresAt,
+    expiresIn: Math.max(0, expiresAt - Date.now()),
+    timestamp: Date.now()
+  });
+  if (untilWarning <= 0) {
+    warn();
+  } else if (untilWarning <= MAX_TIMER_DELAY) {
+    socket.tokenWarningTimer = setTimeout(warn, untilWarning);
   }
 
-  try {
-    console.log(`🔍 Attempting to verify token for socket connection: ${token.substring(0, 20)}...`);
-    const tokenInfo = await verifyToken(token);
-    
-    // Get or create user based on token type
-    let user;
-    if (tokenInfo.type === 'firebase') {
-      // For Firebase users, get or create user record
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      
-      if (!user) {
-        // Create new user for Firebase authentication
-        const newUser = new User({
-          id: tokenInfo.userId,
-          name: tokenInfo.name,
-          email: tokenInfo.email,
-          role: 'user',
-          provider: 'google'
-        });
-        users.set(tokenInfo.email, newUser);
-        user = newUser;
-        console.log(`✅ Created new user from Firebase auth: ${user.name}`);
-      }
-    } else {
-      // For JWT tokens, find existing user or auto-create for demo tokens
-      user = users.get(tokenInfo.email);
-      if (!user && (tokenInfo.type === 'demo-jwt' || tokenInfo.type === 'jwt')) {
-        // Auto-create user for demo/development tokens
-        user = {
-          id: tokenInfo.userId,
-          email: tokenInfo.email,
-          name: tokenInfo.name,
-          role: 'user',
-          createdAt: new Date().toISOString(),
-          isActive: true,
-          updateActivity: function() {
-            this.lastActive = new Date().toISOString();
-          }
-        };
-        users.set(tokenInfo.email, user);
-        console.log(`✅ Auto-created user for demo/development socket: ${tokenInfo.email}`);
-      }
-      
-      if (!user || !user.isActive) {
-        console.log(`⚠️ Socket connection rejected - User not found or inactive:`, tokenInfo.email);
-        return next(new Error('User not found or inactive'));
-      }
+  socket.tokenExpiryTimer = setTimeout(() => {
+    // Far-off expiry times are reached in several steps
+    if (Date.now() < expiresAt) {
+      scheduleTokenExpiry(socket);
+      return;
     }
+    expireSocketToken(socket);
+  }, Math.min(Math.max(0, expiresAt - Date.now()), MAX_TIMER_DELAY));
+};
+
+// Helper function to take a socket out of its session and notify the other members
+const removeSocketFromSession = (socket, reason) => {
+  const session = socket.sessionId && collaborationSessions.get(socket.sessionId);
+  if (!session) return null;
+
+  socket.leave(session.id);
+  leaveSession(session.id, socket.userId, {
+    id: socket.userId,
+    name: socket.userName,
+    email: socket.userEmail,
+    avatar: socket.userAvatar,
+    role: socket.userRole
+  });
 
-    // Update user activity
-    user.updateActivity();
+  socket.to(session.id).emit('user_left_session', {
+    userId: socket.userId,
+    userName: socket.userName,
+    sessionId: session.id,
+    userCount: session.connectedUsers.size,
+    reason,
+    timestamp: Date.now()
+  });
+  io.to(session.id).emit('session_update', {
+    sessionId: session.id,
+    userCount: session.connectedUsers.size,
+    timestamp: Date.now()
+  });
 
-    socket.userId = user.id;
-    socket.userEmail = user.email;
-    socket.userName = user.name;
-    socket.userRole = user.role;
-    socket.userAvatar = user.avatar;
-    socket.authenticated = true;
-    socket.tokenType = tokenInfo.type;
-    socket.sessionId = null; // Will be set when joining a session
+  socket.sessionId = null;
+  return session;
+};
 
-    console.log(`✅ Socket authenticated for user: ${user.name} (${user.email}) - Role: ${user.role} - Token: ${tokenInfo.type}`);
-    next();
-    
-  } catch (error) {
-    console.log(`⚠️ Socket connection rejected - Token verification failed:`, error.message);
-    console.log(`⚠️ Token details: Type=${typeof token}, Length=${token?.length}, Value=${token?.substring(0, 50)}...`);
-    
-    // Allow connection as guest if token verification fails
-    console.log(`🔓 Allowing connection as guest due to token verification failure`);
-    socket.userId = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-    socket.userEmail = 'guest@codecollab.com';
-    socket.userName = 'Guest User';
-    socket.userRole = 'guest';
-    socket.userAvatar = null;
-    socket.authenticated = false;
-    socket.tokenType = 'guest';
-    socket.sessionId = null;
-    return next();
+// Helper function to apply SOCKET_EXPIRY_ACTION to a socket whose token lapsed.
+// Sockets are only downgraded when GUEST_POLICY lets them continue as a guest;
+// otherwise they are disconnected.
+const expireSocketToken = (socket) => {
+  const guestName = socket.handshake.auth.guestName;
+  const action = SOCKET_EXPIRY_ACTION === 'downgrade' && !getGuestPolicyError(GUEST_POLICY, guestName)
+    ? 'downgrade'
+    : 'disconnect';
+  console.log(`⌛ Token expired for socket of ${socket.userName} (${socket.id}) - ${action}`);
+  socket.emit('token_expired', { action, timestamp: Date.now() });
+
+  if (action === 'downgrade') {
+    const expiredUserId = socket.userId;
+    removeSocketFromSession(socket, 'token_expired');
+    applyGuestIdentity(socket, GUEST_POLICY === 'named' ? normalizeGuestName(guestName) : null);
+    socket.expiredUserId = expiredUserId; // Only this user can reauthenticate the socket
+  } else {
+    socket.disconnect(true);
   }
+};
+
+// Socket authentication: verified users get their identity, everyone else
+// is subject to GUEST_POLICY
+const { authenticateSocket } = createSocketAuthMiddleware({
+  verifyToken,
+  resolveUser: resolveUserFromToken,
+  guestPolicy: GUEST_POLICY,
+  onAuthenticated: (user) => userRepository.setOnline(user.id, true)
 });
+io.use(authenticateSocket);
 
 let currentCode = ''; // This will hold the shared code
 let virtualFileStore = new Map(); // In-memory virtual file system
+const virtualFileVersions = new Map(); // Version history for virtual file system files
 
 // Performance monitoring variables
 let connectedClients = new Set();
@@ -302,34 +598,19 @@ let performanceMetrics = {
 };
 let monitoringInterval = null;
 
-// Piston API configuration
-const PISTON_API_URL = 'https://emkc.org/api/v2/piston';
-
-// Language mapping for Piston API
-const languageMap = {
-  'javascript': { language: 'javascript', version: '18.15.0' },
-  'python': { language: 'python', version: '3.10.0' },
-  'java': { language: 'java', version: '15.0.2' },
-  'cpp': { language: 'cpp', version: '10.2.0' },
-  'c': { language: 'c', version: '10.2.0' },
-  'typescript': { language: 'typescript', version: '5.0.3' },
-  'php': { language: 'php', version: '8.2.3' },
-  'ruby': { language: 'ruby', version: '3.0.1' },
-  'go': { language: 'go', version: '1.16.2' },
-  'rust': { language: 'rust', version: '1.68.2' },
-  'kotlin': { language: 'kotlin', version: '1.8.20' },
-  'swift': { language: 'swift', version: '5.3.3' },
-  'csharp': { language: 'csharp', version: '6.12.0' }
-};
+// Code execution backend (EXECUTION_BACKEND=piston|local)
+const executionBackend = createExecutionBackend();
+console.log(`⚙️ Code execution backend: ${executionBackend.name}`);
 
-// Helper function to generate secure invite keys
-const generateInviteKey = (length = 12) => {
-  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  let result = '';
-  for (let i = 0; i < length; i++) {
-    result += chars.charAt(Math.floor(Math.random() * chars.length));
-  }
-  return result;
+// Upper bound for settings.maxConcurrentExecutions, whatever the session asks for
+const MAX_CONCURRENT_EXECUTIONS = parseInt(process.env.MAX_CONCURRENT_EXECUTIONS) || 4;
+
+// Concurrent runs per user for REST executions outside a session
+const USER_EXECUTION_CONCURRENCY = 1;
+
+// Helper function to clamp a requested execution concurrency to 1..MAX_CONCURRENT_EXECUTIONS
+const clampExecutionConcurrency = (value) => {
+  return Math.min(MAX_CONCURRENT_EXECUTIONS, Math.max(1, parseInt(value) || 1));
 };
 
 // Helper function to create a new collaboration session
@@ -347,6 +628,12 @@ const createCollaborationSession = (creatorId, sessionName, settings = {}) => {
       maxUsers: settings.maxUsers || 10,
       allowGuests: settings.allowGuests || false,
       isPublic: false, // Always private now
+      // Who may type into interactive runs: 'initiator' (the user who started
+      // the run) or 'canExecute' (every member allowed to execute code)
+      stdinPolicy: settings.stdinPolicy === 'canExecute' ? 'canExecute' : 'initiator',
+      maxConcurrentExecutions: clampExecutionConcurrency(settings.maxConcurrentExecutions),
+      // New members wait until an owner approves them
+      requireApproval: Boolean(settings.requireApproval),
       permissions: settings.permissions || {
         canViewFiles: true,
         canEditFiles: true,
@@ -363,19 +650,46 @@ const createCollaborationSession = (creatorId, sessionName, settings = {}) => {
     currentCode: '', // Session-specific code
     chatHistory: [],
     connectedUsers: new Set(),
-    userPermissions: new Map() // userId -> permissions
+    userPermissions: new Map(), // userId -> permissions
+    fileOperations: new Map(), // filePath -> { startRevision, operations } recent edits used for merging
+    fileVersions: new Map(), // filePath -> version history
+    executionHistory: [], // Finished runs, newest last
+    invites: new Map(), // inviteId -> named invite with its own key, role, expiry and usage limit
+    roles: new Map(), // custom role name -> role defined by an owner
+    memberRoles: new Map([[creatorId, 'owner']]), // userId -> role name
+    pathRules: new Map(), // userId -> { defaultAccess, rules: [{ path, access }] }
+    joinRequests: new Map(), // userId -> waiting room entry
+    bannedUsers: new Set(), // userIds removed by an admin who may not rejoin
+    coOwners: new Set(), // userIds that share the creator's owner rights
+    ownershipLog: [], // Ownership changes, newest last
+    pendingPermissions: new Map(), // userId or 'email:<address>' -> access pre-assigned before joining
+    memberGrants: new Map(), // userId -> how the member joined (session key or named invite)
+    permissionHistory: [] // Permission changes, newest last
   };
 
   collaborationSessions.set(sessionId, session);
   sessionInviteKeys.set(inviteKey, sessionId);
   sessionUsers.set(sessionId, new Set());
+  persistSession(session);
 
   console.log(`🔐 Created private session: ${sessionId} with invite key: ${inviteKey}`);
   return session;
 };
 
-// Helper function to join a session with invite key
-const joinSessionWithKey = async (inviteKey, userId, userInfo) => {
+// Helper function to create a join error with a code the REST layer can report
+const sessionJoinError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Helper function to join a session with invite key. The session's own key
+// grants the default permissions, a named invite those of its role. In
+// sessions that require approval, new members are put in the waiting room
+// (error code JOIN_APPROVAL_PENDING) until an owner approves them. Only socket
+// joins can wait for the answer; with waitingRoom: false they are refused
+// (JOIN_APPROVAL_REQUIRED) instead.
+const joinSessionWithKey = async (inviteKey, userId, userInfo, { approved = false, waitingRoom = true } = {}) => {
   const sessionId = sessionInviteKeys.get(inviteKey);
   if (!sessionId) {
     throw new Error('Invalid or expired invite key');
@@ -386,23 +700,55 @@ const joinSessionWithKey = async (inviteKey, userId, userInfo) => {
     throw new Error('Session not found');
   }
 
+  const invite = inviteKey === session.inviteKey ? null : findInviteByKey(session, inviteKey);
+
+  // Members who joined before come back without using up the invite
+  if (isSessionMember(session, userId)) {
+    return reconnectSessionMember(session, userId, userInfo);
+  }
+  // Access left over from an invite that expired or was revoked does not carry over
+  removeSessionMember(session, userId);
+
+  if (session.bannedUsers && session.bannedUsers.has(userId)) {
+    throw sessionJoinError('SESSION_BANNED', 'You have been banned from this session');
+  }
+
   // Check if session is full
   if (session.connectedUsers.size >= session.settings.maxUsers) {
-    throw new Error('Session is full');
+    throw sessionJoinError('SESSION_FULL', 'Session is full');
   }
 
-  // Check if user is already in session
-  if (session.connectedUsers.has(userId)) {
-    console.log(`📝 User ${userInfo.name} rejoined session ${sessionId}`);
-    return session;
+  if (invite) {
+    assertInviteUsable(invite);
+    assertInviteRecipient(invite, userInfo);
+  }
+
+  if (session.settings.requireApproval && !approved && !isSessionOwner(session, userId)) {
+    if (!waitingRoom) {
+      throw sessionJoinError('JOIN_APPROVAL_REQUIRED', 'This session requires approval - join it over a socket connection to wait for an owner');
+    }
+    const error = new Error('Waiting for the session owner to approve your request');
+    error.code = 'JOIN_APPROVAL_PENDING';
+    error.joinRequest = addJoinRequest(session, inviteKey, invite, userInfo);
+    throw error;
+  }
+
+  if (invite) {
+    invite.uses++;
   }
 
   // Add user to session
   session.connectedUsers.add(userId);
   sessionUsers.get(sessionId).add(userId);
-
-  // Set default permissions for new user
-  if (!session.userPermissions.has(userId)) {
+  markSessionOccupied(session);
+  setMemberGrant(session, userId, invite ? { type: 'invite', inviteId: invite.id } : { type: 'key' });
+
+  // Set permissions for new user: access an owner pre-assigned, the invite's
+  // role, or the default permissions
+  applyPendingPermissions(session, userId, userInfo.email);
+  if (invite && !session.userPermissions.has(userId)) {
+    assignSessionRole(session, userId, invite.role);
+  } else if (!session.userPermissions.has(userId)) {
     // Assign all granular permissions from session.settings.permissions
     session.userPermissions.set(userId, {
       canViewFiles: session.settings.permissions.canViewFiles,
@@ -425,15 +771,54 @@ const joinSessionWithKey = async (inviteKey, userId, userInfo) => {
     user: userInfo,
     details: {
       sessionName: session.name,
-      userCount: session.connectedUsers.size
+      userCount: session.connectedUsers.size,
+      inviteId: invite ? invite.id : undefined
     }
   });
   activities.push(joinActivity);
+  persistSession(session);
 
   console.log(`👥 User ${userInfo.name} joined session ${sessionId} (${session.connectedUsers.size}/${session.settings.maxUsers} users)`);
   return session;
 };
 
+// Helper function to bring a member back into a session they joined before,
+// e.g. after a disconnect or a server restart. Invites and approval were dealt
+// with when they first joined.
+const reconnectSessionMember = (session, userId, userInfo) => {
+  if (session.bannedUsers && session.bannedUsers.has(userId)) {
+    throw sessionJoinError('SESSION_BANNED', 'You have been banned from this session');
+  }
+  // Access an owner assigned to their email address while they were away
+  applyPendingPermissions(session, userId, userInfo.email);
+  if (session.connectedUsers.has(userId)) {
+    console.log(`📝 User ${userInfo.name} rejoined session ${session.id}`);
+    return session;
+  }
+  if (session.connectedUsers.size >= session.settings.maxUsers) {
+    throw sessionJoinError('SESSION_FULL', 'Session is full');
+  }
+
+  session.connectedUsers.add(userId);
+  sessionUsers.get(session.id).add(userId);
+  markSessionOccupied(session);
+
+  activities.push(new Activity({
+    type: 'session',
+    action: 'user_joined',
+    target: session.id,
+    user: userInfo,
+    details: {
+      sessionName: session.name,
+      userCount: session.connectedUsers.size,
+      reconnected: true
+    }
+  }));
+
+  console.log(`👥 User ${userInfo.name} reconnected to session ${session.id} (${session.connectedUsers.size}/${session.settings.maxUsers} users)`);
+  return session;
+};
+
 // Helper function to leave a session
 const leaveSession = (sessionId, userId, userInfo) => {
   const session = collaborationSessions.get(sessionId);
@@ -462,21 +847,226 @@ const leaveSession = (sessionId, userId, userInfo) => {
 
   // If session is empty and creator left, optionally clean up after some time
   if (session.connectedUsers.size === 0) {
-    console.log(`🧹 Session ${sessionId} is now empty, scheduling cleanup...`);
-    // Clean up empty session after 1 hour
-    setTimeout(() => {
-      if (session.connectedUsers.size === 0) {
-        collaborationSessions.delete(sessionId);
-        sessionInviteKeys.delete(session.inviteKey);
-        sessionUsers.delete(sessionId);
-        console.log(`🗑️ Cleaned up empty session ${sessionId}`);
-      }
-    }, 60 * 60 * 1000); // 1 hour
+    scheduleEmptySessionCleanup(session);
   }
 
   return true;
 };
 
+// Helper function to take a member's access to a session away. Their sockets
+// are told why (notice) and leave the session, and they need a valid key to
+// join again. Returns the number of sockets removed.
+const revokeSessionMembership = (session, userId, reason, notice = {}) => {
+  let removedSockets = 0;
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.userId !== userId || socket.sessionId !== session.id) continue;
+    socket.emit('removed_from_session', {
+      sessionId: session.id,
+      reason,
+      ...notice,
+      timestamp: Date.now()
+    });
+    removeSocketFromSession(socket, reason);
+    removedSockets++;
+  }
+
+  // Members without a connected socket are removed as well
+  if (session.connectedUsers.has(userId)) {
+    leaveSession(session.id, userId, { id: userId, name: userId });
+  }
+  removeSessionMember(session, userId);
+  persistSession(session);
+  return removedSockets;
+};
+
+// Sessions without connected users are deleted once they have been empty this
+// long. The time counts from session.emptySince, which is persisted, so a
+// restart does not reset it.
+const EMPTY_SESSION_RETENTION = (parseInt(process.env.EMPTY_SESSION_RETENTION_MINUTES) || 60) * 60 * 1000;
+const emptySessionTimers = new Map(); // sessionId -> cleanup timer
+
+// Helper function to note that a session has connected users again
+const markSessionOccupied = (session) => {
+  clearTimeout(emptySessionTimers.get(session.id));
+  emptySessionTimers.delete(session.id);
+  if (session.emptySince) {
+    session.emptySince = null;
+    persistSession(session);
+  }
+};
+
+// Helper function to clean up a session that stays empty for EMPTY_SESSION_RETENTION
+const scheduleEmptySessionCleanup = (session) => {
+  if (!session.emptySince) {
+    session.emptySince = Date.now();
+    persistSession(session);
+  }
+  console.log(`🧹 Session ${session.id} is empty, cleaning it up at ${new Date(session.emptySince + EMPTY_SESSION_RETENTION).toISOString()} unless someone joins`);
+
+  const cleanUp = () => {
+    emptySessionTimers.delete(session.id);
+    if (session.connectedUsers.size > 0 || !session.emptySince || collaborationSessions.get(session.id) !== session) return;
+    const remaining = session.emptySince + EMPTY_SESSION_RETENTION - Date.now();
+    if (remaining > 0) {
+      emptySessionTimers.set(session.id, setTimeout(cleanUp, Math.min(remaining, MAX_TIMER_DELAY)));
+      return;
+    }
+    discardCollaborationSession(session);
+    console.log(`🗑️ Cleaned up empty session ${session.id}`);
+  };
+  clearTimeout(emptySessionTimers.get(session.id));
+  cleanUp();
+};
+
+// Helper function to restore persisted sessions on startup. Nobody is connected
+// after a restart; members reconnect by session id, since membership is
+// persisted. Restored sessions follow the same cleanup rule as live ones.
+const restoreCollaborationSessions = async () => {
+  try {
+    const storedSessions = await sessionStore.loadAll();
+    for (const data of storedSessions) {
+      const session = deserializeSession(data);
+      if (fileVersionStore.persistsVersions) {
+        session.fileVersions = await fileVersionStore.loadAll(`${session.id}/`);
+      }
+      normalizeSessionFileKeys(session);
+      collaborationSessions.set(session.id, session);
+      sessionInviteKeys.set(session.inviteKey, session.id);
+      for (const invite of session.invites.values()) {
+        sessionInviteKeys.set(invite.key, session.id);
+      }
+      sessionUsers.set(session.id, new Set());
+      scheduleEmptySessionCleanup(session);
+    }
+    console.log(`💾 Restored ${storedSessions.length} collaboration session(s) from the session store`);
+  } catch (error) {
+    console.error('❌ Failed to restore collaboration sessions:', error.message);
+  }
+};
+
+// Helper function to bring the file keys of a restored session into the
+// sessionFileKey() form; entries whose path leaves the session are dropped
+const normalizeSessionFileKeys = (session) => {
+  for (const field of ['files', 'fileVersions']) {
+    const entries = Array.from(session[field]).map(([filePath, value]) => [sessionFileKey(session, filePath), value]);
+    session[field] = new Map(entries.filter(([key]) => key !== null));
+  }
+};
+
+// Helper function to apply an edit to a session file. Operation-based edits are
+// transformed against every edit the sender had not seen yet (newer than its
+// baseRevision); whole-file edits from older clients are recorded as a replacement.
+const applySessionFileEdit = (session, filePath, edit, userId) => {
+  const existingFile = session.files.get(filePath);
+  const currentContent = existingFile?.content || '';
+  const currentRevision = existingFile?.revision || 0;
+
+  // Start a fresh history if the file was replaced outside of this function
+  let history = session.fileOperations.get(filePath);
+  if (!history || history.startRevision + history.operations.length !== currentRevision) {
+    history = { startRevision: currentRevision, operations: [] };
+    session.fileOperations.set(filePath, history);
+  }
+
+  // Reject edits the server cannot merge: unknown revisions, operations older than
+  // the kept history, and whole-file writes that would overwrite newer changes
+  const baseRevision = Number.isInteger(edit.baseRevision) ? edit.baseRevision : currentRevision;
+  const isOperation = edit.operation !== undefined;
+  if (baseRevision > currentRevision ||
+      (isOperation && baseRevision < history.startRevision) ||
+      (!isOperation && baseRevision !== currentRevision)) {
+    const error = new Error(`Edit is based on revision ${baseRevision} but ${filePath} is at revision ${currentRevision}`);
+    error.code = 'STALE_REVISION';
+    throw error;
+  }
+
+  let operation;
+  if (isOperation) {
+    const clientOperation = parseOperation(edit.operation, lengthAtRevision(currentContent.length, history, baseRevision));
+    operation = transformAgainstHistory(clientOperation, history, baseRevision);
+  } else {
+    operation = new TextOperation().delete(currentContent.length).insert(edit.content);
+  }
+
+  const content = operation.apply(currentContent);
+  if (content.length >= MAX_OPERATION_SIZE) {
+    const error = new Error(`${filePath} would exceed the 1MB file size limit`);
+    error.code = 'FILE_TOO_LARGE';
+    throw error;
+  }
+  const revision = currentRevision + 1;
+
+  recordOperation(history, operation);
+
+  if (existingFile) {
+    session.files.set(filePath, {
+      ...existingFile,
+      content: content,
+      revision: revision,
+      lastModified: Date.now(),
+      lastEditedBy: userId
+    });
+  } else {
+    session.files.set(filePath, {
+      content: content,
+      type: 'file',
+      revision: revision,
+      lastModified: Date.now(),
+      createdBy: userId,
+      lastEditedBy: userId
+    });
+  }
+
+  return { content, operation, revision };
+};
+
+// Helper function to record a version of a session file in the session's
+// history and the version store
+const recordSessionFileVersion = (session, filePath, content, author, options) => {
+  const version = recordFileVersion(session.fileVersions, filePath, content, author, options);
+  fileVersionStore.save(`${session.id}/${filePath}`, version);
+  return version;
+};
+
+// Helper function to restore a session file to an earlier version and broadcast it
+const restoreSessionFileVersion = (session, filePath, versionNumber, author) => {
+  const version = getFileVersion(session.fileVersions, filePath, versionNumber);
+  if (!version) {
+    throw new Error(`Version ${versionNumber} of ${filePath} not found`);
+  }
+
+  const { content, operation, revision } = applySessionFileEdit(session, filePath, { content: version.content }, author.id);
+  const restoredVersion = recordSessionFileVersion(session, filePath, content, author, {
+    source: 'restore',
+    changes: { restoredFrom: versionNumber }
+  });
+  persistSession(session);
+
+  // Everyone who may read the file, including the user who restored, receives the new content
+  emitFileEvent(session, filePath, 'realtime_code_update', {
+    filePath: filePath,
+    content: content,
+    operation: operation.toJSON(),
+    revision: revision,
+    userId: author.id,
+    userName: author.name,
+    sessionId: session.id,
+    timestamp: Date.now()
+  });
+  emitFileEvent(session, filePath, 'file_version_restored', {
+    filePath: filePath,
+    restoredFrom: versionNumber,
+    version: restoredVersion.version,
+    revision: revision,
+    restoredBy: author.name,
+    sessionId: session.id,
+    timestamp: Date.now()
+  });
+
+  console.log(`⏪ ${author.name} restored ${filePath} to version ${versionNumber} in session ${session.id}`);
+  return { version: restoredVersion, revision };
+};
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -490,33 +1080,16 @@ app.get('/health', (req, res) => {
 });
 
 // API endpoints for file operations
-app.get('/api/files', async (req, res) => {
-  // Check if user is authenticated
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    // Return empty directory for non-authenticated users
+app.get('/api/files', authenticate('optional'), async (req, res) => {
+  const user = req.user;
+
+  // Return empty directory for non-authenticated users
+  if (!user) {
     res.json([]);
     return;
   }
 
   try {
-    // Verify token
-    const tokenInfo = await verifyToken(token);
-    
-    // Get user
-    let user;
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
-    }
-
-    if (!user) {
-      res.json([]);
-      return;
-    }
-
     // Get files from database for the user
     const dbFiles = await databaseService.getFilesByUser(user.id);
     
@@ -554,45 +1127,11 @@ app.get('/api/files', async (req, res) => {
   }
 });
 
-app.post('/api/files/create', async (req, res) => {
+app.post('/api/files/create', authenticate('required'), async (req, res) => {
   const { path: filePath, type, content = '', name, projectId = 'default' } = req.body;
-  
-  // Check if user is authenticated
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
+  const user = req.user;
 
   try {
-    // Verify token and get user info
-    const tokenInfo = await verifyToken(token);
-    
-    // Get user from our user store
-    let user;
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      if (!user) {
-        // Create new user for Firebase authentication
-        const newUser = new User({
-          id: tokenInfo.userId,
-          name: tokenInfo.name,
-          email: tokenInfo.email,
-          role: 'user',
-          provider: 'google'
-        });
-        users.set(tokenInfo.email, newUser);
-        user = newUser;
-      }
-    } else {
-      user = users.get(tokenInfo.email);
-      if (!user || !user.isActive) {
-        res.status(401).json({ success: false, message: 'User not found or inactive' });
-        return;
-      }
-    }
-
     // Create file/folder data
     const fileData = {
       name: name || filePath.split('/').pop(),
@@ -650,21 +1189,10 @@ app.post('/api/files/create', async (req, res) => {
   }
 });
 
-app.get('/api/files/read/:*', async (req, res) => {
+app.get('/api/files/read/:*', authenticate('required'), async (req, res) => {
   const filePath = req.params[0];
-  
-  // Check if user is authenticated
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
 
   try {
-    // Verify token
-    const tokenInfo = await verifyToken(token);
-    
     // First check database for the file
     const dbFile = await databaseService.getFileByPath(filePath);
     if (dbFile && !dbFile.isDirectory) {
@@ -691,7 +1219,7 @@ app.get('/api/files/read/:*', async (req, res) => {
 });
 
 // Virtual file system endpoints
-app.post('/api/virtual-files', async (req, res) => {
+app.post('/api/virtual-files', authenticate('optional'), async (req, res) => {
   const { path: filePath, content, type = 'file' } = req.body;
   
   try {
@@ -702,34 +1230,23 @@ app.post('/api/virtual-files', async (req, res) => {
       lastModified: Date.now()
     });
 
-    // Check if user is authenticated and save to database
-    const token = req.headers.authorization?.split(' ')[1];
-    if (token) {
+    // Save files of authenticated users to the database as well
+    const user = req.user;
+    if (user) {
       try {
-        const tokenInfo = await verifyToken(token);
-        let user;
-        
-        if (tokenInfo.type === 'firebase') {
-          user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-        } else {
-          user = users.get(tokenInfo.email);
-        }
-
-        if (user) {
-          const fileData = {
-            name: filePath.split('/').pop(),
-            path: filePath,
-            content: content,
-            type: type === 'folder' ? 'folder' : 'file',
-            projectId: 'default',
-            authorName: user.name
-          };
+        const fileData = {
+          name: filePath.split('/').pop(),
+          path: filePath,
+          content: content,
+          type: type === 'folder' ? 'folder' : 'file',
+          projectId: 'default',
+          authorName: user.name
+        };
 
-          await databaseService.createFile(fileData, user.id);
-          console.log(`📁 Virtual file saved to database: ${filePath} by ${user.name}`);
-        }
-      } catch (authError) {
-        console.log('Authentication failed for virtual file creation, proceeding with virtual-only storage');
+        await databaseService.createFile(fileData, user.id);
+        console.log(`📁 Virtual file saved to database: ${filePath} by ${user.name}`);
+      } catch (databaseError) {
+        console.log('Saving virtual file to the database failed, proceeding with virtual-only storage');
       }
     }
     
@@ -748,7 +1265,7 @@ app.post('/api/virtual-files', async (req, res) => {
   }
 });
 
-app.get('/api/virtual-files/:*', (req, res) => {
+app.get('/api/virtual-files/:*', authenticate('optional'), (req, res) => {
   const filePath = req.params[0];
   
   const file = virtualFileStore.get(filePath);
@@ -759,33 +1276,21 @@ app.get('/api/virtual-files/:*', (req, res) => {
   }
 });
 
-app.put('/api/virtual-files/:*', async (req, res) => {
+app.put('/api/virtual-files/:*', authenticate('optional'), async (req, res) => {
   const filePath = req.params[0];
   const { content } = req.body;
-  
-  // Check if user is authenticated
-  const token = req.headers.authorization?.split(' ')[1];
+  const user = req.user;
+  let author = { id: null, name: 'Anonymous' };
   
   try {
-    if (token) {
-      // Verify token for authenticated users
-      const tokenInfo = await verifyToken(token);
-      
-      // Get user
-      let user;
-      if (tokenInfo.type === 'firebase') {
-        user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      } else {
-        user = users.get(tokenInfo.email);
-      }
+    if (user) {
+      author = { id: user.id, name: user.name };
 
-      if (user) {
-        // Try to update in database first
-        const dbFile = await databaseService.getFileByPath(filePath);
-        if (dbFile) {
-          await databaseService.updateFile(dbFile.id, { content }, user.id);
-          console.log(`📝 Database file updated: ${filePath} by ${user.name}`);
-        }
+      // Try to update in database first
+      const dbFile = await databaseService.getFileByPath(filePath);
+      if (dbFile) {
+        await databaseService.updateFile(dbFile.id, { content }, user.id);
+        console.log(`📝 Database file updated: ${filePath} by ${user.name}`);
       }
     }
 
@@ -797,8 +1302,10 @@ app.put('/api/virtual-files/:*', async (req, res) => {
         content,
         lastModified: Date.now()
       });
+      const version = recordFileVersion(virtualFileVersions, filePath, content, author, { source: 'rest' });
+      fileVersionStore.save(filePath, version);
       
-      res.json({ success: true, message: 'File updated in virtual file system' });
+      res.json({ success: true, message: 'File updated in virtual file system', version: version.version });
       
       // Broadcast update
       io.emit('virtual_fs_update', {
@@ -815,7 +1322,7 @@ app.put('/api/virtual-files/:*', async (req, res) => {
   }
 });
 
-app.delete('/api/virtual-files/:*', (req, res) => {
+app.delete('/api/virtual-files/:*', authenticate('optional'), (req, res) => {
   const filePath = req.params[0];
   
   if (virtualFileStore.has(filePath)) {
@@ -832,38 +1339,24 @@ app.delete('/api/virtual-files/:*', (req, res) => {
   }
 });
 
-app.get('/api/virtual-files', async (req, res) => {
-  // Check if user is authenticated
-  const token = req.headers.authorization?.split(' ')[1];
-  
+app.get('/api/virtual-files', authenticate('optional'), async (req, res) => {
   try {
     let allFiles = [];
 
-    if (token) {
-      // Get database files for authenticated users
-      const tokenInfo = await verifyToken(token);
-      let user;
-      
-      if (tokenInfo.type === 'firebase') {
-        user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      } else {
-        user = users.get(tokenInfo.email);
-      }
-
-      if (user) {
-        const dbFiles = await databaseService.getFilesByUser(user.id);
-        allFiles = dbFiles.map(file => ({
-          path: file.path,
-          content: file.content,
-          type: file.isDirectory ? 'folder' : 'file',
-          size: file.size,
-          createdAt: file.createdAt,
-          updatedAt: file.updatedAt,
-          authorName: file.authorName,
-          source: 'database',
-          id: file.id
-        }));
-      }
+    // Get database files for authenticated users
+    if (req.user) {
+      const dbFiles = await databaseService.getFilesByUser(req.user.id);
+      allFiles = dbFiles.map(file => ({
+        path: file.path,
+        content: file.content,
+        type: file.isDirectory ? 'folder' : 'file',
+        size: file.size,
+        createdAt: file.createdAt,
+        updatedAt: file.updatedAt,
+        authorName: file.authorName,
+        source: 'database',
+        id: file.id
+      }));
     }
 
     // Add virtual file system files
@@ -894,31 +1387,32 @@ app.get('/api/virtual-files', async (req, res) => {
   }
 });
 
-// Database-specific file management endpoints
-app.get('/api/database/files', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
+// Virtual file system version history endpoints
+app.get('/api/virtual-file-versions', authenticate('optional'), (req, res) => {
+  const { path: filePath } = req.query;
+  if (!filePath) {
+    res.status(400).json({ success: false, message: 'File path is required' });
     return;
   }
 
-  try {
-    const tokenInfo = await verifyToken(token);
-    let user;
-    
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
-    }
+  res.json({ success: true, path: filePath, versions: listFileVersions(virtualFileVersions, filePath) });
+});
 
-    if (!user) {
-      res.status(401).json({ success: false, message: 'User not found' });
-      return;
-    }
+app.get('/api/virtual-file-versions/diff', authenticate('optional'), (req, res) => {
+  const { path: filePath, from, to } = req.query;
 
-    const files = await databaseService.getFilesByUser(user.id);
+  try {
+    const diff = diffFileVersions(virtualFileVersions, filePath, parseInt(from), parseInt(to));
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    res.status(404).json({ success: false, message: error.message });
+  }
+});
+
+// Database-specific file management endpoints
+app.get('/api/database/files', authenticate('required'), async (req, res) => {
+  try {
+    const files = await databaseService.getFilesByUser(req.user.id);
     res.json({ success: true, files });
     
   } catch (error) {
@@ -927,14 +1421,7 @@ app.get('/api/database/files', async (req, res) => {
   }
 });
 
-app.get('/api/database/files/stats', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
-
+app.get('/api/database/files/stats', authenticate('required'), async (req, res) => {
   try {
     const stats = await databaseService.getFileStats();
     res.json({ success: true, stats });
@@ -945,14 +1432,7 @@ app.get('/api/database/files/stats', async (req, res) => {
   }
 });
 
-app.get('/api/database/activities', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
-
+app.get('/api/database/activities', authenticate('required'), async (req, res) => {
   try {
     const { projectId, limit = 50 } = req.query;
     const activities = await databaseService.getActivities(projectId, parseInt(limit));
@@ -964,14 +1444,7 @@ app.get('/api/database/activities', async (req, res) => {
   }
 });
 
-app.post('/api/database/files/search', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
-
+app.post('/api/database/files/search', authenticate('required'), async (req, res) => {
   try {
     const { query, projectId } = req.body;
     const results = await databaseService.searchFiles(query, projectId);
@@ -987,44 +1460,12 @@ app.post('/api/database/files/search', async (req, res) => {
 const sessions = new Map(); // In-memory session storage
 
 // Private collaboration session endpoints
-app.post('/api/sessions/create', async (req, res) => {
+app.post('/api/sessions/create', authenticate('required'), async (req, res) => {
   const { sessionName, settings } = req.body;
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required to create sessions' });
-    return;
-  }
+  const user = req.user;
 
   try {
-    const tokenInfo = await verifyToken(token);
-    let user;
-    
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
-    }
-
-    // Auto-create user for demo/development tokens
-    if (!user && (tokenInfo.type === 'demo-jwt' || tokenInfo.type === 'jwt')) {
-      user = {
-        id: tokenInfo.userId,
-        email: tokenInfo.email,
-        name: tokenInfo.name,
-        role: 'user',
-        createdAt: new Date().toISOString()
-      };
-      users.set(tokenInfo.email, user);
-      console.log(`✅ Auto-created user for demo/development: ${tokenInfo.email}`);
-    }
-
-    if (!user) {
-      res.status(401).json({ success: false, message: 'User not found' });
-      return;
-    }
-
-  const session = createCollaborationSession(user.id, sessionName, settings);
+    const session = createCollaborationSession(user.id, sessionName, settings);
     
     // Automatically add the creator to the session
     const userInfo = {
@@ -1048,6 +1489,7 @@ app.post('/api/sessions/create', async (req, res) => {
         id: session.id,
         name: session.name,
         creatorId: session.creatorId,
+        coOwners: Array.from(session.coOwners),
         inviteKey: session.inviteKey,
         createdAt: session.createdAt,
         settings: session.settings,
@@ -1061,9 +1503,9 @@ app.post('/api/sessions/create', async (req, res) => {
   }
 });
 
-app.post('/api/sessions/join', async (req, res) => {
+app.post('/api/sessions/join', authenticate('guest'), async (req, res) => {
   const { inviteKey } = req.body;
-  const token = req.headers.authorization?.split(' ')[1];
+  const user = req.user;
   
   if (!inviteKey) {
     res.status(400).json({ success: false, message: 'Invite key is required' });
@@ -1071,19 +1513,6 @@ app.post('/api/sessions/join', async (req, res) => {
   }
 
   try {
-    let user = null;
-    
-    if (token) {
-      // Authenticated user
-      const tokenInfo = await verifyToken(token);
-      
-      if (tokenInfo.type === 'firebase') {
-        user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      } else {
-        user = users.get(tokenInfo.email);
-      }
-    }
-
     // If no authenticated user, check if guests are allowed
     const sessionId = sessionInviteKeys.get(inviteKey);
     if (!sessionId) {
@@ -1097,23 +1526,13 @@ app.post('/api/sessions/join', async (req, res) => {
       return;
     }
 
-    if (!user && !session.settings.allowGuests) {
-      res.status(401).json({ success: false, message: 'Authentication required for this session' });
+    if (user.isGuest && !session.settings.allowGuests) {
+      sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required for this session');
       return;
     }
 
-    // Create guest user if needed
-    if (!user) {
-      user = {
-        id: `guest_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
-        name: `Guest User`,
-        email: 'guest@codecollab.com',
-        role: 'guest',
-        avatar: 'G'
-      };
-    }
-
-    const joinedSession = await joinSessionWithKey(inviteKey, user.id, user);
+    // The waiting room answers over the socket, so REST joins cannot wait in it
+    const joinedSession = await joinSessionWithKey(inviteKey, user.id, user, { waitingRoom: false });
     
     res.json({ 
       success: true, 
@@ -1121,53 +1540,46 @@ app.post('/api/sessions/join', async (req, res) => {
         id: joinedSession.id,
         name: joinedSession.name,
         creatorId: joinedSession.creatorId,
+        coOwners: Array.from(joinedSession.coOwners),
         createdAt: joinedSession.createdAt,
         settings: joinedSession.settings,
         userCount: joinedSession.connectedUsers.size,
-        userPermissions: joinedSession.userPermissions.get(user.id)
+        userPermissions: getUserPermissions(joinedSession, user.id)
       },
       user: user
     });
     
   } catch (error) {
+    if (error.code === 'JOIN_APPROVAL_REQUIRED') {
+      res.status(409).json({ success: false, code: error.code, message: error.message });
+      return;
+    }
+    if (error.code === 'INVITE_EXPIRED' || error.code === 'INVITE_EXHAUSTED') {
+      res.status(410).json({ success: false, code: error.code, message: error.message });
+      return;
+    }
+    if (error.code === 'INVITE_AUTH_REQUIRED') {
+      sendAuthError(res, 401, 'AUTH_REQUIRED', error.message);
+      return;
+    }
+    if (error.code === 'INVITE_EMAIL_MISMATCH') {
+      sendAuthError(res, 403, 'FORBIDDEN', error.message);
+      return;
+    }
+    if (error.code === 'SESSION_BANNED' || error.code === 'SESSION_FULL') {
+      sendAuthError(res, 403, error.code, error.message);
+      return;
+    }
     console.error('Error joining session:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-app.get('/api/sessions/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
-  const token = req.headers.authorization?.split(' ')[1];
-  
+app.get('/api/sessions/:sessionId', authenticate('required'), async (req, res) => {
   try {
-    const session = collaborationSessions.get(sessionId);
-    if (!session) {
-      res.status(404).json({ success: false, message: 'Session not found' });
-      return;
-    }
-
-    // Verify user has access to this session
-    let hasAccess = false;
-    
-    if (token) {
-      const tokenInfo = await verifyToken(token);
-      let user;
-      
-      if (tokenInfo.type === 'firebase') {
-        user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-      } else {
-        user = users.get(tokenInfo.email);
-      }
-
-      if (user && session.connectedUsers.has(user.id)) {
-        hasAccess = true;
-      }
-    }
-
-    if (!hasAccess) {
-      res.status(403).json({ success: false, message: 'Access denied to this session' });
-      return;
-    }
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
+    const { session, user } = access;
 
     res.json({
       success: true,
@@ -1175,13 +1587,16 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
         id: session.id,
         name: session.name,
         creatorId: session.creatorId,
+        coOwners: Array.from(session.coOwners),
         createdAt: session.createdAt,
         settings: session.settings,
         userCount: session.connectedUsers.size,
-        files: Array.from(session.files.entries()).map(([path, data]) => ({
-          path,
-          ...data
-        }))
+        files: Array.from(session.files.entries())
+          .filter(([path]) => canReadPath(session, user.id, path))
+          .map(([path, data]) => ({
+            path,
+            ...data
+          }))
       }
     });
     
@@ -1191,55 +1606,21 @@ app.get('/api/sessions/:sessionId', async (req, res) => {
   }
 });
 
-app.get('/api/sessions', async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
-  }
+app.get('/api/sessions', authenticate('required'), async (req, res) => {
+  const user = req.user;
 
   try {
-    const tokenInfo = await verifyToken(token);
-    let user;
-    
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
-    }
-
-    // Auto-create user for demo/development tokens
-    if (!user && (tokenInfo.type === 'demo-jwt' || tokenInfo.type === 'jwt')) {
-      user = {
-        id: tokenInfo.userId,
-        email: tokenInfo.email,
-        name: tokenInfo.name,
-        role: 'user',
-        createdAt: new Date().toISOString()
-      };
-      users.set(tokenInfo.email, user);
-      console.log(`✅ Auto-created user for demo/development: ${tokenInfo.email}`);
-    }
-
-    if (!user) {
-      res.status(401).json({ success: false, message: 'User not found' });
-      return;
-    }
-
-    // Get sessions where user is connected or is the creator
+    // Get sessions the user is a member of
     const userSessions = Array.from(collaborationSessions.values())
-      .filter(session => 
-        session.creatorId === user.id || 
-        session.connectedUsers.has(user.id)
-      )
+      .filter(session => isSessionMember(session, user.id))
       .map(session => ({
         id: session.id,
         name: session.name,
         createdAt: session.createdAt,
         userCount: session.connectedUsers.size,
         isCreator: session.creatorId === user.id,
-        inviteKey: session.creatorId === user.id ? session.inviteKey : undefined
+        isOwner: isSessionOwner(session, user.id),
+        inviteKey: isSessionOwner(session, user.id) ? session.inviteKey : undefined
       }));
 
     res.json({ success: true, sessions: userSessions });
@@ -1250,109 +1631,676 @@ app.get('/api/sessions', async (req, res) => {
   }
 });
 
-app.post('/api/sessions/:sessionId/regenerate-key', async (req, res) => {
+app.post('/api/sessions/:sessionId/regenerate-key', authenticate('required'), async (req, res) => {
   const { sessionId } = req.params;
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
+  const user = req.user;
+
+  try {
+    const session = collaborationSessions.get(sessionId);
+    if (!session) {
+      res.status(404).json({ success: false, message: 'Session not found' });
+      return;
+    }
+
+    // Only owners can regenerate invite key
+    if (!isSessionOwner(session, user.id)) {
+      sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners can regenerate invite key');
+      return;
+    }
+
+    // Remove old key and generate new one
+    sessionInviteKeys.delete(session.inviteKey);
+    const newInviteKey = generateInviteKey();
+    session.inviteKey = newInviteKey;
+    sessionInviteKeys.set(newInviteKey, sessionId);
+    persistSession(session);
+
+    // Members who joined with the old key need the new one to come back
+    const revokedMembers = Array.from(session.userPermissions.keys()).filter(memberId => {
+      const grant = session.memberGrants.get(memberId);
+      return !isSessionOwner(session, memberId) && (!grant || grant.type === 'key');
+    });
+    for (const memberId of revokedMembers) {
+      revokeSessionMembership(session, memberId, 'key_regenerated');
+    }
+
+    res.json({ 
+      success: true, 
+      inviteKey: newInviteKey,
+      revokedMembers: revokedMembers.length,
+      message: 'Invite key regenerated successfully'
+    });
+    
+  } catch (error) {
+    console.error('Error regenerating invite key:', error);
+    res.status(500).json({ success: false, message: error.message });
   }
+});
+
+app.delete('/api/sessions/:sessionId', authenticate('required'), async (req, res) => {
+  const { sessionId } = req.params;
+  const user = req.user;
 
   try {
-    const tokenInfo = await verifyToken(token);
-    let user;
+    const session = collaborationSessions.get(sessionId);
+    if (!session) {
+      res.status(404).json({ success: false, message: 'Session not found' });
+      return;
+    }
+
+    // Only owners can delete session
+    if (!isSessionOwner(session, user.id)) {
+      sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners can delete session');
+      return;
+    }
+
+    // Notify all connected users that session is being deleted
+    io.to(sessionId).emit('session_deleted', {
+      sessionId: sessionId,
+      message: `Session has been deleted by ${user.name}`
+    });
+
+    // Clean up session data
+    discardCollaborationSession(session);
+
+    res.json({ 
+      success: true, 
+      message: 'Session deleted successfully'
+    });
     
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
+  } catch (error) {
+    console.error('Error deleting session:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// Session ownership
+// The creator is the primary owner; co-owners share every owner right except
+// handing the session over and naming co-owners. Changes are recorded in
+// session.ownershipLog and the activity log.
+const MAX_OWNERSHIP_LOG = 100;
+
+const describeSessionOwners = (session) => ({
+  sessionId: session.id,
+  creatorId: session.creatorId,
+  coOwners: Array.from(session.coOwners)
+});
+
+// Helper function to check that a user can become an owner of a session
+const validateOwnerCandidate = (session, userId) => {
+  if (typeof userId !== 'string' || !userId) return 'userId is required';
+  if (userId.startsWith('guest_')) return 'Guests cannot own a session';
+  if (session.bannedUsers.has(userId)) return 'User is banned from this session';
+  if (!session.userPermissions.has(userId)) return 'User is not a member of this session';
+  return null;
+};
+
+// Helper function to record an ownership change and tell the session's members
+const recordOwnershipChange = (session, action, actor, details) => {
+  const entry = { action, ...details, by: actor.id, byName: actor.name, timestamp: Date.now() };
+  session.ownershipLog = [...(session.ownershipLog || []), entry].slice(-MAX_OWNERSHIP_LOG);
+  persistSession(session);
+
+  activities.push(new Activity({
+    type: 'session',
+    action,
+    target: session.id,
+    user: { id: actor.id, name: actor.name, email: actor.email },
+    details
+  }));
+
+  io.to(session.id).emit('session_owners_updated', { ...describeSessionOwners(session), change: entry });
+  console.log(`👑 ${actor.name}: ${action} in session ${session.id}`, details);
+  return entry;
+};
+
+// Helper function to hand a session over to another member. The previous
+// creator stays on as co-owner unless keepAsCoOwner is false, in which case
+// they become an editor.
+const transferSessionOwnership = (session, newOwnerId, actor, { keepAsCoOwner = true } = {}) => {
+  const previousOwnerId = session.creatorId;
+  session.creatorId = newOwnerId;
+  // A shared or created project goes with the session
+  if (session.projectOwner) {
+    session.projectOwner = newOwnerId;
+  }
+  session.coOwners.delete(newOwnerId);
+  session.pathRules.delete(newOwnerId);
+  assignSessionRole(session, newOwnerId, 'owner');
+
+  if (keepAsCoOwner) {
+    session.coOwners.add(previousOwnerId);
+  } else {
+    assignSessionRole(session, previousOwnerId, 'editor');
+  }
+
+  emitPermissionsUpdated(session, newOwnerId, actor.name);
+  emitPermissionsUpdated(session, previousOwnerId, actor.name);
+  return recordOwnershipChange(session, 'ownership_transferred', actor, { from: previousOwnerId, to: newOwnerId, keepAsCoOwner });
+};
+
+// Helper function to add or remove a co-owner; removed co-owners become editors
+const setSessionCoOwner = (session, userId, isCoOwner, actor) => {
+  if (isCoOwner) {
+    session.coOwners.add(userId);
+    session.pathRules.delete(userId);
+    assignSessionRole(session, userId, 'owner');
+  } else {
+    session.coOwners.delete(userId);
+    assignSessionRole(session, userId, 'editor');
+  }
+
+  emitPermissionsUpdated(session, userId, actor.name);
+  return recordOwnershipChange(session, isCoOwner ? 'co_owner_added' : 'co_owner_removed', actor, { userId });
+};
+
+// Owners of a session; owners also get the ownership log
+app.get('/api/sessions/:sessionId/owners', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  const isOwner = isSessionOwner(session, req.user.id);
+  if (!isOwner && !session.userPermissions.has(req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Access denied to this session');
+    return;
+  }
+
+  res.json({
+    success: true,
+    ...describeSessionOwners(session),
+    ownershipLog: isOwner ? session.ownershipLog || [] : undefined
+  });
+});
+
+// Permission changes of a session, newest first, and the access pre-assigned
+// to users who have not joined yet: ?userId=&email=&limit=
+app.get('/api/sessions/:sessionId/permissions/history', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (!canManagePermissions(session, req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to manage permissions in this session');
+    return;
+  }
+
+  const { userId, email } = req.query;
+  const address = typeof email === 'string' ? email.trim().toLowerCase() : '';
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PERMISSION_HISTORY);
+  const history = (session.permissionHistory || [])
+    .filter(entry => (!userId || entry.userId === userId) && (!address || entry.email === address))
+    .slice(-limit)
+    .reverse();
+
+  const pending = Array.from(session.pendingPermissions.entries()).map(([key, assignment]) => ({
+    ...(key.startsWith('email:') ? { email: key.slice('email:'.length) } : { userId: key }),
+    ...assignment
+  }));
+
+  res.json({ success: true, history, pending });
+});
+
+// Hand the session over to another member: { userId, keepAsCoOwner }
+app.post('/api/sessions/:sessionId/transfer-ownership', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (session.creatorId !== req.user.id) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only the session creator can transfer ownership');
+    return;
+  }
+
+  const { userId, keepAsCoOwner = true } = req.body || {};
+  const validationError = userId === req.user.id ? 'You already own this session' : validateOwnerCandidate(session, userId);
+  if (validationError) {
+    res.status(400).json({ success: false, message: validationError });
+    return;
+  }
+
+  const change = transferSessionOwnership(session, userId, req.user, { keepAsCoOwner: keepAsCoOwner !== false });
+  res.json({ success: true, ...describeSessionOwners(session), change });
+});
+
+// Make a member co-owner: { userId }
+app.post('/api/sessions/:sessionId/co-owners', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (session.creatorId !== req.user.id) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only the session creator can add co-owners');
+    return;
+  }
+
+  const userId = req.body?.userId;
+  const validationError = isSessionOwner(session, userId) ? 'User already owns this session' : validateOwnerCandidate(session, userId);
+  if (validationError) {
+    res.status(400).json({ success: false, message: validationError });
+    return;
+  }
+
+  const change = setSessionCoOwner(session, userId, true, req.user);
+  res.status(201).json({ success: true, ...describeSessionOwners(session), change });
+});
+
+// Remove a co-owner; co-owners may also step down themselves
+app.delete('/api/sessions/:sessionId/co-owners/:userId', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  const { userId } = req.params;
+  if (session.creatorId !== req.user.id && userId !== req.user.id) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only the session creator can remove co-owners');
+    return;
+  }
+  if (!session.coOwners.has(userId)) {
+    res.status(404).json({ success: false, message: 'User is not a co-owner of this session' });
+    return;
+  }
+
+  const change = setSessionCoOwner(session, userId, false, req.user);
+  res.json({ success: true, ...describeSessionOwners(session), change });
+});
+
+// Remove a member from a session; they need a valid key to join again. Owners
+// remove members, only the creator removes co-owners.
+app.delete('/api/sessions/:sessionId/members/:userId', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (!isSessionOwner(session, req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners can remove members');
+    return;
+  }
+
+  const { userId } = req.params;
+  if (userId === session.creatorId) {
+    res.status(400).json({ success: false, message: 'The session creator cannot be removed; transfer the session first' });
+    return;
+  }
+  if (session.coOwners.has(userId) && session.creatorId !== req.user.id) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only the session creator can remove co-owners');
+    return;
+  }
+  if (!session.userPermissions.has(userId)) {
+    res.status(404).json({ success: false, message: 'User is not a member of this session' });
+    return;
+  }
+
+  const removedSockets = revokeSessionMembership(session, userId, 'removed', { removedBy: req.user.name });
+  activities.push(new Activity({
+    type: 'session',
+    action: 'member_removed',
+    target: session.id,
+    user: { id: req.user.id, name: req.user.name, email: req.user.email },
+    details: { userId }
+  }));
+
+  console.log(`👥 ${req.user.name} removed ${userId} from session ${session.id}`);
+  res.json({ success: true, removedSockets });
+});
+
+// Helper function to load a session for a REST request made by one of its
+// members; use after authenticate(). Routes listed in ACTION_CAPABILITIES also
+// need their capability, and access to the file path they name.
+const getSessionForMember = async (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId || (req.body && req.body.sessionId));
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return null;
+  }
+
+  const user = req.user;
+  if (!user || !isSessionMember(session, user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Access denied to this session');
+    return null;
+  }
+
+  const route = `${req.method} ${req.route.path}`;
+  if (ACTION_CAPABILITIES[route]) {
+    const filePath = req.query.path || (req.body && req.body.path);
+    const check = checkPermission(session, user.id, route, typeof filePath === 'string' ? { path: filePath } : {});
+    if (!check.allowed) {
+      sendAuthError(res, 403, 'FORBIDDEN', check.message);
+      return null;
+    }
+  }
+
+  return { session, user };
+};
+
+// Helper function to check whether a user may hand out invites for a session
+const canManageInvites = (session, userId) => {
+  return isSessionOwner(session, userId) || hasCapability(session, userId, 'canInviteOthers');
+};
+
+// Helper function to check whether a user may invite others with a role (invites
+// default to editor); only owners hand out roles that grant canManagePermissions
+const canInviteWithRole = (session, userId, role = 'editor') => {
+  return isSessionOwner(session, userId) || !grantsPermissionManagement(session, { role });
+};
+
+// Helper function to check whether a user may change other members' access
+// (permissions and path rules). Members with canManagePermissions that are not
+// owners cannot change their own access or hand out canManagePermissions.
+const canManagePermissions = (session, userId) => {
+  return isSessionOwner(session, userId) || hasCapability(session, userId, 'canManagePermissions');
+};
+
+// Helper function to check an access assignment one user makes for another;
+// returns an error message, or null when the change is allowed
+const getAccessChangeError = (session, actorId, userId, assignment) => {
+  if (!canManagePermissions(session, actorId)) {
+    return 'You do not have permission to manage permissions in this session';
+  }
+  if (isSessionOwner(session, userId)) {
+    return 'Owners keep full access; remove them as co-owner first';
+  }
+  if (userId === actorId) {
+    return 'You cannot change your own permissions';
+  }
+  if (!isSessionOwner(session, actorId) && grantsPermissionManagement(session, assignment)) {
+    return 'Only session owners can grant canManagePermissions';
+  }
+  return null;
+};
+
+// Named invite endpoints
+// Create an invite: { name, role: 'viewer' | 'editor', expiresIn (seconds), maxUses }
+app.post('/api/sessions/:sessionId/invites', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (!canManageInvites(session, req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to invite others to this session');
+    return;
+  }
+
+  if (!canInviteWithRole(session, req.user.id, (req.body || {}).role)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners can invite others with canManagePermissions');
+    return;
+  }
+
+  try {
+    const invite = createInvite(session, req.body || {}, req.user.id);
+    sessionInviteKeys.set(invite.key, session.id);
+    persistSession(session);
+
+    console.log(`🎟️ ${req.user.name} created ${invite.role} invite ${invite.id} for session ${session.id}`);
+    res.status(201).json({ success: true, invite: describeInvite(invite) });
+  } catch (error) {
+    if (error.code === 'INVALID_INVITE') {
+      res.status(400).json({ success: false, code: error.code, message: error.message });
+      return;
+    }
+    console.error('Error creating invite:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
+
+// List invites; session owners see every invite, other members their own
+app.get('/api/sessions/:sessionId/invites', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (!canManageInvites(session, req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to view invites for this session');
+    return;
+  }
+
+  const invites = Array.from(session.invites.values())
+    .filter(invite => isSessionOwner(session, req.user.id) || invite.createdBy === req.user.id)
+    .map(describeInvite);
+  res.json({ success: true, invites });
+});
+
+// Revoke an invite; members who joined with it lose their access
+app.delete('/api/sessions/:sessionId/invites/:inviteId', authenticate('required'), (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+
+  const invite = session.invites.get(req.params.inviteId);
+  if (!invite) {
+    res.status(404).json({ success: false, message: 'Invite not found' });
+    return;
+  }
+  if (!isSessionOwner(session, req.user.id) && invite.createdBy !== req.user.id) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners or the invite creator can revoke this invite');
+    return;
+  }
+
+  session.invites.delete(invite.id);
+  sessionInviteKeys.delete(invite.key);
+  persistSession(session);
+
+  // Access through the invite ends with it
+  for (const [memberId, grant] of Array.from(session.memberGrants)) {
+    if (grant.type === 'invite' && grant.inviteId === invite.id && !isSessionOwner(session, memberId)) {
+      revokeSessionMembership(session, memberId, 'invite_revoked');
+    }
+  }
+
+  console.log(`🎟️ ${req.user.name} revoked invite ${invite.id} of session ${session.id}`);
+  res.json({ success: true, message: 'Invite revoked' });
+});
+
+// Helper function to email an invitation to its recipient
+const sendInvitationMail = (session, invite, inviter, message = '') => {
+  const joinUrl = `${APP_URL}/?invite=${encodeURIComponent(invite.key)}`;
+  const role = getSessionRole(session, invite.role);
+  const lines = [
+    `${inviter.name} invited you to join the CodeCollab session "${session.name}" with the ${role ? role.label : invite.role} role.`,
+    message ? `\n${message}\n` : '',
+    `Join the session: ${joinUrl}`,
+    `Or sign in as ${invite.email} and enter the invite key ${invite.key}.`,
+    `This invitation expires on ${new Date(invite.expiresAt).toUTCString()}.`
+  ];
+
+  return mailTransport.send({
+    to: invite.email,
+    subject: `${inviter.name} invited you to "${session.name}" on CodeCollab`,
+    text: lines.filter(Boolean).join('\n')
+  });
+};
+
+// Invite a teammate by email: { email, role, expiresIn (seconds), message }
+app.post('/api/sessions/:sessionId/invitations', authenticate('required'), async (req, res) => {
+  const session = collaborationSessions.get(req.params.sessionId);
+  if (!session) {
+    res.status(404).json({ success: false, message: 'Session not found' });
+    return;
+  }
+  if (!canManageInvites(session, req.user.id)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to invite others to this session');
+    return;
+  }
+
+  const { email, role, expiresIn, message } = req.body || {};
+  if (typeof email !== 'string') {
+    res.status(400).json({ success: false, message: 'Email is required' });
+    return;
+  }
+  if (!canInviteWithRole(session, req.user.id, role)) {
+    sendAuthError(res, 403, 'FORBIDDEN', 'Only session owners can invite others with canManagePermissions');
+    return;
+  }
+
+  let invite;
+  try {
+    invite = createInvite(session, { email, role, expiresIn, name: `Invitation for ${email.trim()}` }, req.user.id);
+  } catch (error) {
+    if (error.code === 'INVALID_INVITE') {
+      res.status(400).json({ success: false, code: error.code, message: error.message });
+      return;
     }
+    console.error('Error creating invitation:', error);
+    res.status(500).json({ success: false, message: error.message });
+    return;
+  }
+
+  sessionInviteKeys.set(invite.key, session.id);
+  persistSession(session);
+
+  // Let the invitee know right away if they are online
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.authenticated && socket.userEmail?.toLowerCase() === invite.email) {
+      socket.emit('session_invitation', {
+        sessionId: session.id,
+        sessionName: session.name,
+        inviteId: invite.id,
+        inviteKey: invite.key,
+        role: invite.role,
+        invitedBy: req.user.name,
+        expiresAt: invite.expiresAt
+      });
+    }
+  }
+
+  try {
+    await sendInvitationMail(session, invite, req.user, typeof message === 'string' ? message.slice(0, 1000) : '');
+    console.log(`✉️ ${req.user.name} invited ${invite.email} to session ${session.id}`);
+    res.status(201).json({ success: true, invite: describeInvite(invite), mailSent: true });
+  } catch (error) {
+    // The invitation stays valid; the inviter can share the key another way
+    console.error(`❌ Failed to send invitation mail to ${invite.email}:`, error.message);
+    res.status(201).json({ success: true, invite: describeInvite(invite), mailSent: false });
+  }
+});
+
+// Pending email invitations for the signed-in user
+app.get('/api/invitations', authenticate('required'), (req, res) => {
+  const invitations = findInvitationsForEmail(collaborationSessions.values(), req.user.email)
+    .map(({ session, invite }) => ({
+      sessionId: session.id,
+      sessionName: session.name,
+      inviteId: invite.id,
+      inviteKey: invite.key,
+      role: invite.role,
+      invitedBy: invite.createdBy,
+      createdAt: invite.createdAt,
+      expiresAt: invite.expiresAt
+    }));
+  res.json({ success: true, invitations });
+});
+
+// Session file version history endpoints
+app.get('/api/sessions/:sessionId/files/versions', authenticate('required'), async (req, res) => {
+  try {
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
+
+    const filePath = sessionFileKey(access.session, req.query.path);
+    if (!filePath) {
+      res.status(400).json({ success: false, message: 'File path is required' });
+      return;
+    }
+
+    res.json({ success: true, path: filePath, versions: listFileVersions(access.session.fileVersions, filePath) });
+  } catch (error) {
+    console.error('Error listing file versions:', error);
+    res.status(500).json({ success: false, message: error.message });
+  }
+});
 
-    const session = collaborationSessions.get(sessionId);
-    if (!session) {
-      res.status(404).json({ success: false, message: 'Session not found' });
-      return;
-    }
+app.get('/api/sessions/:sessionId/files/versions/:version', authenticate('required'), async (req, res) => {
+  try {
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
 
-    // Only creator can regenerate invite key
-    if (session.creatorId !== user.id) {
-      res.status(403).json({ success: false, message: 'Only session creator can regenerate invite key' });
+    const version = getFileVersion(access.session.fileVersions, sessionFileKey(access.session, req.query.path), parseInt(req.params.version));
+    if (!version) {
+      res.status(404).json({ success: false, message: 'Version not found' });
       return;
     }
 
-    // Remove old key and generate new one
-    sessionInviteKeys.delete(session.inviteKey);
-    const newInviteKey = generateInviteKey();
-    session.inviteKey = newInviteKey;
-    sessionInviteKeys.set(newInviteKey, sessionId);
-
-    res.json({ 
-      success: true, 
-      inviteKey: newInviteKey,
-      message: 'Invite key regenerated successfully'
-    });
-    
+    res.json({ success: true, version });
   } catch (error) {
-    console.error('Error regenerating invite key:', error);
+    console.error('Error getting file version:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-app.delete('/api/sessions/:sessionId', async (req, res) => {
-  const { sessionId } = req.params;
-  const token = req.headers.authorization?.split(' ')[1];
-  
-  if (!token) {
-    res.status(401).json({ success: false, message: 'Authentication required' });
-    return;
+app.get('/api/sessions/:sessionId/files/diff', authenticate('required'), async (req, res) => {
+  try {
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
+
+    const { from, to } = req.query;
+    const filePath = sessionFileKey(access.session, req.query.path);
+    const versions = access.session.fileVersions.get(filePath) || [];
+    const toVersion = to ? parseInt(to) : versions[versions.length - 1]?.version;
+    const fromVersion = from ? parseInt(from) : toVersion - 1;
+
+    const diff = diffFileVersions(access.session.fileVersions, filePath, fromVersion, toVersion);
+    res.json({ success: true, ...diff });
+  } catch (error) {
+    console.error('Error diffing file versions:', error);
+    res.status(404).json({ success: false, message: error.message });
   }
+});
 
+app.post('/api/sessions/:sessionId/files/restore', authenticate('required'), async (req, res) => {
   try {
-    const tokenInfo = await verifyToken(token);
-    let user;
-    
-    if (tokenInfo.type === 'firebase') {
-      user = Array.from(users.values()).find(u => u.id === tokenInfo.userId || u.email === tokenInfo.email);
-    } else {
-      user = users.get(tokenInfo.email);
-    }
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
 
-    const session = collaborationSessions.get(sessionId);
-    if (!session) {
-      res.status(404).json({ success: false, message: 'Session not found' });
-      return;
-    }
+    const { session, user } = access;
 
-    // Only creator can delete session
-    if (session.creatorId !== user.id) {
-      res.status(403).json({ success: false, message: 'Only session creator can delete session' });
+    const { version } = req.body;
+    const filePath = sessionFileKey(session, req.body.path);
+    if (!filePath || !Number.isInteger(version)) {
+      res.status(400).json({ success: false, message: 'File path and version are required' });
       return;
     }
 
-    // Notify all connected users that session is being deleted
-    io.to(sessionId).emit('session_deleted', {
-      sessionId: sessionId,
-      message: 'Session has been deleted by the creator'
+    const restored = restoreSessionFileVersion(session, filePath, version, {
+      id: user.id,
+      name: user.name,
+      email: user.email
     });
 
-    // Clean up session data
-    collaborationSessions.delete(sessionId);
-    sessionInviteKeys.delete(session.inviteKey);
-    sessionUsers.delete(sessionId);
+    res.json({ success: true, version: restored.version.version, revision: restored.revision });
+  } catch (error) {
+    console.error('Error restoring file version:', error);
+    res.status(404).json({ success: false, message: error.message });
+  }
+});
 
-    res.json({ 
-      success: true, 
-      message: 'Session deleted successfully'
+// Execution history of a session, newest first
+app.get('/api/sessions/:sessionId/executions', authenticate('required'), async (req, res) => {
+  try {
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
+
+    const executions = listExecutions(access.session.executionHistory || [], {
+      limit: parseInt(req.query.limit) || undefined,
+      userId: req.query.userId || null
     });
-    
+    res.json({ success: true, executions });
   } catch (error) {
-    console.error('Error deleting session:', error);
+    console.error('Error listing executions:', error);
     res.status(500).json({ success: false, message: error.message });
   }
 });
 
-app.post('/api/sessions', (req, res) => {
+app.post('/api/sessions', authenticate('required'), (req, res) => {
   const { sessionId, sessionData } = req.body;
   
   try {
@@ -1409,14 +2357,137 @@ app.get('/api/test-socket', (req, res) => {
   });
 });
 
-// Piston API endpoints for code execution
+// Code execution endpoints
+
+// Helper function to shape a backend result the way clients expect.
+// Compiler and interpreter errors are attributed to the files that were run.
+const formatExecutionResult = (language, languageConfig, result, files) => {
+  const errorOutput = [result.compile?.stderr, result.compile?.stdout, result.run?.stderr].filter(Boolean).join('\n');
+  const diagnostics = parseCompilerDiagnostics(errorOutput, files.map(file => file.name)).map(diagnostic => ({
+    ...diagnostic,
+    path: files.find(file => file.name === diagnostic.file)?.path || diagnostic.file
+  }));
+
+  return {
+    success: true,
+    language: language,
+    version: languageConfig.version,
+    compile: result.compile || { stdout: '', stderr: '', code: 0 },
+    run: result.run || { stdout: '', stderr: '', code: 0 },
+    output: result.run?.stdout || '',
+    error: result.run?.stderr || result.compile?.stderr || '',
+    // A run killed by a signal (e.g. a timeout) has no exit code
+    exitCode: result.run ? (result.run.code ?? -1) : (result.compile?.code ?? 0),
+    diagnostics: diagnostics,
+    entryPoint: files[0].name,
+    executionTime: Date.now()
+  };
+};
+
+// Runs started over the socket that are still in progress, by execution id,
+// so that they can be cancelled with execution_cancel
+const activeExecutions = new Map();
+
+// Runs wait here until their session has a free execution slot
+const executionQueue = new ExecutionQueue({
+  maxQueued: parseInt(process.env.MAX_QUEUED_EXECUTIONS) || 20
+});
+
+// Helper function to broadcast the state of a run (queued, running, finished,
+// failed or cancelled) to its session
+const emitExecutionStatus = (execution, status, extra = {}) => {
+  if (!execution.sessionId) return;
+  io.to(execution.sessionId).emit('execution_status', {
+    executionId: execution.id,
+    status,
+    sessionId: execution.sessionId,
+    userName: execution.userName,
+    ...extra,
+    timestamp: Date.now()
+  });
+};
+
+// Helper function to add a run that ended to its session's execution history
+const recordSessionExecution = (execution, status, { output = '', error = '', exitCode = null } = {}) => {
+  const session = collaborationSessions.get(execution.sessionId);
+  if (!session) return null;
+  if (!session.executionHistory) {
+    session.executionHistory = [];
+  }
+
+  const entry = recordExecution(session.executionHistory, {
+    id: execution.id,
+    files: execution.files,
+    language: execution.language,
+    entryPoint: execution.entryPoint,
+    status,
+    output,
+    error,
+    exitCode,
+    user: { id: execution.userId, name: execution.userName },
+    startedAt: execution.startedAt
+  });
+  persistSession(session);
+  return entry;
+};
+
+// Helper function to create a unique execution id
+const generateExecutionId = () => {
+  return `exec_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+};
+
+// Interactive runs wait for input from users, so they get a longer time limit
+const INTERACTIVE_RUN_TIMEOUT = 5 * 60 * 1000;
+const MAX_STDIN_CHUNK = 64 * 1024;
+
+// Limits for multi-file runs
+const MAX_EXECUTION_FILES = 200;
+const MAX_EXECUTION_BYTES = 5 * 1024 * 1024;
+
+// Helper function to validate the files of a multi-file run and put the entry point first
+const orderExecutionFiles = (files, entryPoint) => {
+  if (files.length > MAX_EXECUTION_FILES) {
+    throw new Error(`Too many files to execute (maximum ${MAX_EXECUTION_FILES})`);
+  }
+  const totalBytes = files.reduce((total, file) => total + file.content.length, 0);
+  if (totalBytes > MAX_EXECUTION_BYTES) {
+    throw new Error('Files are too large to execute');
+  }
+
+  const entry = entryPoint
+    ? files.find(file => file.name === entryPoint || file.path === entryPoint)
+    : files[0];
+  if (!entry) {
+    throw new Error(`Entry point ${entryPoint} not found`);
+  }
+  return [entry, ...files.filter(file => file !== entry)];
+};
+
+// Helper function to collect the session files a user may read for a run.
+// Paths are made relative to the session; filePaths limits the run to some
+// files (default: all files).
+const collectSessionExecutionFiles = (session, userId, entryPoint, filePaths) => {
+  const entryKey = sessionFileKey(session, entryPoint);
+  if (!entryKey) {
+    throw new Error(`Entry point ${entryPoint} not found`);
+  }
+  const selected = Array.isArray(filePaths) ? new Set(filePaths.map(filePath => sessionFileKey(session, filePath))) : null;
+
+  const files = Array.from(session.files.entries())
+    .filter(([filePath, data]) => typeof data.content === 'string' && data.type !== 'directory')
+    .filter(([filePath]) => !selected || selected.has(filePath) || filePath === entryKey)
+    .filter(([filePath]) => canReadPath(session, userId, filePath))
+    .map(([filePath, data]) => ({ name: normalizeSessionPath(session, filePath), path: filePath, content: data.content }));
+
+  return orderExecutionFiles(files, entryKey);
+};
 
 // Get available languages
 app.get('/api/execution/languages', async (req, res) => {
   try {
-    const response = await axios.get(`${PISTON_API_URL}/runtimes`);
+    const runtimes = await executionBackend.listRuntimes(languageMap);
     const supportedLanguages = Object.keys(languageMap).map(lang => {
-      const pistonLang = response.data.find(r => 
+      const runtime = runtimes.find(r => 
         r.language === languageMap[lang].language && 
         r.version === languageMap[lang].version
       );
@@ -1424,7 +2495,7 @@ app.get('/api/execution/languages', async (req, res) => {
         name: lang,
         displayName: lang.charAt(0).toUpperCase() + lang.slice(1),
         version: languageMap[lang].version,
-        available: !!pistonLang
+        available: !!runtime
       };
     });
     
@@ -1443,69 +2514,127 @@ app.get('/api/execution/languages', async (req, res) => {
   }
 });
 
-// Execute code
-app.post('/api/execution/execute', async (req, res) => {
+// Execute code: { code | files + entryPoint, language, input }. With a sessionId
+// the run needs canExecute in that session and shares the session's queue with
+// execute_code; without one it waits in a queue of the user's own runs.
+app.post('/api/execution/execute', authenticate('required'), async (req, res) => {
+  let session = null;
+  let user = req.user;
+  if (req.body && req.body.sessionId !== undefined) {
+    const access = await getSessionForMember(req, res);
+    if (!access) return;
+    ({ session, user } = access);
+  }
+
+  const executionId = generateExecutionId();
   try {
-    const { code, language, input = '' } = req.body;
+    const { code, language, input = '', files: projectFiles, entryPoint } = req.body;
     
-    if (!code || !language) {
+    if ((!code && !Array.isArray(projectFiles)) || !language) {
       return res.status(400).json({
-        error: 'Code and language are required'
+        error: 'Code (or files) and language are required'
       });
     }
 
-    const pistonConfig = languageMap[language.toLowerCase()];
-    if (!pistonConfig) {
+    const languageConfig = languageMap[language.toLowerCase()];
+    if (!languageConfig) {
       return res.status(400).json({
         error: `Unsupported language: ${language}`
       });
     }
 
-    console.log(`🚀 Executing ${language} code...`);
-    
-    const executionRequest = {
-      language: pistonConfig.language,
-      version: pistonConfig.version,
-      files: [
-        {
-          name: getFileName(language),
-          content: code
-        }
-      ],
-      stdin: input,
-      compile_timeout: 10000,
-      run_timeout: 3000,
-      compile_memory_limit: -1,
-      run_memory_limit: -1
-    };
-
-    const response = await axios.post(`${PISTON_API_URL}/execute`, executionRequest, {
-      timeout: 15000,
-      headers: {
-        'Content-Type': 'application/json'
+    // Multi-file projects send { name, content } files plus an entry point
+    let files;
+    if (Array.isArray(projectFiles)) {
+      if (!projectFiles.every(file => file && typeof file.name === 'string' && typeof file.content === 'string')) {
+        return res.status(400).json({
+          error: 'Each file needs a name and content'
+        });
       }
-    });
+      try {
+        files = orderExecutionFiles(projectFiles.map(({ name, content }) => ({ name, content })), entryPoint);
+      } catch (validationError) {
+        return res.status(400).json({
+          error: validationError.message
+        });
+      }
+    } else {
+      files = [{ name: getFileName(language), content: code }];
+    }
 
-    const result = response.data;
+    console.log(`🚀 Executing ${language} code (${files.length} file${files.length === 1 ? '' : 's'}) for ${user.name}${session ? ` in session ${session.id}` : ''} on ${executionBackend.name} backend...`);
+
+    const execution = {
+      id: executionId,
+      sessionId: session ? session.id : null,
+      userId: user.id,
+      userName: user.name,
+      language,
+      entryPoint: entryPoint || null,
+      files,
+      startedAt: null,
+      controller: new AbortController(),
+      cancelledBy: null,
+      stdin: null,
+      sequence: 0
+    };
+    activeExecutions.set(executionId, execution);
+
+    // Runs beyond the session's (or user's) concurrency limit wait for a free slot
+    const queueKey = session ? session.id : `user:${user.id}`;
+    const result = await executionQueue.enqueue(queueKey, executionId, () => {
+      execution.startedAt = Date.now();
+      emitExecutionStatus(execution, 'running');
+      return executionBackend.execute({
+        config: languageConfig,
+        files: files.map(({ name, content }) => ({ name, content })),
+        stdin: input,
+        signal: execution.controller.signal
+      });
+    }, {
+      concurrency: session ? clampExecutionConcurrency(session.settings.maxConcurrentExecutions) : USER_EXECUTION_CONCURRENCY
+    });
     
     // Format the response
-    const executionResult = {
-      success: true,
-      language: language,
-      version: pistonConfig.version,
-      compile: result.compile || { stdout: '', stderr: '', code: 0 },
-      run: result.run || { stdout: '', stderr: '', code: 0 },
-      output: result.run?.stdout || '',
-      error: result.run?.stderr || result.compile?.stderr || '',
-      exitCode: result.run?.code ?? result.compile?.code ?? 0,
-      executionTime: Date.now()
-    };
+    const executionResult = { ...formatExecutionResult(language, languageConfig, result, files), executionId };
+
+    const status = execution.controller.signal.aborted ? 'cancelled' : 'finished';
+    recordSessionExecution(execution, status, {
+      output: executionResult.output,
+      error: executionResult.error,
+      exitCode: executionResult.exitCode
+    });
+    emitExecutionStatus(execution, status, { exitCode: executionResult.exitCode });
 
     console.log(`✅ Code execution completed for ${language}`);
     res.json(executionResult);
 
   } catch (error) {
     console.error('❌ Code execution error:', error.message);
+    const execution = activeExecutions.get(executionId);
+
+    if (error.code === 'EXECUTION_QUEUE_FULL') {
+      return res.status(429).json({
+        success: false,
+        error: error.message,
+        executionId
+      });
+    }
+    if (error.code === 'EXECUTION_CANCELLED') {
+      if (execution) {
+        recordSessionExecution(execution, 'cancelled');
+        emitExecutionStatus(execution, 'cancelled');
+      }
+      return res.status(409).json({
+        success: false,
+        error: 'Code execution was cancelled',
+        executionId
+      });
+    }
+    if (execution) {
+      recordSessionExecution(execution, 'failed', { error: error.message });
+      emitExecutionStatus(execution, 'failed', { error: error.message });
+    }
     
     if (error.code === 'ECONNABORTED') {
       return res.status(408).json({
@@ -1520,30 +2649,11 @@ app.post('/api/execution/execute', async (req, res) => {
       error: 'Code execution failed',
       details: error.message
     });
+  } finally {
+    activeExecutions.delete(executionId);
   }
 });
 
-// Helper function to get appropriate filename for language
-function getFileName(language) {
-  const extensions = {
-    'javascript': 'main.js',
-    'typescript': 'main.ts',
-    'python': 'main.py',
-    'java': 'Main.java',
-    'cpp': 'main.cpp',
-    'c': 'main.c',
-    'php': 'main.php',
-    'ruby': 'main.rb',
-    'go': 'main.go',
-    'rust': 'main.rs',
-    'kotlin': 'Main.kt',
-    'swift': 'main.swift',
-    'csharp': 'Main.cs'
-  };
-  
-  return extensions[language.toLowerCase()] || 'main.txt';
-}
-
 // Track connections to prevent spam and improve stability
 const connectionTracker = new Map();
 const MAX_CONNECTIONS_PER_IP = 10; // Increased limit
@@ -1568,11 +2678,213 @@ const updatePerformanceMetrics = () => {
   };
 };
 
+// Helper function to check the permission a socket event needs; tells the
+// client when it is missing
+const ensureSocketPermission = (socket, session, action, details) => {
+  const check = checkPermission(session, socket.userId, action, details);
+  if (!check.allowed) {
+    socket.emit('error', check.message);
+  }
+  return check.allowed;
+};
+
+// Helper function to send a file event to the session members whose path
+// rules let them read the file; with a sender socket, the sender is skipped
+// like with socket.to()
+const emitFileEvent = (session, filePath, event, payload, sender = null) => {
+  if (!session.pathRules || session.pathRules.size === 0) {
+    (sender ? sender.to(session.id) : io.to(session.id)).emit(event, payload);
+    return;
+  }
+
+  for (const memberSocket of io.sockets.sockets.values()) {
+    if (memberSocket.sessionId !== session.id || memberSocket === sender) continue;
+    if (canReadPath(session, memberSocket.userId, filePath)) {
+      memberSocket.emit(event, payload);
+    }
+  }
+};
+
+// Helper function to tell a session about a member's new role and capabilities
+const emitPermissionsUpdated = (session, userId, updatedBy) => {
+  io.to(session.id).emit('permissions_updated', {
+    userId,
+    role: getMemberRole(session, userId),
+    permissions: getUserPermissions(session, userId),
+    updatedBy,
+    sessionId: session.id,
+    timestamp: Date.now()
+  });
+};
+
+const MAX_PERMISSION_HISTORY = 500;
+
+// Helper function to add an entry to a session's permission history and save the
+// session: { action: 'updated' | 'preassigned' | 'applied', userId or email, role, permissions }
+const recordPermissionChange = (session, change, changedBy) => {
+  const entry = { ...change, changedBy, timestamp: Date.now() };
+  session.permissionHistory = [...(session.permissionHistory || []), entry].slice(-MAX_PERMISSION_HISTORY);
+  persistSession(session);
+  return entry;
+};
+
+// Helper function to apply the access an owner pre-assigned to a user, replacing
+// any access they had (owners keep full access); returns whether it was applied
+const applyPendingPermissions = (session, userId, email) => {
+  const pending = takePendingPermissions(session, userId, email);
+  if (!pending || isSessionOwner(session, userId)) return false;
+
+  const previous = session.userPermissions.has(userId)
+    ? { role: getMemberRole(session, userId), permissions: getUserPermissions(session, userId) }
+    : undefined;
+  applyAccessAssignment(session, userId, pending);
+  recordPermissionChange(session, {
+    action: 'applied',
+    userId,
+    role: getMemberRole(session, userId),
+    permissions: getUserPermissions(session, userId),
+    previous
+  }, pending.assignedBy);
+  return true;
+};
+
+// Helper function to put a socket into a session it was admitted to and send
+// it the session state
+const completeSocketJoin = (socket, session, message) => {
+  socket.sessionId = session.id;
+  
+  // Join the socket room for this session
+  socket.join(session.id);
+  
+  // Send session data to the user
+  socket.emit('session_joined', {
+    session: {
+      id: session.id,
+      name: session.name,
+      creatorId: session.creatorId,
+      coOwners: Array.from(session.coOwners),
+      createdAt: session.createdAt,
+      settings: session.settings,
+      userCount: session.connectedUsers.size,
+      userPermissions: getUserPermissions(session, socket.userId)
+    },
+    message
+  });
+
+  console.log(`📤 Sent session_joined event to ${socket.userName} for session ${session.id}`);
+
+  // Send current session state
+  socket.emit('code_update', {
+    code: session.currentCode,
+    sessionId: session.id
+  });
+
+  // Send virtual file system state for this session, without paths the user may not read
+  const sessionFiles = Array.from(session.files.entries())
+    .filter(([path]) => canReadPath(session, socket.userId, path))
+    .map(([path, data]) => ({
+      path,
+      ...data
+    }));
+  socket.emit('virtual_fs_state', sessionFiles);
+
+  // Notify other users in the session
+  socket.to(session.id).emit('user_joined_session', {
+    userId: socket.userId,
+    userName: socket.userName,
+    userEmail: socket.userEmail,
+    userRole: socket.userRole,
+    userAvatar: socket.userAvatar,
+    sessionId: session.id,
+    userCount: session.connectedUsers.size,
+    timestamp: Date.now()
+  });
+
+  // Send updated session info to all users in the session (including the one who just joined)
+  io.to(session.id).emit('session_update', {
+    sessionId: session.id,
+    userCount: session.connectedUsers.size,
+    timestamp: Date.now()
+  });
+};
+
+// Waiting room for sessions with settings.requireApproval
+// Helper function to send an event to the sockets of a session's owners
+const emitToSessionOwners = (session, event, payload) => {
+  for (const ownerSocket of io.sockets.sockets.values()) {
+    if (isSessionOwner(session, ownerSocket.userId)) {
+      ownerSocket.emit(event, payload);
+    }
+  }
+};
+
+const describeJoinRequest = (session, request) => ({
+  sessionId: session.id,
+  userId: request.user.id,
+  userName: request.user.name,
+  userEmail: request.user.email,
+  userAvatar: request.user.avatar,
+  userRole: request.user.role,
+  inviteId: request.inviteId,
+  requestedAt: request.requestedAt
+});
+
+// Helper function to add a user to the waiting room and tell the owners
+const addJoinRequest = (session, inviteKey, invite, userInfo) => {
+  let request = session.joinRequests.get(userInfo.id);
+  if (request) {
+    request.inviteKey = inviteKey;
+    request.inviteId = invite ? invite.id : null;
+    return request;
+  }
+
+  request = {
+    sessionId: session.id,
+    user: {
+      id: userInfo.id,
+      name: userInfo.name,
+      email: userInfo.email,
+      avatar: userInfo.avatar,
+      role: userInfo.role
+    },
+    inviteKey,
+    inviteId: invite ? invite.id : null,
+    requestedAt: Date.now(),
+    socketIds: new Set() // Sockets that wait for the answer
+  };
+  session.joinRequests.set(userInfo.id, request);
+
+  emitToSessionOwners(session, 'join_request', describeJoinRequest(session, request));
+  console.log(`🚪 ${userInfo.name} is waiting for approval to join session ${session.id}`);
+  return request;
+};
+
+// Helper function to tell the sockets of a waiting user that they were not admitted
+const notifyJoinDenied = (session, request, reason) => {
+  for (const socketId of request.socketIds) {
+    const waitingSocket = io.sockets.sockets.get(socketId);
+    if (!waitingSocket) continue;
+    waitingSocket.pendingJoinSessionId = null;
+    waitingSocket.emit('join_denied', { sessionId: session.id, sessionName: session.name, reason, timestamp: Date.now() });
+  }
+};
+
 io.on('connection', (socket) => {
   const clientId = socket.id;
   const clientIP = socket.request.connection.remoteAddress || socket.handshake.address || 'unknown';
   const userName = socket.userName;
   const userEmail = socket.userEmail;
+
+  // Tell clients whose token failed or who are not allowed as guests; the
+  // latter are disconnected
+  if (socket.authError) {
+    const { fatal, ...authError } = socket.authError;
+    socket.emit('auth_error', { ...authError, guest: !fatal, guestPolicy: GUEST_POLICY, timestamp: Date.now() });
+    if (fatal) {
+      socket.disconnect(true);
+      return;
+    }
+  }
   
   // Enhanced rate limiting per IP
   const now = Date.now();
@@ -1598,6 +2910,43 @@ io.on('connection', (socket) => {
     console.error(`❌ Socket error for ${userName} (${clientId}):`, error);
   });
 
+  // Warn before the token expires and act on it when it does
+  scheduleTokenExpiry(socket);
+
+  // Replace the token of a connected socket, e.g. after the client refreshed an
+  // expiring token. Replies through the acknowledgement callback when one is given.
+  socket.on('reauthenticate', async (data, callback) => {
+    const respond = typeof callback === 'function' ? callback : () => {};
+
+    try {
+      const tokenInfo = await verifyToken(data?.token);
+      const user = await resolveUserFromToken(tokenInfo);
+      if (!user || user.isActive === false) {
+        throw new Error('User not found or inactive');
+      }
+
+      // A socket keeps its user; a downgraded socket can only get its own user back
+      // and a guest cannot switch users while it is in a session
+      const expectedUserId = socket.authenticated ? socket.userId : socket.expiredUserId;
+      if (expectedUserId ? user.id !== expectedUserId : socket.sessionId) {
+        throw new Error('Token belongs to a different user');
+      }
+
+      applyUserIdentity(socket, user, tokenInfo);
+      scheduleTokenExpiry(socket);
+
+      const response = { success: true, userId: user.id, expiresAt: socket.tokenExpiresAt, timestamp: Date.now() };
+      socket.emit('reauthenticated', response);
+      respond(response);
+      console.log(`🔑 Socket ${clientId} reauthenticated as ${user.name} (${user.email})`);
+    } catch (error) {
+      console.log(`⚠️ Socket reauthentication failed for ${socket.userName} (${clientId}):`, error.message);
+      const response = { success: false, message: 'Reauthentication failed: invalid or expired token', timestamp: Date.now() };
+      socket.emit('reauthentication_failed', response);
+      respond(response);
+    }
+  });
+
   console.log(`✅ Socket event handlers registered for ${userName} (${clientId})`);
 
   // Session management events
@@ -1611,6 +2960,13 @@ io.on('connection', (socket) => {
       
       if (inviteKey) {
         console.log(`🔑 Attempting to join session with invite key: ${inviteKey}`);
+
+        // Guests may only join sessions that allow them
+        const targetSession = collaborationSessions.get(sessionInviteKeys.get(inviteKey));
+        if (targetSession && !socket.authenticated && !targetSession.settings.allowGuests) {
+          socket.emit('session_error', { message: 'Authentication required for this session', code: 'AUTH_REQUIRED' });
+          return;
+        }
         
         // Join session using invite key
         const userInfo = {
@@ -1622,59 +2978,7 @@ io.on('connection', (socket) => {
         };
         
         session = await joinSessionWithKey(inviteKey, socket.userId, userInfo);
-        socket.sessionId = session.id;
-        
-        // Join the socket room for this session
-        socket.join(session.id);
-        
-        // Send session data to the user
-        socket.emit('session_joined', {
-          session: {
-            id: session.id,
-            name: session.name,
-            creatorId: session.creatorId,
-            createdAt: session.createdAt,
-            settings: session.settings,
-            userCount: session.connectedUsers.size,
-            userPermissions: session.userPermissions.get(socket.userId)
-          },
-          message: `Successfully joined session: ${session.name}`
-        });
-
-        console.log(`📤 Sent session_joined event to ${socket.userName} for session ${session.id}`);
-
-        // Send current session state
-        socket.emit('code_update', {
-          code: session.currentCode,
-          sessionId: session.id
-        });
-
-        // Send virtual file system state for this session
-        const sessionFiles = Array.from(session.files.entries()).map(([path, data]) => ({
-          path,
-          ...data
-        }));
-        socket.emit('virtual_fs_state', sessionFiles);
-
-        // Notify other users in the session
-        socket.to(session.id).emit('user_joined_session', {
-          userId: socket.userId,
-          userName: socket.userName,
-          userEmail: socket.userEmail,
-          userRole: socket.userRole,
-          userAvatar: socket.userAvatar,
-          sessionId: session.id,
-          userCount: session.connectedUsers.size,
-          timestamp: Date.now()
-        });
-
-        // Send updated session info to all users in the session (including the one who just joined)
-        io.to(session.id).emit('session_update', {
-          sessionId: session.id,
-          userCount: session.connectedUsers.size,
-          timestamp: Date.now()
-        });
-
+        completeSocketJoin(socket, session, `Successfully joined session: ${session.name}`);
         console.log(`👥 User ${socket.userName} joined session ${session.id} via invite key`);
         
       } else if (requestedSessionId) {
@@ -1685,32 +2989,25 @@ io.on('connection', (socket) => {
           return;
         }
 
-        if (!session.connectedUsers.has(socket.userId)) {
+        if (!isSessionMember(session, socket.userId)) {
           socket.emit('session_error', { message: 'Access denied to this session' });
           return;
         }
 
-        socket.sessionId = session.id;
-        socket.join(session.id);
-
-        socket.emit('session_joined', {
-          session: {
-            id: session.id,
-            name: session.name,
-            creatorId: session.creatorId,
-            createdAt: session.createdAt,
-            settings: session.settings,
-            userCount: session.connectedUsers.size,
-            userPermissions: session.userPermissions.get(socket.userId)
-          },
-          message: `Reconnected to session: ${session.name}`
-        });
+        if (!socket.authenticated && !session.settings.allowGuests) {
+          socket.emit('session_error', { message: 'Authentication required for this session', code: 'AUTH_REQUIRED' });
+          return;
+        }
 
-        // Send current session state
-        socket.emit('code_update', {
-          code: session.currentCode,
-          sessionId: session.id
+        // Members who are not connected (e.g. after a restart) take their place again
+        reconnectSessionMember(session, socket.userId, {
+          id: socket.userId,
+          name: socket.userName,
+          email: socket.userEmail,
+          avatar: socket.userAvatar,
+          role: socket.userRole
         });
+        completeSocketJoin(socket, session, `Reconnected to session: ${session.name}`);
 
         console.log(`🔄 User ${socket.userName} reconnected to session ${session.id}`);
         
@@ -1720,53 +3017,102 @@ io.on('connection', (socket) => {
       }
 
     } catch (error) {
+      if (error.code === 'JOIN_APPROVAL_PENDING') {
+        const request = error.joinRequest;
+        request.socketIds.add(socket.id);
+        socket.pendingJoinSessionId = request.sessionId;
+        socket.emit('join_pending', { sessionId: request.sessionId, message: error.message, requestedAt: request.requestedAt });
+        return;
+      }
       console.error(`❌ Error joining session for ${socket.userName}:`, error.message);
-      socket.emit('session_error', { message: error.message });
+      socket.emit('session_error', { message: error.message, code: error.code });
     }
   });
 
-  socket.on('leave_session', () => {
-    if (socket.sessionId) {
-      const session = collaborationSessions.get(socket.sessionId);
-      if (session) {
-        // Leave the socket room
-        socket.leave(socket.sessionId);
-        
-        // Remove user from session
-        const userInfo = {
-          id: socket.userId,
-          name: socket.userName,
-          email: socket.userEmail,
-          avatar: socket.userAvatar,
-          role: socket.userRole
-        };
-        
-        leaveSession(socket.sessionId, socket.userId, userInfo);
-        
-        // Notify other users in the session
-        socket.to(socket.sessionId).emit('user_left_session', {
-          userId: socket.userId,
-          userName: socket.userName,
-          sessionId: socket.sessionId,
-          userCount: session.connectedUsers.size,
-          timestamp: Date.now()
-        });
+  // Waiting room: session owners list, approve and deny join requests
+  socket.on('get_join_requests', (data) => {
+    const session = collaborationSessions.get(data?.sessionId || socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+    if (!isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'Only session owners can see join requests');
+      return;
+    }
+
+    socket.emit('join_requests', {
+      sessionId: session.id,
+      requests: Array.from(session.joinRequests.values()).map(request => describeJoinRequest(session, request))
+    });
+  });
+
+  socket.on('respond_join_request', async (data) => {
+    const { userId, approve = false, reason = '' } = data || {};
+    const session = collaborationSessions.get(data?.sessionId || socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+    if (!isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'Only session owners can answer join requests');
+      return;
+    }
 
-        // Send updated session info to all remaining users in the session
-        io.to(socket.sessionId).emit('session_update', {
-          sessionId: socket.sessionId,
-          userCount: session.connectedUsers.size,
-          timestamp: Date.now()
-        });
-        
-        socket.emit('session_left', { 
-          sessionId: socket.sessionId,
-          message: 'Successfully left the session'
-        });
-        
-        console.log(`👋 User ${socket.userName} left session ${socket.sessionId}`);
-        socket.sessionId = null;
+    const request = session.joinRequests.get(userId);
+    if (!request) {
+      socket.emit('error', 'Join request not found');
+      return;
+    }
+    session.joinRequests.delete(userId);
+
+    let admitted = false;
+    if (approve) {
+      try {
+        await joinSessionWithKey(request.inviteKey, userId, request.user, { approved: true });
+        admitted = true;
+      } catch (error) {
+        // E.g. the session filled up or the invite expired while the user waited
+        socket.emit('error', `Could not admit ${request.user.name}: ${error.message}`);
+        notifyJoinDenied(session, request, error.message);
+      }
+    } else {
+      notifyJoinDenied(session, request, typeof reason === 'string' && reason ? reason.slice(0, 500) : 'The session owner declined your request');
+    }
+
+    if (admitted) {
+      for (const socketId of request.socketIds) {
+        const waitingSocket = io.sockets.sockets.get(socketId);
+        if (!waitingSocket) continue;
+        waitingSocket.pendingJoinSessionId = null;
+        completeSocketJoin(waitingSocket, session, `Your request to join ${session.name} was approved`);
+      }
+    }
+
+    emitToSessionOwners(session, 'join_request_resolved', {
+      sessionId: session.id,
+      userId,
+      approved: admitted,
+      resolvedBy: socket.userName,
+      timestamp: Date.now()
+    });
+    console.log(`🚪 ${socket.userName} ${admitted ? 'approved' : 'denied'} the join request of ${request.user.name} for session ${session.id}`);
+  });
+
+  socket.on('leave_session', () => {
+    // Leave the socket room, remove the user and notify the other users. Members
+    // who leave on purpose need a key to come back; owners stay owners.
+    const session = removeSocketFromSession(socket, 'leave');
+    if (session) {
+      if (!isSessionOwner(session, socket.userId)) {
+        revokeSessionMembership(session, socket.userId, 'leave');
       }
+      socket.emit('session_left', { 
+        sessionId: session.id,
+        message: 'Successfully left the session'
+      });
+      
+      console.log(`👋 User ${socket.userName} left session ${session.id}`);
     }
   });
 
@@ -1792,24 +3138,19 @@ io.on('connection', (socket) => {
     }
   });
 
-  socket.on('get_session_info', () => {
-    if (socket.sessionId) {
-      const session = collaborationSessions.get(socket.sessionId);
-      if (session) {
-        socket.emit('session_info', {
-          sessionId: session.id,
-          name: session.name,
-          creatorId: session.creatorId,  // Include creatorId
-          userCount: session.connectedUsers.size,
-          settings: session.settings,
-          createdAt: session.createdAt,   // Include createdAt for consistency
-          timestamp: Date.now()
-        });
+  socket.on('disconnect', (reason) => {
+    clearTokenExpiry(socket);
+
+    // Leave the waiting room once no socket of the user waits any more
+    const waitingSession = socket.pendingJoinSessionId && collaborationSessions.get(socket.pendingJoinSessionId);
+    const joinRequest = waitingSession && waitingSession.joinRequests.get(socket.userId);
+    if (joinRequest) {
+      joinRequest.socketIds.delete(socket.id);
+      if (joinRequest.socketIds.size === 0) {
+        waitingSession.joinRequests.delete(socket.userId);
+        emitToSessionOwners(waitingSession, 'join_request_cancelled', { sessionId: waitingSession.id, userId: socket.userId, timestamp: Date.now() });
       }
     }
-  });
-
-  socket.on('disconnect', (reason) => {
     console.log(`🔌 Client disconnected: ${socket.userName} (${socket.userEmail}) - ${clientId} - Reason: ${reason}`);
     
     // Leave session if connected to one
@@ -1846,11 +3187,9 @@ io.on('connection', (socket) => {
     }
     
     // Update user status to offline
-    const user = users.get(socket.userEmail);
+    const user = socket.authenticated ? userRepository.getCachedById(socket.userId) : null;
     if (user) {
-      if (typeof user.setOffline === 'function') {
-        user.setOffline();
-      }
+      userRepository.setOnline(user.id, false);
       
       // Log activity
       const disconnectActivity = new Activity({
@@ -1865,7 +3204,7 @@ io.on('connection', (socket) => {
         details: {
           clientId: clientId,
           reason: reason,
-          sessionDuration: Date.now() - user.lastActivity,
+          sessionDuration: user.lastLoginAt ? Date.now() - user.lastLoginAt : null,
           sessionId: socket.sessionId
         }
       });
@@ -1997,14 +3336,11 @@ io.on('connection', (socket) => {
       }
 
       // Check user permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canEdit) {
-        socket.emit('error', 'You do not have permission to edit in this session');
-        return;
-      }
+      if (!ensureSocketPermission(socket, session, 'code_change')) return;
 
       if (typeof newCode === 'string' && newCode.length < 1000000) { // 1MB limit
         session.currentCode = newCode;
+        persistSession(session);
         
         // Broadcast to other users in the same session only
         socket.to(socket.sessionId).emit('code_update', {
@@ -2042,59 +3378,75 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Check user permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canEdit) {
-        socket.emit('error', 'You do not have permission to edit in this session');
-        return;
-      }
-
-      const { filePath, content, sessionId } = data;
+      const { content: newContent, operation: clientOperation, baseRevision, editId } = data;
+      const filePath = sessionFileKey(session, data.filePath);
       
-      // Validate data
-      if (!filePath || typeof content !== 'string') {
+      // Validate data - clients send either an operation or the whole file content
+      if (!filePath || (clientOperation === undefined && typeof newContent !== 'string')) {
         socket.emit('error', 'Invalid code change data');
         return;
       }
 
-      // Update session file store
-      if (session.files.has(filePath)) {
-        session.files.set(filePath, {
-          ...session.files.get(filePath),
-          content: content,
-          lastModified: Date.now(),
-          lastEditedBy: socket.userId
-        });
-      } else {
-        // Create new file entry
-        session.files.set(filePath, {
-          content: content,
-          type: 'file',
-          lastModified: Date.now(),
-          createdBy: socket.userId,
-          lastEditedBy: socket.userId
-        });
-      }
+      // Check user permissions for the file
+      if (!ensureSocketPermission(socket, session, 'realtime_code_change', { path: filePath })) return;
 
-      // Also update global virtual file store
-      virtualFileStore.set(filePath, {
-        content: content,
-        type: 'file',
-        lastModified: Date.now(),
-        createdBy: socket.userEmail,
-        sessionId: socket.sessionId
-      });
+      // Merge the edit into the session file store
+      let edit;
+      try {
+        edit = applySessionFileEdit(session, filePath, {
+          operation: clientOperation,
+          baseRevision,
+          content: newContent
+        }, socket.userId);
+      } catch (mergeError) {
+        if (mergeError.code === 'STALE_REVISION') {
+          // Send the current file so the client can rebase its pending edits
+          const currentFile = session.files.get(filePath);
+          socket.emit('realtime_code_resync', {
+            filePath: filePath,
+            content: currentFile?.content || '',
+            revision: currentFile?.revision || 0,
+            editId: editId,
+            reason: mergeError.message,
+            sessionId: socket.sessionId,
+            timestamp: Date.now()
+          });
+          console.log(`🔄 Resync sent to ${socket.userName} for ${filePath}: ${mergeError.message}`);
+          return;
+        }
 
-      console.log(`📝 Real-time code update by ${socket.userName}: ${filePath} (${content.length} chars) in session ${socket.sessionId}`);
+        console.warn(`⚠️ Rejected code change from ${socket.userName} on ${filePath}: ${mergeError.message}`);
+        socket.emit('error', `Could not apply code change: ${mergeError.message}`);
+        return;
+      }
+      const { content, operation, revision } = edit;
+      recordSessionFileVersion(session, filePath, content, {
+        id: socket.userId,
+        name: socket.userName
+      }, { source: 'realtime', coalesce: true });
+      persistSession(session);
+
+      console.log(`📝 Real-time code update by ${socket.userName}: ${filePath} r${revision} (${content.length} chars) in session ${socket.sessionId}`);
       
-      // Broadcast to other users in the same session
-      socket.to(socket.sessionId).emit('realtime_code_update', {
+      // Broadcast the transformed operation (and full content for older clients)
+      emitFileEvent(session, filePath, 'realtime_code_update', {
         filePath: filePath,
         content: content,
+        operation: operation.toJSON(),
+        revision: revision,
         userId: socket.userId,
         userName: socket.userName,
         sessionId: socket.sessionId,
         timestamp: Date.now()
+      }, socket);
+
+      // Acknowledge the accepted edit with the revision it produced
+      socket.emit('realtime_code_ack', {
+        filePath: filePath,
+        revision: revision,
+        editId: editId,
+        sessionId: socket.sessionId,
+        timestamp: Date.now()
       });
     } catch (error) {
       console.error(`Error handling real-time code change from ${socket.userName}:`, error);
@@ -2116,31 +3468,32 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Check user permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canEdit) {
-        socket.emit('error', 'You do not have permission to edit files in this session');
-        return;
-      }
-
-      const { action, path: filePath, data } = operation;
+      const { action, data } = operation;
       
       // Validate file path
-      if (typeof filePath !== 'string' || filePath.includes('..') || filePath.length > 500) {
+      const filePath = typeof operation.path === 'string' && operation.path.length <= 500 ? sessionFileKey(session, operation.path) : null;
+      if (!filePath || (data && data.newPath !== undefined && (typeof data.newPath !== 'string' || !sessionFileKey(session, data.newPath)))) {
         socket.emit('error', 'Invalid file path');
         return;
       }
 
+      // Check user permissions; the capability depends on the action, and a
+      // rename or move needs access to the new path as well
+      if (!ensureSocketPermission(socket, session, 'file_operation', { action, path: filePath })) return;
+      if (data && typeof data.newPath === 'string' && !ensureSocketPermission(socket, session, 'file_operation', { action, path: data.newPath })) return;
+
       console.log(`📁 File operation by ${socket.userName}: ${action} - ${filePath} in session ${socket.sessionId}`);
       
       // Broadcast to other users in the same session
-      socket.to(socket.sessionId).emit('file_operation', {
+      emitFileEvent(session, filePath, 'file_operation', {
         ...operation,
+        path: filePath,
+        ...(data && data.newPath !== undefined ? { data: { ...data, newPath: sessionFileKey(session, data.newPath) } } : {}),
         sessionId: socket.sessionId,
         userId: socket.userId,
         userName: socket.userName,
         timestamp: Date.now()
-      });
+      }, socket);
     } catch (error) {
       console.error(`Error handling file operation from ${socket.userName}:`, error);
       socket.emit('error', 'Failed to process file operation');
@@ -2160,16 +3513,20 @@ io.on('connection', (socket) => {
         socket.emit('error', 'Session not found');
         return;
       }
+      if (!ensureSocketPermission(socket, session, 'get_session_files')) return;
 
-      // Convert session files to array format
-      const sessionFiles = Array.from(session.files.entries()).map(([path, data]) => ({
-        path,
-        content: data.content || '',
-        type: data.type || 'file',
-        lastModified: data.lastModified || Date.now(),
-        createdBy: data.createdBy,
-        lastEditedBy: data.lastEditedBy
-      }));
+      // Convert session files to array format, leaving out paths the user may not read
+      const sessionFiles = Array.from(session.files.entries())
+        .filter(([path]) => canReadPath(session, socket.userId, path))
+        .map(([path, data]) => ({
+          path,
+          content: data.content || '',
+          type: data.type || 'file',
+          revision: data.revision || 0,
+          lastModified: data.lastModified || Date.now(),
+          createdBy: data.createdBy,
+          lastEditedBy: data.lastEditedBy
+        }));
 
       console.log(`📡 Sending session files state to ${socket.userName}: ${sessionFiles.length} files`);
       socket.emit('session_files_state', sessionFiles);
@@ -2178,6 +3535,84 @@ io.on('connection', (socket) => {
       socket.emit('error', 'Failed to get session files');
     }
   });
+
+  // File version history
+  socket.on('get_file_versions', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+    const filePath = sessionFileKey(session, data && data.filePath);
+    if (!ensureSocketPermission(socket, session, 'get_file_versions', { path: filePath })) return;
+
+    socket.emit('file_versions', {
+      filePath,
+      versions: listFileVersions(session.fileVersions, filePath),
+      sessionId: socket.sessionId
+    });
+  });
+
+  socket.on('get_file_diff', (data) => {
+    try {
+      if (!socket.sessionId) {
+        socket.emit('error', 'Not connected to any session');
+        return;
+      }
+
+      const session = collaborationSessions.get(socket.sessionId);
+      if (!session) {
+        socket.emit('error', 'Session not found');
+        return;
+      }
+      const { fromVersion, toVersion } = data || {};
+      const filePath = sessionFileKey(session, data && data.filePath);
+      if (!ensureSocketPermission(socket, session, 'get_file_diff', { path: filePath })) return;
+
+      socket.emit('file_diff', {
+        ...diffFileVersions(session.fileVersions, filePath, fromVersion, toVersion),
+        filePath,
+        sessionId: socket.sessionId
+      });
+    } catch (error) {
+      console.error(`Error diffing file versions for ${socket.userName}:`, error.message);
+      socket.emit('error', error.message);
+    }
+  });
+
+  socket.on('restore_file_version', (data) => {
+    try {
+      if (!socket.sessionId) {
+        socket.emit('error', 'Not connected to any session');
+        return;
+      }
+
+      const session = collaborationSessions.get(socket.sessionId);
+      if (!session) {
+        socket.emit('error', 'Session not found');
+        return;
+      }
+
+      // Check user permissions
+      const { version } = data || {};
+      const filePath = sessionFileKey(session, data && data.filePath);
+      if (!ensureSocketPermission(socket, session, 'restore_file_version', { path: filePath })) return;
+
+      restoreSessionFileVersion(session, filePath, version, {
+        id: socket.userId,
+        name: socket.userName,
+        email: socket.userEmail
+      });
+    } catch (error) {
+      console.error(`Error restoring file version for ${socket.userName}:`, error.message);
+      socket.emit('error', error.message);
+    }
+  });
   // OLD VIRTUAL FS HANDLER - REPLACED BY NEW REAL-TIME SYSTEM
   /*
   socket.on('virtual_fs_operation', async (operation) => {
@@ -2202,11 +3637,7 @@ io.on('connection', (socket) => {
       }
 
       // Check user permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canChat) {
-        socket.emit('error', 'You do not have permission to chat in this session');
-        return;
-      }
+      if (!ensureSocketPermission(socket, session, 'chat_message')) return;
 
       const message = {
         id: Date.now().toString(),
@@ -2221,6 +3652,7 @@ io.on('connection', (socket) => {
 
       // Add to session chat history
       session.chatHistory.push(message);
+      persistSession(session);
 
       // Broadcast to all users in the session
       io.to(socket.sessionId).emit('chat_message', message);
@@ -2234,6 +3666,7 @@ io.on('connection', (socket) => {
 
   // Code execution with session isolation
   socket.on('execute_code', async (data) => {
+    const executionId = generateExecutionId();
     try {
       if (!socket.sessionId) {
         socket.emit('error', 'Not connected to any session');
@@ -2247,17 +3680,14 @@ io.on('connection', (socket) => {
       }
 
       // Check user permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canExecute) {
-        socket.emit('error', 'You do not have permission to execute code in this session');
-        return;
-      }
+      if (!ensureSocketPermission(socket, session, 'execute_code')) return;
 
-      const { code, language, input = '' } = data;
-      console.log(`🚀 Code execution request from ${clientId} in session ${socket.sessionId}: ${language}`);
+      const { code, language, input = '', entryPoint, files: filePaths, interactive = false, mode = 'run', testCases, testFile } = data;
+      console.log(`🚀 Code execution request from ${clientId} in session ${socket.sessionId}: ${language}${entryPoint ? ` (entry point ${entryPoint})` : ''}`);
       
       // Broadcast execution start to session users only
       io.to(socket.sessionId).emit('execution_started', {
+        executionId,
         clientId,
         language,
         sessionId: socket.sessionId,
@@ -2265,9 +3695,10 @@ io.on('connection', (socket) => {
         timestamp: Date.now()
       });
 
-      const pistonConfig = languageMap[language.toLowerCase()];
-      if (!pistonConfig) {
+      const languageConfig = languageMap[language.toLowerCase()];
+      if (!languageConfig) {
         const errorResult = {
+          executionId,
           error: `Unsupported language: ${language}`,
           sessionId: socket.sessionId
         };
@@ -2276,65 +3707,339 @@ io.on('connection', (socket) => {
         return;
       }
 
-      const executionRequest = {
-        language: pistonConfig.language,
-        version: pistonConfig.version,
-        files: [
-          {
-            name: getFileName(language),
-            content: code
-          }
-        ],
-        stdin: input,
-        compile_timeout: 10000,
-        run_timeout: 3000,
-        compile_memory_limit: -1,
-        run_memory_limit: -1
-      };
+      if (interactive && !executionBackend.supportsInteractiveInput) {
+        io.to(socket.sessionId).emit('execution_error', {
+          executionId,
+          success: false,
+          error: `Interactive input is not supported by the ${executionBackend.name} execution backend`,
+          sessionId: socket.sessionId,
+          clientId,
+          userName: socket.userName
+        });
+        return;
+      }
+
+      // With an entry point the whole session project is run, otherwise just the code sent.
+      // Test mode runs the program once per test case, sent inline or read from a session file.
+      let files;
+      let tests = null;
+      try {
+        files = entryPoint
+          ? collectSessionExecutionFiles(session, socket.userId, entryPoint, filePaths)
+          : [{ name: getFileName(language), content: code }];
+
+        if (mode === 'test') {
+          if (interactive) {
+            throw new Error('Test mode cannot be interactive');
+          }
+          if (testFile) {
+            // Test files the user may not read are treated as missing
+            const testFileKey = sessionFileKey(session, testFile);
+            const testFileData = testFileKey && canReadPath(session, socket.userId, testFileKey)
+              ? session.files.get(testFileKey)
+              : null;
+            if (!testFileData || typeof testFileData.content !== 'string') {
+              throw new Error(`Test file ${testFile} not found`);
+            }
+            tests = parseTestFile(testFileData.content);
+          } else {
+            tests = normalizeTestCases(testCases);
+          }
+        }
+      } catch (collectError) {
+        io.to(socket.sessionId).emit('execution_error', {
+          executionId,
+          success: false,
+          error: collectError.message,
+          sessionId: socket.sessionId,
+          clientId,
+          userName: socket.userName
+        });
+        return;
+      }
+
+      const execution = {
+        id: executionId,
+        sessionId: socket.sessionId,
+        userId: socket.userId,
+        userName: socket.userName,
+        language,
+        entryPoint: entryPoint || null,
+        files,
+        startedAt: null,
+        controller: new AbortController(),
+        cancelledBy: null,
+        // Interactive runs read from a stream fed by execution_stdin
+        stdin: interactive ? new PassThrough() : null,
+        sequence: 0
+      };
+      activeExecutions.set(executionId, execution);
+      if (interactive && input) {
+        execution.stdin.write(input);
+      }
+
+      // Stream output to the session as the program produces it
+      const sessionId = socket.sessionId;
+      const emitOutput = (stage, stream, chunk, testCase) => {
+        io.to(sessionId).emit('execution_output', {
+          executionId,
+          stage,
+          stream,
+          data: chunk,
+          sequence: execution.sequence++,
+          ...(testCase ? { testCase } : {}),
+          sessionId
+        });
+      };
+      const runExecution = async () => {
+        execution.startedAt = Date.now();
+        emitExecutionStatus(execution, 'running');
+        const backendFiles = files.map(({ name, content }) => ({ name, content }));
+
+        if (tests) {
+          return runTestCases({
+            backend: executionBackend,
+            config: languageConfig,
+            files: backendFiles,
+            testCases: tests,
+            signal: execution.controller.signal,
+            onOutput: (caseIndex, stage, stream, chunk) => emitOutput(stage, stream, chunk, tests[caseIndex].name)
+          });
+        }
+
+        const result = await executionBackend.execute({
+          config: languageConfig,
+          files: backendFiles,
+          stdin: interactive ? execution.stdin : input,
+          limits: interactive ? { runTimeout: INTERACTIVE_RUN_TIMEOUT } : {},
+          signal: execution.controller.signal,
+          onOutput: emitOutput
+        });
+        return { result, report: null };
+      };
+
+      // Runs beyond the session's concurrency limit wait for a free slot
+      const queuedRun = executionQueue.enqueue(sessionId, executionId, runExecution, {
+        concurrency: clampExecutionConcurrency(session.settings.maxConcurrentExecutions)
+      });
+      const position = executionQueue.position(sessionId, executionId);
+      if (position > 0) {
+        emitExecutionStatus(execution, 'queued', { position });
+      }
+      const { result, report } = await queuedRun;
+      
+      const executionResult = {
+        ...formatExecutionResult(language, languageConfig, result || {}, files),
+        executionId,
+        sessionId: socket.sessionId,
+        clientId,
+        userName: socket.userName
+      };
+
+      if (report) {
+        executionResult.mode = 'test';
+        executionResult.testSummary = { total: report.total, passed: report.passed, failed: report.failed };
+        io.to(socket.sessionId).emit('execution_test_report', {
+          executionId,
+          language,
+          ...report,
+          sessionId: socket.sessionId,
+          userName: socket.userName,
+          timestamp: Date.now()
+        });
+      }
+
+      const status = execution.controller.signal.aborted ? 'cancelled' : 'finished';
+      recordSessionExecution(execution, status, report ? {
+        output: `${report.passed}/${report.total} tests passed`,
+        exitCode: report.failed === 0 && report.skipped === 0 ? 0 : 1
+      } : {
+        output: executionResult.output,
+        error: executionResult.error,
+        exitCode: executionResult.exitCode
+      });
+      emitExecutionStatus(execution, status, { exitCode: executionResult.exitCode });
+
+      if (status === 'cancelled') {
+        io.to(socket.sessionId).emit('execution_cancelled', {
+          ...executionResult,
+          cancelledBy: execution.cancelledBy
+        });
+        console.log(`🛑 Code execution ${executionId} cancelled by ${execution.cancelledBy} in session ${socket.sessionId}`);
+        return;
+      }
+
+      // Broadcast result to session users only
+      io.to(socket.sessionId).emit('execution_result', executionResult);
+      console.log(`✅ Code execution completed for ${clientId} in session ${socket.sessionId}: ${language}`);
+
+    } catch (error) {
+      const execution = activeExecutions.get(executionId);
+
+      // Rejected before it was queued, so there is nothing to record
+      if (error.code === 'EXECUTION_QUEUE_FULL') {
+        io.to(socket.sessionId).emit('execution_error', {
+          executionId,
+          success: false,
+          error: error.message,
+          sessionId: socket.sessionId,
+          clientId,
+          userName: socket.userName
+        });
+        return;
+      }
+
+      if (error.code === 'ERR_CANCELED' || error.code === 'EXECUTION_CANCELLED') {
+        if (execution) {
+          recordSessionExecution(execution, 'cancelled');
+          emitExecutionStatus(execution, 'cancelled');
+        }
+        io.to(socket.sessionId).emit('execution_cancelled', {
+          executionId,
+          sessionId: socket.sessionId,
+          cancelledBy: execution?.cancelledBy,
+          timestamp: Date.now()
+        });
+        return;
+      }
+
+      console.error(`❌ Code execution error for ${clientId}:`, error.message);
+      if (execution) {
+        recordSessionExecution(execution, 'failed', { error: error.message });
+        emitExecutionStatus(execution, 'failed', { error: error.message });
+      }
+      
+      const errorResult = {
+        executionId,
+        success: false,
+        error: error.code === 'ECONNABORTED' ? 'Execution timed out' : 'Execution failed',
+        details: error.message,
+        sessionId: socket.sessionId,
+        clientId,
+        userName: socket.userName
+      };
+      
+      // Broadcast error to session users only
+      io.to(socket.sessionId).emit('execution_error', errorResult);
+    } finally {
+      activeExecutions.get(executionId)?.stdin?.end();
+      activeExecutions.delete(executionId);
+    }
+  });
+
+  // Type into an interactive run. session.settings.stdinPolicy decides who may:
+  // the user who started the run, or every member with canExecute.
+  socket.on('execution_stdin', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    const { executionId, data: input = '', eof = false } = data || {};
+    const execution = activeExecutions.get(executionId);
+    if (!execution || execution.sessionId !== socket.sessionId) {
+      socket.emit('error', 'Execution not found or already finished');
+      return;
+    }
+    if (!execution.stdin) {
+      socket.emit('error', 'This execution is not interactive');
+      return;
+    }
+    if (execution.stdin.writableEnded) {
+      socket.emit('error', 'Input for this execution has already been closed');
+      return;
+    }
+
+    const allowed = (session.settings.stdinPolicy || 'initiator') === 'canExecute'
+      ? checkPermission(session, socket.userId, 'execution_stdin').allowed
+      : execution.userId === socket.userId;
+    if (!allowed) {
+      socket.emit('error', 'You do not have permission to send input to this execution');
+      return;
+    }
+
+    if (typeof input !== 'string' || input.length > MAX_STDIN_CHUNK) {
+      socket.emit('error', 'Invalid input');
+      return;
+    }
+
+    if (input) {
+      execution.stdin.write(input);
+      // Echo the input so every terminal shows what was typed
+      io.to(socket.sessionId).emit('execution_output', {
+        executionId,
+        stage: 'run',
+        stream: 'stdin',
+        data: input,
+        sequence: execution.sequence++,
+        sessionId: socket.sessionId,
+        userName: socket.userName
+      });
+    }
+    if (eof) {
+      execution.stdin.end();
+    }
+  });
+
+  // Stop a running program; allowed for the user who started it and the session owners
+  socket.on('execution_cancel', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
 
-      const response = await axios.post(`${PISTON_API_URL}/execute`, executionRequest, {
-        timeout: 15000,
-        headers: {
-          'Content-Type': 'application/json'
-        }
-      });
+    const execution = activeExecutions.get(data?.executionId);
+    if (!execution || execution.sessionId !== socket.sessionId) {
+      socket.emit('error', 'Execution not found or already finished');
+      return;
+    }
 
-      const result = response.data;
-      
-      const executionResult = {
-        success: true,
-        language: language,
-        version: pistonConfig.version,
-        compile: result.compile || { stdout: '', stderr: '', code: 0 },
-        run: result.run || { stdout: '', stderr: '', code: 0 },
-        output: result.run?.stdout || '',
-        error: result.run?.stderr || result.compile?.stderr || '',
-        exitCode: result.run?.code ?? result.compile?.code ?? 0,
-        executionTime: Date.now(),
-        sessionId: socket.sessionId,
-        clientId,
-        userName: socket.userName
-      };
+    if (execution.userId !== socket.userId && !isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'Only the user who started this execution or a session owner can cancel it');
+      return;
+    }
 
-      // Broadcast result to session users only
-      io.to(socket.sessionId).emit('execution_result', executionResult);
-      console.log(`✅ Code execution completed for ${clientId} in session ${socket.sessionId}: ${language}`);
+    execution.cancelledBy = socket.userName;
+    // A queued run is just taken out of the queue
+    if (!executionQueue.remove(socket.sessionId, execution.id)) {
+      execution.controller.abort();
+    }
+    console.log(`🛑 ${socket.userName} cancelled execution ${execution.id} in session ${socket.sessionId}`);
+  });
 
-    } catch (error) {
-      console.error(`❌ Code execution error for ${clientId}:`, error.message);
-      
-      const errorResult = {
-        success: false,
-        error: error.code === 'ECONNABORTED' ? 'Execution timed out' : 'Execution failed',
-        details: error.message,
-        sessionId: socket.sessionId,
-        clientId,
-        userName: socket.userName
-      };
-      
-      // Broadcast error to session users only
-      io.to(socket.sessionId).emit('execution_error', errorResult);
+  socket.on('get_execution_history', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
     }
+
+    // Past runs include their code and output, so the history needs canExecute
+    if (!ensureSocketPermission(socket, session, 'get_execution_history')) return;
+
+    const { limit, userId } = data || {};
+    socket.emit('execution_history', {
+      executions: listExecutions(session.executionHistory || [], { limit: parseInt(limit) || undefined, userId }),
+      queue: executionQueue.status(socket.sessionId),
+      sessionId: socket.sessionId
+    });
   });
   // Session-specific file operations
   socket.on('create_file', async (data) => {
@@ -2354,41 +4059,33 @@ io.on('connection', (socket) => {
       }
 
       // Check permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canEdit) {
-        socket.emit('error', 'You do not have permission to create files in this session');
+      if (!ensureSocketPermission(socket, session, 'create_file', { path: name })) return;
+
+      const filePath = sessionFileKey(session, name);
+      if (!filePath) {
+        socket.emit('error', 'Invalid file name');
         return;
       }
-
-      const filePath = `${socket.sessionId}/${name}`;
       
-      // Create in session file system
+      // Create in session file system (replacing a file still advances its revision)
+      const revision = (session.files.get(filePath)?.revision || 0) + 1;
       session.files.set(filePath, {
         content,
         type: 'text/plain',
+        revision,
         size: content.length,
         createdBy: socket.id,
         createdAt: new Date().toISOString()
       });
-
-      // Also add to global virtual file store
-      virtualFileStore.set(filePath, {
-        content,
-        type: 'text/plain',
-        size: content.length,
-        createdBy: socket.id,
-        createdAt: new Date().toISOString(),
-        sessionId: socket.sessionId
-      });
+      recordSessionFileVersion(session, filePath, content, {
+        id: socket.userId,
+        name: socket.userName
+      }, { source: 'create_file' });
+      persistSession(session);
 
       // Save to database if authenticated
       if (socket.authenticated) {
-        let user;
-        if (socket.tokenType === 'firebase') {
-          user = Array.from(users.values()).find(u => u.id === socket.userId || u.email === socket.userEmail);
-        } else {
-          user = users.get(socket.userEmail);
-        }
+        const user = userRepository.getCachedById(socket.userId);
 
         if (user) {
           const fileData = {
@@ -2406,9 +4103,10 @@ io.on('connection', (socket) => {
       }
 
       // Broadcast to session users
-      io.to(socket.sessionId).emit('file_created', {
+      emitFileEvent(session, filePath, 'file_created', {
         name,
         path: filePath,
+        revision,
         sessionId: socket.sessionId,
         createdBy: socket.userName || socket.userEmail
       });
@@ -2435,13 +4133,14 @@ io.on('connection', (socket) => {
       }
 
       // Check permissions
-      const userPermissions = session.userPermissions.get(socket.userId);
-      if (!userPermissions || !userPermissions.canEdit) {
-        socket.emit('error', 'You do not have permission to create folders in this session');
+      if (!ensureSocketPermission(socket, session, 'create_folder', { path: `${name}/` })) return;
+
+      const folderKey = sessionFileKey(session, name);
+      if (!folderKey) {
+        socket.emit('error', 'Invalid folder name');
         return;
       }
-
-      const folderPath = `${socket.sessionId}/${name}/`;
+      const folderPath = `${folderKey.replace(/\/+$/, '')}/`;
       
       // Create in session file system
       session.files.set(folderPath, {
@@ -2449,23 +4148,11 @@ io.on('connection', (socket) => {
         createdBy: socket.id,
         createdAt: new Date().toISOString()
       });
-
-      // Also add to global virtual file store
-      virtualFileStore.set(folderPath, {
-        type: 'directory',
-        createdBy: socket.id,
-        createdAt: new Date().toISOString(),
-        sessionId: socket.sessionId
-      });
+      persistSession(session);
 
       // Save to database if authenticated
       if (socket.authenticated) {
-        let user;
-        if (socket.tokenType === 'firebase') {
-          user = Array.from(users.values()).find(u => u.id === socket.userId || u.email === socket.userEmail);
-        } else {
-          user = users.get(socket.userEmail);
-        }
+        const user = userRepository.getCachedById(socket.userId);
 
         if (user) {
           const folderData = {
@@ -2482,7 +4169,7 @@ io.on('connection', (socket) => {
       }
 
       // Broadcast to session users
-      io.to(socket.sessionId).emit('folder_created', {
+      emitFileEvent(session, folderPath, 'folder_created', {
         name,
         path: folderPath,
         sessionId: socket.sessionId,
@@ -2536,14 +4223,15 @@ io.on('connection', (socket) => {
     if (session) {
       const sessionUsers = Array.from(session.connectedUsers).map(userId => {
         // Find user info for each connected user
-        const user = Array.from(users.values()).find(u => u.id === userId);
+        const user = userRepository.getCachedById(userId);
         return user ? {
           id: user.id,
           name: user.name,
           email: user.email,
           avatar: user.avatar,
           role: user.role,
-          permissions: session.userPermissions.get(userId)
+          sessionRole: getMemberRole(session, userId),
+          permissions: getUserPermissions(session, userId)
         } : null;
       }).filter(Boolean);
 
@@ -2565,15 +4253,20 @@ io.on('connection', (socket) => {
     if (session) {
       socket.emit('session_info', {
         id: session.id,
+        sessionId: session.id,
         name: session.name,
         creatorId: session.creatorId,
-        inviteKey: session.inviteKey,  // Include invite key for all session members
+        coOwners: Array.from(session.coOwners),
+        // Only members who may hand out invites get the session's own key
+        ...(canManageInvites(session, socket.userId) ? { inviteKey: session.inviteKey } : {}),
         createdAt: session.createdAt,
         settings: session.settings,
         userCount: session.connectedUsers.size,
         fileCount: session.files.size,
         chatCount: session.chatHistory.length,
-        userPermissions: session.userPermissions.get(socket.userId)
+        sessionRole: getMemberRole(session, socket.userId),
+        userPermissions: getUserPermissions(session, socket.userId),
+        timestamp: Date.now()
       });
     }
   });
@@ -2590,27 +4283,263 @@ io.on('connection', (socket) => {
       return;
     }
 
-    // Only session creator can update permissions
-    if (session.creatorId !== socket.userId) {
-      socket.emit('error', 'Only session creator can update user permissions');
+    // Only owners and members with canManagePermissions can update permissions
+    if (!canManagePermissions(session, socket.userId)) {
+      socket.emit('error', 'You do not have permission to manage permissions in this session');
       return;
     }
 
-    const { userId, permissions } = data;
-    if (session.connectedUsers.has(userId)) {
-      session.userPermissions.set(userId, permissions);
-      
+    // Assign a role ({ userId, role }) or, for one-off cases, a permission object ({ userId, permissions }).
+    // Users who have not joined yet get the access when they join: an account or
+    // waiting room entry by userId, an invitee by the email of a pending invitation.
+    const { userId, email, role, permissions } = data || {};
+    let assignment;
+    try {
+      assignment = normalizeAccessAssignment(session, { role, permissions });
+    } catch (error) {
+      socket.emit('error', error.message);
+      return;
+    }
+
+    const accessError = getAccessChangeError(session, socket.userId, userId, assignment);
+    if (accessError) {
+      socket.emit('error', accessError);
+      return;
+    }
+
+    if (session.userPermissions.has(userId)) {
+      const previous = { role: getMemberRole(session, userId), permissions: getUserPermissions(session, userId) };
+      applyAccessAssignment(session, userId, assignment);
+      recordPermissionChange(session, {
+        action: 'updated',
+        userId,
+        role: getMemberRole(session, userId),
+        permissions: getUserPermissions(session, userId),
+        previous
+      }, socket.userId);
+
       // Notify the user about permission changes
-      io.to(socket.sessionId).emit('permissions_updated', {
-        userId: userId,
-        permissions: permissions,
-        updatedBy: socket.userName
-      });
+      emitPermissionsUpdated(session, userId, socket.userName);
 
-      console.log(`� Permissions updated for user ${userId} in session ${socket.sessionId} by ${socket.userName}`);
+      console.log(`🔐 Permissions updated for user ${userId} in session ${socket.sessionId} by ${socket.userName}${role ? ` (role ${role})` : ''}`);
+      return;
+    }
+
+    let target;
+    if (typeof email === 'string' && email) {
+      if (findInvitationsForEmail([session], email).length === 0) {
+        socket.emit('error', 'No pending invitation for this email address');
+        return;
+      }
+      target = { email: email.trim().toLowerCase() };
+    } else if (typeof userId === 'string' && (session.joinRequests.has(userId) || (!userId.startsWith('guest_') && userRepository.getCachedById(userId)))) {
+      target = { userId };
     } else {
       socket.emit('error', 'User not found in session');
+      return;
+    }
+
+    try {
+      setPendingPermissions(session, target, assignment, socket.userId);
+    } catch (error) {
+      socket.emit('error', error.message);
+      return;
+    }
+    recordPermissionChange(session, { action: 'preassigned', ...target, ...assignment }, socket.userId);
+
+    socket.emit('permissions_preassigned', {
+      sessionId: session.id,
+      ...target,
+      ...assignment,
+      timestamp: Date.now()
+    });
+    console.log(`🔐 Permissions pre-assigned to ${target.email || target.userId} in session ${session.id} by ${socket.userName}${role ? ` (role ${role})` : ''}`);
+  });
+
+  // Path-scoped access: { userId, defaultAccess, rules: [{ path, access }] } limits
+  // a member to parts of the file tree; rules: null lifts the restriction
+  socket.on('set_path_rules', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    if (!canManagePermissions(session, socket.userId)) {
+      socket.emit('error', 'You do not have permission to manage permissions in this session');
+      return;
+    }
+
+    const { userId, defaultAccess, rules } = data || {};
+    if (!session.userPermissions.has(userId)) {
+      socket.emit('error', 'User not found in session');
+      return;
+    }
+    if (isSessionOwner(session, userId) && rules !== null) {
+      socket.emit('error', 'Owners keep access to every path');
+      return;
+    }
+    if (userId === socket.userId && !isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'You cannot change your own path rules');
+      return;
+    }
+
+    if (rules === null) {
+      session.pathRules.delete(userId);
+    } else {
+      try {
+        session.pathRules.set(userId, normalizePathRules({ defaultAccess, rules }));
+      } catch (error) {
+        socket.emit('error', error.message);
+        return;
+      }
+    }
+    persistSession(session);
+
+    io.to(session.id).emit('path_rules_updated', {
+      sessionId: session.id,
+      userId,
+      pathRules: session.pathRules.get(userId) || null,
+      updatedBy: socket.userName,
+      timestamp: Date.now()
+    });
+    console.log(`🔐 ${socket.userName} ${rules === null ? 'cleared' : 'set'} path rules for user ${userId} in session ${session.id}`);
+  });
+
+  // Owners and permission managers get every member's path rules, other members their own
+  socket.on('get_path_rules', () => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    const pathRules = canManagePermissions(session, socket.userId)
+      ? Object.fromEntries(session.pathRules)
+      : { [socket.userId]: session.pathRules.get(socket.userId) || null };
+    socket.emit('path_rules', { sessionId: session.id, pathRules });
+  });
+
+  // Session roles: the built-in roles plus custom roles defined by the owners
+  socket.on('get_session_roles', () => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    socket.emit('session_roles', {
+      sessionId: session.id,
+      roles: listSessionRoles(session),
+      assignments: Object.fromEntries(session.memberRoles)
+    });
+  });
+
+  // Create or change a custom role: { name, label, description, permissions }
+  socket.on('define_session_role', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    // Only owners change roles; members holding a role could otherwise widen their own access
+    if (!isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'Only session owners can define roles');
+      return;
+    }
+
+    let role;
+    try {
+      role = defineSessionRole(session, data || {}, socket.userId);
+    } catch (error) {
+      socket.emit('error', error.message);
+      return;
+    }
+    persistSession(session);
+
+    io.to(session.id).emit('session_roles_updated', {
+      sessionId: session.id,
+      roles: listSessionRoles(session),
+      changedRole: role.name,
+      updatedBy: socket.userName,
+      timestamp: Date.now()
+    });
+    // Members with the role get their new capabilities
+    for (const [userId, roleName] of session.memberRoles) {
+      if (roleName === role.name) {
+        emitPermissionsUpdated(session, userId, socket.userName);
+      }
+    }
+
+    console.log(`🔐 ${socket.userName} defined role ${role.name} in session ${session.id}`);
+  });
+
+  socket.on('delete_session_role', (data) => {
+    if (!socket.sessionId) {
+      socket.emit('error', 'Not connected to any session');
+      return;
+    }
+
+    const session = collaborationSessions.get(socket.sessionId);
+    if (!session) {
+      socket.emit('error', 'Session not found');
+      return;
+    }
+
+    if (!isSessionOwner(session, socket.userId)) {
+      socket.emit('error', 'Only session owners can delete roles');
+      return;
+    }
+
+    const name = data?.name;
+    let reassigned;
+    try {
+      reassigned = deleteSessionRole(session, name);
+    } catch (error) {
+      socket.emit('error', error.message);
+      return;
+    }
+    // Invites for the role now admit viewers
+    for (const invite of session.invites.values()) {
+      if (invite.role === name) {
+        invite.role = 'viewer';
+      }
     }
+    persistSession(session);
+
+    io.to(session.id).emit('session_roles_updated', {
+      sessionId: session.id,
+      roles: listSessionRoles(session),
+      deletedRole: name,
+      updatedBy: socket.userName,
+      timestamp: Date.now()
+    });
+    for (const userId of reassigned) {
+      emitPermissionsUpdated(session, userId, socket.userName);
+    }
+
+    console.log(`🔐 ${socket.userName} deleted role ${name} in session ${session.id} (${reassigned.length} member(s) are now viewers)`);
   });
 
   // Project sharing events
@@ -2627,9 +4556,9 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Only session creator can initiate project sharing
-      if (session.creatorId !== socket.userId) {
-        socket.emit('error', 'Only session creator can share projects');
+      // Only session owners can initiate project sharing
+      if (!isSessionOwner(session, socket.userId)) {
+        socket.emit('error', 'Only session owners can share projects');
         return;
       }
 
@@ -2641,6 +4570,7 @@ io.on('connection', (socket) => {
       session.projectMode = mode;
       session.projectData = projectData;
       session.projectOwner = ownerId;
+      persistSession(session);
       
       // Broadcast to all users in the session
       io.to(socket.sessionId).emit('project_share_init', {
@@ -2670,9 +4600,9 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Only session creator can create new projects
-      if (session.creatorId !== socket.userId) {
-        socket.emit('error', 'Only session creator can create new projects');
+      // Only session owners can create new projects
+      if (!isSessionOwner(session, socket.userId)) {
+        socket.emit('error', 'Only session owners can create new projects');
         return;
       }
 
@@ -2688,11 +4618,13 @@ io.on('connection', (socket) => {
       
       // Load project structure into session files if provided
       if (projectData.structure && Array.isArray(projectData.structure)) {
-        projectData.structure.forEach(([path, metadata]) => {
-          if (metadata.type === 'file') {
+        projectData.structure.forEach(([structurePath, metadata]) => {
+          const path = sessionFileKey(session, structurePath);
+          if (path && metadata && metadata.type === 'file') {
             session.files.set(path, {
               content: metadata.content || '',
               type: 'file',
+              revision: (session.files.get(path)?.revision || 0) + 1,
               lastModified: Date.now(),
               createdBy: ownerId,
               lastEditedBy: ownerId
@@ -2700,6 +4632,7 @@ io.on('connection', (socket) => {
           }
         });
       }
+      persistSession(session);
       
       // Broadcast to all users in the session
       io.to(socket.sessionId).emit('project_create_init', {
@@ -2730,27 +4663,44 @@ io.on('connection', (socket) => {
         return;
       }
 
-      // Only project owner can update access rights
-      if (session.projectOwner !== socket.userId) {
-        socket.emit('error', 'Only project owner can update access rights');
+      // Same rules as update_user_permissions
+      if (!canManagePermissions(session, socket.userId)) {
+        socket.emit('error', 'You do not have permission to manage permissions in this session');
         return;
       }
 
-      const { userId, accessLevel, updatedBy } = data;
+      const { userId, accessLevel, updatedBy } = data || {};
+      
+      // Access levels are session roles (editor, commenter, viewer or a custom role)
+      let assignment;
+      try {
+        assignment = normalizeAccessAssignment(session, { role: accessLevel });
+      } catch (error) {
+        socket.emit('error', error.message);
+        return;
+      }
+      if (!session.userPermissions.has(userId)) {
+        socket.emit('error', 'User not found in session');
+        return;
+      }
+      const accessError = getAccessChangeError(session, socket.userId, userId, assignment);
+      if (accessError) {
+        socket.emit('error', accessError);
+        return;
+      }
       
       console.log(`🔐 Access rights update by ${socket.userName}: ${userId} -> ${accessLevel}`);
       
-      // Update user permissions in session
-      const userPermissions = session.userPermissions.get(userId);
-      if (userPermissions) {
-        userPermissions.projectAccessLevel = accessLevel;
-        
-        // Update editing permissions based on access level
-        userPermissions.canEdit = ['owner', 'editor'].includes(accessLevel);
-        userPermissions.canExecute = ['owner', 'editor'].includes(accessLevel);
-        
-        session.userPermissions.set(userId, userPermissions);
-      }
+      const previous = { role: getMemberRole(session, userId), permissions: getUserPermissions(session, userId) };
+      applyAccessAssignment(session, userId, assignment);
+      recordPermissionChange(session, {
+        action: 'updated',
+        userId,
+        role: getMemberRole(session, userId),
+        permissions: getUserPermissions(session, userId),
+        previous
+      }, socket.userId);
+      emitPermissionsUpdated(session, userId, socket.userName);
       
       // Broadcast to all users in the session
       io.to(socket.sessionId).emit('access_rights_update', {
@@ -2863,6 +4813,132 @@ io.on('connection', (socket) => {
   console.log(`✅ Socket event handlers registered for ${userName} (${clientId})`);
 });
 
+// Admin moderation helpers used by the admin API
+// Helper function to record a moderation action in the activity log
+const logAdminActivity = (admin, action, target, details = {}) => {
+  activities.push(new Activity({
+    type: 'admin',
+    action,
+    target,
+    user: { id: admin.id, name: admin.name, email: admin.email, role: admin.role },
+    details
+  }));
+};
+
+// Helper function to summarize a session for admins
+const summarizeSessionForAdmin = (session) => ({
+  id: session.id,
+  name: session.name,
+  creatorId: session.creatorId,
+  coOwners: Array.from(session.coOwners),
+  createdAt: session.createdAt,
+  userCount: session.connectedUsers.size,
+  connectedUsers: Array.from(session.connectedUsers),
+  maxUsers: session.settings.maxUsers,
+  allowGuests: session.settings.allowGuests,
+  fileCount: session.files.size,
+  bannedUsers: Array.from(session.bannedUsers || []),
+  executions: executionQueue.status(session.id)
+});
+
+// Helper function to close a session: stops its runs, tells its members and
+// takes their sockets out of the session before discarding it
+const forceCloseSession = (session, admin, reason = '') => {
+  for (const execution of activeExecutions.values()) {
+    if (execution.sessionId !== session.id) continue;
+    execution.cancelledBy = admin.name;
+    if (!executionQueue.remove(session.id, execution.id)) {
+      execution.controller.abort();
+    }
+  }
+
+  io.to(session.id).emit('session_deleted', {
+    sessionId: session.id,
+    message: 'Session has been closed by an administrator',
+    reason
+  });
+  for (const socket of io.sockets.sockets.values()) {
+    if (socket.sessionId === session.id) {
+      socket.leave(session.id);
+      socket.sessionId = null;
+    }
+  }
+
+  discardCollaborationSession(session);
+  logAdminActivity(admin, 'session_closed', session.id, { sessionName: session.name, reason });
+  console.log(`🛡️ Admin ${admin.email} closed session ${session.id}`);
+};
+
+// Helper function to remove a user from a session; a kicked user needs a valid
+// key to come back, a banned user cannot rejoin at all
+const removeUserFromSession = (session, userId, admin, { ban = false, reason = '' } = {}) => {
+  if (ban) {
+    if (!session.bannedUsers) session.bannedUsers = new Set();
+    session.bannedUsers.add(userId);
+  }
+  const removedSockets = revokeSessionMembership(session, userId, ban ? 'banned' : 'kicked', { banned: ban, reason });
+
+  logAdminActivity(admin, ban ? 'session_user_banned' : 'session_user_kicked', session.id, { userId, reason });
+  console.log(`🛡️ Admin ${admin.email} ${ban ? 'banned' : 'kicked'} user ${userId} from session ${session.id}`);
+  return removedSockets;
+};
+
+const unbanUserFromSession = (session, userId, admin) => {
+  if (!session.bannedUsers || !session.bannedUsers.delete(userId)) return false;
+  persistSession(session);
+  logAdminActivity(admin, 'session_user_unbanned', session.id, { userId });
+  return true;
+};
+
+// Helper function to disconnect a user from the server; a deactivated account
+// also loses its refresh tokens so it cannot reconnect
+const removeUserFromServer = (userId, admin, { deactivated = false, reason = '' } = {}) => {
+  if (deactivated) {
+    refreshTokens.revokeUser(userId);
+  }
+  const disconnected = disconnectUserSockets(userId, null, deactivated ? 'Account deactivated' : 'Removed by an administrator');
+
+  logAdminActivity(admin, deactivated ? 'user_deactivated' : 'user_kicked', userId, { reason, disconnected });
+  console.log(`🛡️ Admin ${admin.email} ${deactivated ? 'deactivated' : 'kicked'} user ${userId} (${disconnected} socket(s) disconnected)`);
+  return disconnected;
+};
+
+// Helper function to hand over a session whose creator can no longer manage it
+const transferOwnershipAsAdmin = (session, userId, admin, options) => {
+  const validationError = userId === session.creatorId ? 'User already owns this session' : validateOwnerCandidate(session, userId);
+  if (validationError) return { error: validationError };
+
+  logAdminActivity(admin, 'session_ownership_transferred', session.id, { from: session.creatorId, to: userId });
+  return { change: transferSessionOwnership(session, userId, admin, options) };
+};
+
+// Helper function to read the activity log, newest first
+const listActivities = ({ sessionId, type, limit = 100 } = {}) => {
+  const result = [];
+  for (let i = activities.length - 1; i >= 0 && result.length < limit; i--) {
+    const activity = activities[i];
+    if (type && activity.type !== type) continue;
+    if (sessionId && activity.target !== sessionId && activity.details?.sessionId !== sessionId) continue;
+    result.push(activity);
+  }
+  return result;
+};
+
+// Admin API (admins only)
+app.use('/api/admin', authenticate('required'), requireRole('admin'), createAdminRouter({
+  userRepository,
+  collaborationSessions,
+  moderation: {
+    summarizeSession: summarizeSessionForAdmin,
+    closeSession: forceCloseSession,
+    removeUserFromSession,
+    unbanUserFromSession,
+    removeUserFromServer,
+    transferOwnership: transferOwnershipAsAdmin,
+    listActivities
+  }
+}));
+
 // Catch-all handler: send back React's index.html file for client-side routing
 app.get('*', (req, res) => {
   res.sendFile(path.join(__dirname, '..', 'client', 'build', 'index.html'));
@@ -2893,4 +4969,19 @@ function startServer(port) {
   });
 }
 
-startServer(PORT);
+// Write pending session snapshots before the process exits
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, async () => {
+    console.log(`💾 ${signal} received, saving collaboration sessions...`);
+    await Promise.all([flushSessionSaves(), fileVersionStore.flush(), refreshTokens.writing]);
+    process.exit(0);
+  });
+});
+
+// Load user accounts, sign-ins and persisted sessions before accepting connections
+initializeUsers()
+  .then(() => refreshTokens.load()
+    .then(count => console.log(`🔑 Loaded ${count} sign-in(s)`))
+    .catch(error => console.error('❌ Error loading refresh tokens:', error)))
+  .then(() => restoreCollaborationSessions())
+  .then(() => startServer(PORT));
@@ -0,0 +1,116 @@
+// Authentication middleware for REST routes
+// createAuthMiddleware() returns authenticate(mode), which reads the bearer
+// token, verifies it and attaches the user to req.user:
+//   'required' - requests without a valid token are rejected with 401
+//   'optional' - req.user is null when no token is sent
+//   'guest'    - like optional, but requests without a token get a guest user,
+//                subject to the guest policy (anonymous, named or reject)
+// A token that is sent but invalid is always rejected, in every mode.
+
+// Uniform JSON error for authentication (401) and authorization (403) failures
+const sendAuthError = (res, status, code, message) => {
+  res.status(status).json({ success: false, code, message });
+};
+
+const getBearerToken = (req) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+  if (!token || !/^Bearer$/i.test(scheme) || token === 'null' || token === 'undefined') {
+    return null;
+  }
+  return token;
+};
+
+// Clean up a guest name sent by a client
+const normalizeGuestName = (name) => {
+  if (typeof name !== 'string') return null;
+  const trimmed = name.replace(/[\u0000-\u001f<>]/g, '').trim().slice(0, 40);
+  return trimmed || null;
+};
+
+const createGuestUser = (name = null) => ({
+  id: `guest_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+  name: name || 'Guest User',
+  email: 'guest@codecollab.com',
+  role: 'guest',
+  avatar: 'G',
+  isGuest: true
+});
+
+// verifyToken(token) -> token info, resolveUser(tokenInfo) -> user record or null
+const createAuthMiddleware = ({ verifyToken, resolveUser, guestPolicy = 'anonymous' }) => {
+  const authenticate = (mode = 'required') => async (req, res, next) => {
+    const token = getBearerToken(req);
+    req.user = null;
+    req.tokenInfo = null;
+
+    if (!token) {
+      if (mode === 'required') {
+        sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+        return;
+      }
+      if (mode === 'guest') {
+        // Named guests send their name in the body or the X-Guest-Name header
+        const guestName = normalizeGuestName(req.body?.guestName || req.headers['x-guest-name']);
+        if (guestPolicy === 'reject') {
+          sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+          return;
+        }
+        if (guestPolicy === 'named' && !guestName) {
+          sendAuthError(res, 401, 'GUEST_NAME_REQUIRED', 'Guests must provide a name');
+          return;
+        }
+        req.user = createGuestUser(guestPolicy === 'named' ? guestName : null);
+      }
+      next();
+      return;
+    }
+
+    let tokenInfo;
+    try {
+      tokenInfo = await verifyToken(token);
+    } catch (error) {
+      sendAuthError(res, 401, 'INVALID_TOKEN', 'Invalid or expired token');
+      return;
+    }
+
+    try {
+      const user = await resolveUser(tokenInfo);
+      if (!user) {
+        sendAuthError(res, 401, 'USER_NOT_FOUND', 'User not found');
+        return;
+      }
+      if (user.isActive === false) {
+        sendAuthError(res, 403, 'USER_INACTIVE', 'User account is inactive');
+        return;
+      }
+
+      req.user = user;
+      req.tokenInfo = tokenInfo;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // Only let users with one of the given roles through; use after authenticate()
+  const requireRole = (...roles) => (req, res, next) => {
+    if (!req.user || req.user.isGuest) {
+      sendAuthError(res, 401, 'AUTH_REQUIRED', 'Authentication required');
+      return;
+    }
+    if (!roles.includes(req.user.role)) {
+      sendAuthError(res, 403, 'FORBIDDEN', 'You do not have permission to access this resource');
+      return;
+    }
+    next();
+  };
+
+  return { authenticate, requireRole };
+};
+
+module.exports = {
+  createAuthMiddleware,
+  sendAuthError,
+  getBearerToken,
+  normalizeGuestName
+};
@@ -0,0 +1,123 @@
+// Authentication middleware for Socket.IO connections
+// createSocketAuthMiddleware() returns authenticateSocket, for io.use(). It
+// verifies handshake.auth.token and gives the socket the identity of its user.
+// Clients without a token, or whose token fails verification, continue as
+// guests when the guest policy (anonymous, named or reject) allows it;
+// otherwise socket.authError is set with fatal: true so the connection
+// handler can tell the client and disconnect it. A failed token always sets
+// socket.authError, so the client learns that its token was not accepted.
+
+const { normalizeGuestName } = require('./auth');
+
+// Helper function to give a socket a guest identity
+const applyGuestIdentity = (socket, guestName = null) => {
+  socket.userId = `guest_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  socket.userEmail = 'guest@codecollab.com';
+  socket.userName = guestName || 'Guest User';
+  socket.userRole = 'guest';
+  socket.userAvatar = null;
+  socket.authenticated = false;
+  socket.tokenType = 'guest';
+  socket.tokenFamilyId = null;
+  socket.tokenExpiresAt = null;
+};
+
+// Helper function to give a socket the identity of a verified user
+const applyUserIdentity = (socket, user, tokenInfo) => {
+  socket.userId = user.id;
+  socket.userEmail = user.email;
+  socket.userName = user.name;
+  socket.userRole = user.role;
+  socket.userAvatar = user.avatar;
+  socket.authenticated = true;
+  socket.tokenType = tokenInfo.type;
+  socket.tokenFamilyId = tokenInfo.decoded?.fid || null;
+  // Firebase ID tokens and JWTs both carry exp in seconds
+  socket.tokenExpiresAt = typeof tokenInfo.decoded?.exp === 'number' ? tokenInfo.decoded.exp * 1000 : null;
+  socket.expiredUserId = null;
+};
+
+// Helper function to check a guest connection against a guest policy; returns
+// { code, message } when the guest is not allowed
+const getGuestPolicyError = (guestPolicy, guestName) => {
+  if (guestPolicy === 'reject') {
+    return { code: 'AUTH_REQUIRED', message: 'Authentication required' };
+  }
+  if (guestPolicy === 'named' && !normalizeGuestName(guestName)) {
+    return { code: 'GUEST_NAME_REQUIRED', message: 'Guests must provide a name' };
+  }
+  return null;
+};
+
+// verifyToken(token) -> token info, resolveUser(tokenInfo) -> user record or null,
+// onAuthenticated(user) is called for every socket that authenticates
+const createSocketAuthMiddleware = ({ verifyToken, resolveUser, guestPolicy = 'anonymous', onAuthenticated = () => {} }) => {
+  const guestNameFor = (socket) => guestPolicy === 'named' ? normalizeGuestName(socket.handshake.auth.guestName) : null;
+
+  const authenticateSocket = async (socket, next) => {
+    const token = socket.handshake.auth.token;
+
+    // Without a token the guest policy applies; session access is checked on join
+    if (!token || token === 'null' || token === 'undefined') {
+      const guestError = getGuestPolicyError(guestPolicy, socket.handshake.auth.guestName);
+      if (guestError) {
+        console.log(`⚠️ Socket connection rejected - ${guestError.message} (GUEST_POLICY=${guestPolicy})`);
+        socket.authError = { ...guestError, fatal: true };
+        return next();
+      }
+
+      console.log(`⚠️ Socket connection as guest - No token provided`);
+      // Allow guest access with limited permissions
+      applyGuestIdentity(socket, guestNameFor(socket));
+      socket.sessionId = null; // Will be set when joining a session
+      return next();
+    }
+
+    try {
+      console.log(`🔍 Attempting to verify token for socket connection: ${String(token).substring(0, 20)}...`);
+      const tokenInfo = await verifyToken(token);
+
+      // Get or create the user the token belongs to
+      const user = await resolveUser(tokenInfo);
+      if (!user || user.isActive === false) {
+        console.log(`⚠️ Socket connection rejected - User not found or inactive:`, tokenInfo.email);
+        return next(new Error('User not found or inactive'));
+      }
+
+      onAuthenticated(user);
+
+      applyUserIdentity(socket, user, tokenInfo);
+      socket.sessionId = null; // Will be set when joining a session
+
+      console.log(`✅ Socket authenticated for user: ${user.name} (${user.email}) - Role: ${user.role} - Token: ${tokenInfo.type}`);
+      next();
+
+    } catch (error) {
+      console.log(`⚠️ Socket connection rejected - Token verification failed:`, error.message);
+
+      // The client is told its token failed (auth_error). It continues as a guest
+      // only when the guest policy allows it.
+      const guestError = getGuestPolicyError(guestPolicy, socket.handshake.auth.guestName);
+      socket.authError = {
+        code: 'INVALID_TOKEN',
+        message: 'Token verification failed',
+        fatal: Boolean(guestError)
+      };
+      if (!guestError) {
+        console.log(`🔓 Continuing as guest after token verification failure (GUEST_POLICY=${guestPolicy})`);
+        applyGuestIdentity(socket, guestNameFor(socket));
+      }
+      socket.sessionId = null;
+      return next();
+    }
+  };
+
+  return { authenticateSocket };
+};
+
+module.exports = {
+  createSocketAuthMiddleware,
+  applyGuestIdentity,
+  applyUserIdentity,
+  getGuestPolicyError
+};
@@ -58,7 +58,7 @@ const firebaseCollections = {
   users: {
     fields: [
       'uid', 'email', 'displayName', 'photoURL', 'emailVerified',
-      'createdAt', 'updatedAt', 'lastLoginAt', 'isOnline',
+      'role', 'provider', 'isActive', 'createdAt', 'updatedAt', 'lastLoginAt', 'isOnline',
       'profile', 'preferences', 'collaborationSettings'
     ],
     indexes: [
@@ -156,6 +156,10 @@ CREATE TABLE IF NOT EXISTS users (
   display_name VARCHAR(255),
   photo_url TEXT,
   email_verified BOOLEAN DEFAULT FALSE,
+  role VARCHAR(50) DEFAULT 'user',
+  provider VARCHAR(50) DEFAULT 'local',
+  password_hash TEXT,
+  is_active BOOLEAN DEFAULT TRUE,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_login_at TIMESTAMP WITH TIME ZONE,
@@ -165,6 +169,12 @@ CREATE TABLE IF NOT EXISTS users (
   collaboration_settings JSONB DEFAULT '{}'
 );
 
+-- Account columns used by the user repository (for databases created before they existed)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(50) DEFAULT 'user';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS provider VARCHAR(50) DEFAULT 'local';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_active BOOLEAN DEFAULT TRUE;
+
 -- Projects table
 CREATE TABLE IF NOT EXISTS projects (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
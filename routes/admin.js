@@ -0,0 +1,292 @@
+// Admin API
+// Mounted at /api/admin behind authenticate('required') and requireRole('admin').
+// User accounts come from the user repository; session moderation goes through
+// the helpers index.js passes in as `moderation`, since they need the socket server.
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { toPublicUser, USER_ROLES } = require('../services/userRepository');
+
+// Fields an admin may set on an account
+const EDITABLE_USER_FIELDS = ['name', 'avatar', 'role', 'isActive', 'emailVerified', 'profile', 'preferences', 'collaborationSettings'];
+
+const pickEditableFields = (body = {}) => {
+  const changes = {};
+  for (const field of EDITABLE_USER_FIELDS) {
+    if (body[field] !== undefined) changes[field] = body[field];
+  }
+  return changes;
+};
+
+// Helper function to check the parts of a user payload the repository does not
+const validateUserPayload = (body = {}) => {
+  if (body.role !== undefined && !USER_ROLES.includes(body.role)) {
+    return `Role must be one of: ${USER_ROLES.join(', ')}`;
+  }
+  if (body.isActive !== undefined && typeof body.isActive !== 'boolean') {
+    return 'isActive must be a boolean';
+  }
+  if (body.password !== undefined && (typeof body.password !== 'string' || body.password.length < 8)) {
+    return 'Password must be at least 8 characters';
+  }
+  for (const field of ['profile', 'preferences', 'collaborationSettings']) {
+    if (body[field] !== undefined && (typeof body[field] !== 'object' || body[field] === null || Array.isArray(body[field]))) {
+      return `${field} must be an object`;
+    }
+  }
+  return null;
+};
+
+const getReason = (body) => (typeof body?.reason === 'string' ? body.reason.trim().slice(0, 500) : '');
+
+const createAdminRouter = ({ userRepository, collaborationSessions, moderation }) => {
+  const router = express.Router();
+
+  // Helper function to load the session named in the URL
+  const getSession = (req, res) => {
+    const session = collaborationSessions.get(req.params.sessionId);
+    if (!session) {
+      res.status(404).json({ success: false, message: 'Session not found' });
+      return null;
+    }
+    return session;
+  };
+
+  // Helper function to read the target user of a moderation request
+  const getTargetUserId = (req, res) => {
+    const userId = req.body?.userId;
+    if (typeof userId !== 'string' || !userId) {
+      res.status(400).json({ success: false, message: 'userId is required' });
+      return null;
+    }
+    if (userId === req.user.id) {
+      res.status(400).json({ success: false, message: 'You cannot remove yourself' });
+      return null;
+    }
+    return userId;
+  };
+
+  // List user accounts: ?search=&limit=&offset=
+  router.get('/users', async (req, res) => {
+    try {
+      const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+      const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+      const { users, total } = await userRepository.list({
+        search: typeof req.query.search === 'string' ? req.query.search : '',
+        limit,
+        offset
+      });
+
+      res.json({ success: true, users: users.map(toPublicUser), total, limit, offset });
+    } catch (error) {
+      console.error('Error listing users:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.get('/users/:userId', async (req, res) => {
+    try {
+      const user = await userRepository.findById(req.params.userId);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      res.json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error getting user:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Create a local account: { email, name, role, password }
+  router.post('/users', async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateUserPayload(body);
+    if (validationError || typeof body.email !== 'string' || !body.email.includes('@')) {
+      return res.status(400).json({ success: false, message: validationError || 'A valid email is required' });
+    }
+
+    try {
+      if (await userRepository.findByEmail(body.email.toLowerCase())) {
+        return res.status(409).json({ success: false, message: 'A user with this email already exists' });
+      }
+
+      const user = await userRepository.create({
+        ...pickEditableFields(body),
+        email: body.email.toLowerCase(),
+        provider: 'local',
+        passwordHash: body.password ? await bcrypt.hash(body.password, 10) : undefined
+      });
+
+      console.log(`👤 Admin ${req.user.email} created user ${user.email} (${user.role})`);
+      res.status(201).json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error creating user:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Update an account: any of EDITABLE_USER_FIELDS and password
+  router.patch('/users/:userId', async (req, res) => {
+    const body = req.body || {};
+    const validationError = validateUserPayload(body);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+
+    // Admins cannot lock themselves out
+    if (req.params.userId === req.user.id && (body.isActive === false || (body.role && body.role !== 'admin'))) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate or demote your own account' });
+    }
+
+    try {
+      const changes = pickEditableFields(body);
+      if (body.password) {
+        changes.passwordHash = await bcrypt.hash(body.password, 10);
+      }
+
+      const user = await userRepository.update(req.params.userId, changes);
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+      if (body.isActive === false) {
+        moderation.removeUserFromServer(user.id, req.user, { deactivated: true });
+      }
+
+      console.log(`👤 Admin ${req.user.email} updated user ${user.email}: ${Object.keys(changes).join(', ')}`);
+      res.json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error updating user:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Deactivated accounts are rejected by the REST and socket authentication
+  // and lose their refresh tokens and open sockets
+  router.post('/users/:userId/deactivate', async (req, res) => {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot deactivate your own account' });
+    }
+
+    try {
+      const user = await userRepository.update(req.params.userId, { isActive: false });
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      const disconnected = moderation.removeUserFromServer(user.id, req.user, { deactivated: true, reason: getReason(req.body) });
+      res.json({ success: true, user: toPublicUser(user), disconnected });
+    } catch (error) {
+      console.error('Error deactivating user:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  router.post('/users/:userId/reactivate', async (req, res) => {
+    try {
+      const user = await userRepository.update(req.params.userId, { isActive: true });
+      if (!user) {
+        return res.status(404).json({ success: false, message: 'User not found' });
+      }
+
+      console.log(`👤 Admin ${req.user.email} reactivated user ${user.email}`);
+      res.json({ success: true, user: toPublicUser(user) });
+    } catch (error) {
+      console.error('Error reactivating user:', error);
+      res.status(500).json({ success: false, message: error.message });
+    }
+  });
+
+  // Disconnect every socket of a user (also works for guests); they may reconnect
+  router.post('/users/:userId/kick', (req, res) => {
+    if (req.params.userId === req.user.id) {
+      return res.status(400).json({ success: false, message: 'You cannot remove yourself' });
+    }
+
+    const disconnected = moderation.removeUserFromServer(req.params.userId, req.user, { reason: getReason(req.body) });
+    res.json({ success: true, disconnected });
+  });
+
+  // Active collaboration sessions
+  router.get('/sessions', (req, res) => {
+    const sessions = Array.from(collaborationSessions.values())
+      .map(moderation.summarizeSession)
+      .sort((a, b) => b.createdAt - a.createdAt);
+    res.json({ success: true, sessions, total: sessions.length });
+  });
+
+  router.get('/sessions/:sessionId', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+    res.json({ success: true, session: moderation.summarizeSession(session) });
+  });
+
+  // Force-close a session
+  router.delete('/sessions/:sessionId', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    moderation.closeSession(session, req.user, getReason(req.body));
+    res.json({ success: true, message: 'Session closed' });
+  });
+
+  // Remove a user from a session: { userId, reason }
+  router.post('/sessions/:sessionId/kick', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+    const userId = getTargetUserId(req, res);
+    if (!userId) return;
+
+    const disconnected = moderation.removeUserFromSession(session, userId, req.user, { reason: getReason(req.body) });
+    res.json({ success: true, disconnected });
+  });
+
+  // Remove a user from a session and keep them from rejoining: { userId, reason }
+  router.post('/sessions/:sessionId/ban', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+    const userId = getTargetUserId(req, res);
+    if (!userId) return;
+
+    const disconnected = moderation.removeUserFromSession(session, userId, req.user, { ban: true, reason: getReason(req.body) });
+    res.json({ success: true, disconnected, bannedUsers: Array.from(session.bannedUsers) });
+  });
+
+  router.delete('/sessions/:sessionId/bans/:userId', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    if (!moderation.unbanUserFromSession(session, req.params.userId, req.user)) {
+      return res.status(404).json({ success: false, message: 'User is not banned from this session' });
+    }
+    res.json({ success: true, bannedUsers: Array.from(session.bannedUsers) });
+  });
+
+  // Hand a session over to one of its members: { userId, keepAsCoOwner }
+  router.post('/sessions/:sessionId/transfer-ownership', (req, res) => {
+    const session = getSession(req, res);
+    if (!session) return;
+
+    const { userId, keepAsCoOwner = true } = req.body || {};
+    const { error, change } = moderation.transferOwnership(session, userId, req.user, { keepAsCoOwner: keepAsCoOwner !== false });
+    if (error) {
+      return res.status(400).json({ success: false, message: error });
+    }
+    res.json({ success: true, session: moderation.summarizeSession(session), change });
+  });
+
+  // Activity log across sessions: ?sessionId=&type=&limit=
+  router.get('/activities', (req, res) => {
+    const activities = moderation.listActivities({
+      sessionId: typeof req.query.sessionId === 'string' ? req.query.sessionId : undefined,
+      type: typeof req.query.type === 'string' ? req.query.type : undefined,
+      limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000)
+    });
+    res.json({ success: true, activities });
+  });
+
+  return router;
+};
+
+module.exports = {
+  createAdminRouter
+};
@@ -0,0 +1,207 @@
+// Line-based text diffing (Myers' O(ND) algorithm) and unified diff output
+
+const splitLines = (text) => {
+  if (!text) return [];
+  const lines = text.split('\n');
+  // A trailing newline does not start another line
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+};
+
+// Work allowed for one diff, counted in diagonals explored. Past it, the
+// remaining differing lines are reported as deleted and re-inserted: still a
+// correct edit script, just not the shortest one.
+const MAX_DIFF_COST = 1000000;
+
+const equalEntries = (lines) => lines.map(line => ({ type: 'equal', line }));
+const deleteEntries = (lines) => lines.map(line => ({ type: 'delete', line }));
+const insertEntries = (lines) => lines.map(line => ({ type: 'insert', line }));
+
+// Find the middle of the shortest edit script by running Myers' algorithm from
+// both ends at once, then diff both halves. Only two vectors of n + m entries
+// are kept, so memory stays linear.
+const bisect = (oldLines, newLines, budget) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const length = 2 * maxD + 2;
+  const forward = new Int32Array(length).fill(-1);
+  const backward = new Int32Array(length).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet while extending forward, else backward
+  const meetsForward = delta % 2 !== 0;
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD && budget.cost <= budget.limit; d++) {
+    budget.cost += 2 * d + 1;
+
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && forward[index - 1] < forward[index + 1])
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[x] === newLines[y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetsForward) {
+        const backwardIndex = offset + delta - k;
+        if (backwardIndex >= 0 && backwardIndex < length && backward[backwardIndex] !== -1 &&
+            x >= n - backward[backwardIndex]) {
+          return splitAt(oldLines, newLines, x, y, budget);
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x = k === -d || (k !== d && backward[index - 1] < backward[index + 1])
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && oldLines[n - x - 1] === newLines[m - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetsForward) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < length && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return splitAt(oldLines, newLines, forwardX, offset + forwardX - forwardIndex, budget);
+          }
+        }
+      }
+    }
+  }
+
+  // Out of budget (or nothing in common)
+  return [...deleteEntries(oldLines), ...insertEntries(newLines)];
+};
+
+const splitAt = (oldLines, newLines, x, y, budget) => [
+  ...diffRange(oldLines.slice(0, x), newLines.slice(0, y), budget),
+  ...diffRange(oldLines.slice(x), newLines.slice(y), budget)
+];
+
+const diffRange = (oldLines, newLines, budget) => {
+  // Common lines at the start and end need no search
+  let prefix = 0;
+  while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+    prefix++;
+  }
+  let suffix = 0;
+  while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+         oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+    suffix++;
+  }
+
+  const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+  const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+  let middle;
+  if (oldMiddle.length === 0) {
+    middle = insertEntries(newMiddle);
+  } else if (newMiddle.length === 0) {
+    middle = deleteEntries(oldMiddle);
+  } else {
+    middle = bisect(oldMiddle, newMiddle, budget);
+  }
+
+  return [
+    ...equalEntries(oldLines.slice(0, prefix)),
+    ...middle,
+    ...equalEntries(oldLines.slice(oldLines.length - suffix))
+  ];
+};
+
+// Compute the edit script between two line arrays (Myers' O(ND) algorithm in
+// linear space). Returns entries of { type: 'equal' | 'delete' | 'insert', line }.
+const diffLines = (oldLines, newLines, { maxCost = MAX_DIFF_COST } = {}) => {
+  return diffRange(oldLines, newLines, { cost: 0, limit: maxCost });
+};
+
+// Count added and removed lines between two texts
+const countLineChanges = (oldText, newText) => {
+  let linesAdded = 0;
+  let linesRemoved = 0;
+  for (const entry of diffLines(splitLines(oldText), splitLines(newText))) {
+    if (entry.type === 'insert') linesAdded++;
+    if (entry.type === 'delete') linesRemoved++;
+  }
+  return { linesAdded, linesRemoved };
+};
+
+// Produce a unified diff (as used by git and patch) between two texts
+const createUnifiedDiff = (oldText, newText, { fromLabel = 'a', toLabel = 'b', context = 3 } = {}) => {
+  const script = diffLines(splitLines(oldText), splitLines(newText));
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+
+  // Attach old/new line numbers to every entry
+  let oldLine = 1;
+  let newLine = 1;
+  const entries = script.map(entry => {
+    const numbered = { ...entry, oldLine, newLine };
+    if (entry.type !== 'insert') oldLine++;
+    if (entry.type !== 'delete') newLine++;
+    return numbered;
+  });
+
+  let i = 0;
+  while (i < entries.length) {
+    if (entries[i].type === 'equal') {
+      i++;
+      continue;
+    }
+
+    // Grow the hunk until there are more than 2 * context unchanged lines in a row
+    const start = Math.max(0, i - context);
+    let end = i;
+    let lastChange = i;
+    while (end < entries.length && end - lastChange <= context * 2) {
+      if (entries[end].type !== 'equal') lastChange = end;
+      end++;
+    }
+    end = Math.min(entries.length, lastChange + context + 1);
+
+    const hunk = entries.slice(start, end);
+    const oldCount = hunk.filter(entry => entry.type !== 'insert').length;
+    const newCount = hunk.filter(entry => entry.type !== 'delete').length;
+    const oldStart = oldCount === 0 ? hunk[0].oldLine - 1 : hunk[0].oldLine;
+    const newStart = newCount === 0 ? hunk[0].newLine - 1 : hunk[0].newLine;
+
+    lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+    for (const entry of hunk) {
+      const prefix = entry.type === 'insert' ? '+' : entry.type === 'delete' ? '-' : ' ';
+      lines.push(`${prefix}${entry.line}`);
+    }
+
+    i = end;
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+module.exports = {
+  MAX_DIFF_COST,
+  diffLines,
+  countLineChanges,
+  createUnifiedDiff
+};
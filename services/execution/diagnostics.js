@@ -0,0 +1,83 @@
+// Attribute compiler output to the files that produced it
+
+// Diagnostic line formats of the supported toolchains
+const DIAGNOSTIC_PATTERNS = [
+  // gcc, clang, go, swift, javac, kotlinc: file:line[:col]: [severity:] message
+  /^(?<file>[^\s:(][^:(]*?):(?<line>\d+):(?:(?<column>\d+):)?\s*(?:(?<severity>fatal error|error|warning|note)\s*:\s*)?(?<message>.*)$/,
+  // tsc, mcs: file(line,col): severity CODE: message
+  /^(?<file>[^\s(][^(]*?)\((?<line>\d+),(?<column>\d+)\):\s*(?<severity>error|warning)\s+\w+:\s*(?<message>.*)$/,
+  // older kotlinc: e: file: (line, col): message
+  /^(?<severity>e|w):\s*(?<file>[^:]+):\s*\((?<line>\d+),\s*(?<column>\d+)\):\s*(?<message>.*)$/,
+  // python tracebacks: File "file", line N
+  /^\s*File "(?<file>[^"]+)", line (?<line>\d+)(?<message>.*)$/
+];
+
+// rustc prints the message first and the location on a following " --> file:line:col" line
+const RUST_LOCATION = /^\s*-->\s*(?<file>[^:]+):(?<line>\d+):(?<column>\d+)/;
+const RUST_MESSAGE = /^(?<severity>error|warning)(?:\[\w+\])?:\s*(?<message>.*)$/;
+
+const SEVERITIES = { e: 'error', w: 'warning', 'fatal error': 'error' };
+
+// Match a path printed by a compiler (possibly absolute, e.g. inside a Piston
+// job directory) to one of the files that were sent for execution
+const matchFile = (printedPath, fileNames) => {
+  const normalized = printedPath.replace(/\\/g, '/').replace(/^\.\//, '');
+  return fileNames.find(name => normalized === name || normalized.endsWith(`/${name}`)) || null;
+};
+
+// Parse compiler/interpreter output into { file, line, column, severity, message }
+// entries for the given file names. Lines that do not point at one of the files are ignored.
+const parseCompilerDiagnostics = (output, fileNames) => {
+  if (!output) return [];
+
+  const diagnostics = [];
+  let pendingRust = null;
+
+  for (const line of output.split('\n')) {
+    const rustMessage = line.match(RUST_MESSAGE);
+    if (rustMessage) {
+      pendingRust = rustMessage.groups;
+      continue;
+    }
+
+    const rustLocation = line.match(RUST_LOCATION);
+    if (rustLocation && pendingRust) {
+      const file = matchFile(rustLocation.groups.file, fileNames);
+      if (file) {
+        diagnostics.push({
+          file,
+          line: parseInt(rustLocation.groups.line),
+          column: parseInt(rustLocation.groups.column),
+          severity: pendingRust.severity,
+          message: pendingRust.message
+        });
+      }
+      pendingRust = null;
+      continue;
+    }
+
+    for (const pattern of DIAGNOSTIC_PATTERNS) {
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      const file = matchFile(match.groups.file.trim(), fileNames);
+      if (file) {
+        const severity = match.groups.severity || 'error';
+        diagnostics.push({
+          file,
+          line: parseInt(match.groups.line),
+          column: match.groups.column ? parseInt(match.groups.column) : null,
+          severity: SEVERITIES[severity] || severity,
+          message: match.groups.message.replace(/^,\s*/, '').trim()
+        });
+      }
+      break;
+    }
+  }
+
+  return diagnostics;
+};
+
+module.exports = {
+  parseCompilerDiagnostics
+};
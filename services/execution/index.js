@@ -0,0 +1,34 @@
+// Code execution backends
+// EXECUTION_BACKEND selects where code runs: 'piston' (default, remote Piston API)
+// or 'local' (isolated, limited child processes on this server).
+
+const { PistonBackend, DEFAULT_PISTON_API_URL } = require('./pistonBackend');
+const { LocalBackend } = require('./localBackend');
+const { languageMap, getFileName } = require('./languages');
+const { parseCompilerDiagnostics } = require('./diagnostics');
+
+// Create the execution backend configured for this deployment
+const createExecutionBackend = (env = process.env) => {
+  const type = (env.EXECUTION_BACKEND || 'piston').toLowerCase();
+
+  switch (type) {
+    case 'piston':
+      return new PistonBackend({ apiUrl: env.PISTON_API_URL || DEFAULT_PISTON_API_URL });
+    case 'local':
+      return new LocalBackend({
+        memoryLimitMb: parseInt(env.LOCAL_EXECUTION_MEMORY_MB) || 256,
+        maxProcesses: parseInt(env.LOCAL_EXECUTION_MAX_PROCESSES) || 64,
+        network: env.LOCAL_EXECUTION_NETWORK || 'none',
+        readOnlyPaths: (env.LOCAL_EXECUTION_READ_ONLY_PATHS || '').split(',').map(entry => entry.trim()).filter(Boolean)
+      });
+    default:
+      throw new Error(`Unknown execution backend: ${type}`);
+  }
+};
+
+module.exports = {
+  createExecutionBackend,
+  languageMap,
+  getFileName,
+  parseCompilerDiagnostics
+};
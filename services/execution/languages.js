@@ -0,0 +1,44 @@
+// Supported execution languages
+
+// Language mapping for Piston API
+const languageMap = {
+  'javascript': { language: 'javascript', version: '18.15.0' },
+  'python': { language: 'python', version: '3.10.0' },
+  'java': { language: 'java', version: '15.0.2' },
+  'cpp': { language: 'cpp', version: '10.2.0' },
+  'c': { language: 'c', version: '10.2.0' },
+  'typescript': { language: 'typescript', version: '5.0.3' },
+  'php': { language: 'php', version: '8.2.3' },
+  'ruby': { language: 'ruby', version: '3.0.1' },
+  'go': { language: 'go', version: '1.16.2' },
+  'rust': { language: 'rust', version: '1.68.2' },
+  'kotlin': { language: 'kotlin', version: '1.8.20' },
+  'swift': { language: 'swift', version: '5.3.3' },
+  'csharp': { language: 'csharp', version: '6.12.0' }
+};
+
+// Helper function to get appropriate filename for language
+function getFileName(language) {
+  const extensions = {
+    'javascript': 'main.js',
+    'typescript': 'main.ts',
+    'python': 'main.py',
+    'java': 'Main.java',
+    'cpp': 'main.cpp',
+    'c': 'main.c',
+    'php': 'main.php',
+    'ruby': 'main.rb',
+    'go': 'main.go',
+    'rust': 'main.rs',
+    'kotlin': 'Main.kt',
+    'swift': 'main.swift',
+    'csharp': 'Main.cs'
+  };
+  
+  return extensions[language.toLowerCase()] || 'main.txt';
+}
+
+module.exports = {
+  languageMap,
+  getFileName
+};
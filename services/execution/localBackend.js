@@ -0,0 +1,334 @@
+// Execution backend that runs code in local child processes
+// Each run gets a fresh temporary working directory, a minimal environment,
+// a wall-clock timeout (the whole process group is killed), CPU time, process
+// count and address-space caps applied with ulimit, capped output and - by
+// default - no network access.
+//
+// Programs are isolated with Linux namespaces (util-linux unshare, chroot and
+// setpriv, unprivileged user namespaces): they run in their own user, mount and
+// PID namespace, chrooted into a root that only holds read-only bind mounts of
+// the system directories and toolchains, an empty /tmp and the run's working
+// directory at /workspace, with every capability dropped. They cannot see or
+// change the server's files or other processes.
+
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Compile and run commands per language. Runtimes that reserve a large virtual
+// address space up front (V8, the JVM, Mono) get their own heap limit instead
+// of ulimit (limitAddressSpace: false). Placeholders:
+//   {main}       entry file path          {mainBase}  entry file path without extension
+//   {mainClass}  JVM class of the entry   {memory}    memory limit in MB
+//   {sources}    every file whose extension is listed in `sources` (one argument each)
+// Interpreted languages and compilers that follow imports themselves only need {main}.
+const LOCAL_TOOLCHAINS = {
+  javascript: { run: ['node', '--max-old-space-size={memory}', '{main}'], limitAddressSpace: false },
+  typescript: { compile: ['tsc', '--outDir', '.', '{main}'], run: ['node', '--max-old-space-size={memory}', '{mainBase}.js'], limitAddressSpace: false },
+  python: { run: ['python3', '{main}'] },
+  java: { compile: ['javac', '-d', '.', '{sources}'], sources: ['.java'], run: ['java', '-Xmx{memory}m', '-cp', '.', '{mainClass}'], limitAddressSpace: false },
+  cpp: { compile: ['g++', '-O2', '-I', '.', '-o', 'main', '{sources}'], sources: ['.cpp', '.cc', '.cxx'], run: ['./main'] },
+  c: { compile: ['gcc', '-O2', '-I', '.', '-o', 'main', '{sources}'], sources: ['.c'], run: ['./main'] },
+  php: { run: ['php', '{main}'] },
+  ruby: { run: ['ruby', '{main}'] },
+  go: { compile: ['go', 'build', '-o', 'main', '{sources}'], sources: ['.go'], run: ['./main'] },
+  rust: { compile: ['rustc', '-O', '-o', 'main', '{main}'], run: ['./main'] },
+  kotlin: { compile: ['kotlinc', '{sources}', '-include-runtime', '-d', 'main.jar'], sources: ['.kt'], run: ['java', '-Xmx{memory}m', '-jar', 'main.jar'], limitAddressSpace: false },
+  swift: { compile: ['swiftc', '-o', 'main', '{sources}'], sources: ['.swift'], run: ['./main'] },
+  csharp: { compile: ['mcs', '-out:main.exe', '{sources}'], sources: ['.cs'], run: ['mono', 'main.exe'], limitAddressSpace: false }
+};
+
+// System paths mounted read-only into the isolated root (when they exist)
+const DEFAULT_READ_ONLY_PATHS = ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/opt', '/etc/alternatives', '/etc/ld.so.cache'];
+
+// Commands the isolation needs on the server
+const ISOLATION_COMMANDS = ['unshare', 'mount', 'chroot', 'setpriv'];
+
+// Run as root of a new user namespace: build the isolated root on a tmpfs, then
+// chroot into it and drop every capability before running the command.
+// Arguments: <root> <workDir> <number of read-only paths> <paths...> <command...>
+const ISOLATION_SCRIPT = `
+set -e
+root=$1; work=$2; count=$3; shift 3
+mount -t tmpfs -o mode=755 tmpfs "$root"
+while [ "$count" -gt 0 ]; do
+  source=$1; shift; count=$((count - 1))
+  [ -e "$source" ] || [ -L "$source" ] || continue
+  target="$root$source"
+  mkdir -p "$(dirname "$target")"
+  if [ -L "$source" ]; then ln -sfn "$(readlink "$source")" "$target"; continue; fi
+  if [ -d "$source" ]; then mkdir -p "$target"; else : > "$target"; fi
+  mount --rbind "$source" "$target"
+  mount -o remount,bind,ro,nosuid,nodev "$target"
+done
+mkdir -p "$root/dev" "$root/proc" "$root/tmp" "$root/workspace"
+for device in null zero random urandom; do
+  : > "$root/dev/$device"
+  mount --bind "/dev/$device" "$root/dev/$device"
+done
+mount -t proc -o nosuid,nodev,noexec proc "$root/proc"
+mount -t tmpfs -o size=64m,nosuid,nodev tmpfs "$root/tmp"
+mount --bind "$work" "$root/workspace"
+mount -o remount,bind,ro "$root"
+cd "$root"
+exec chroot . setpriv --no-new-privs --inh-caps=-all --bounding-set=-all -- "$@"
+`;
+
+// Helper function to find an executable on the PATH
+const findCommand = (command) => {
+  const extensions = process.platform === 'win32' ? ['.exe', '.cmd', ''] : [''];
+  for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+    for (const ext of extensions) {
+      const candidate = path.join(dir, command + ext);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        return candidate;
+      } catch (error) {
+        // Not in this directory
+      }
+    }
+  }
+  return null;
+};
+
+// Helper function to check whether an executable is on the PATH
+const isCommandAvailable = (command) => command.startsWith('./') || findCommand(command) !== null;
+
+// Helper function to find the install prefix of a command that lives outside the
+// default read-only paths (e.g. ~/.nvm/versions/node/v20/bin/node), so the
+// isolated root can include it
+const getToolchainPrefix = (command) => {
+  const found = !command.startsWith('./') && findCommand(command);
+  if (!found) return null;
+  const paths = [found, fs.realpathSync(found)];
+  const outside = paths.filter(file => !DEFAULT_READ_ONLY_PATHS.some(dir => file === dir || file.startsWith(`${dir}/`)));
+  return outside.length ? outside.map(file => path.dirname(path.dirname(file))) : null;
+};
+
+class LocalBackend {
+  constructor({ memoryLimitMb = 256, maxProcesses = 64, network = 'none', maxOutputBytes = 64 * 1024, workRoot = os.tmpdir(), readOnlyPaths = [] } = {}) {
+    this.name = 'local';
+    this.supportsInteractiveInput = true;
+    this.memoryLimitMb = memoryLimitMb;
+    this.maxProcesses = maxProcesses;
+    this.network = network;
+    this.maxOutputBytes = maxOutputBytes;
+    this.workRoot = workRoot;
+    this.readOnlyPaths = readOnlyPaths;
+  }
+
+  // Paths mounted read-only into the isolated root for a toolchain
+  getReadOnlyPaths(toolchain) {
+    const prefixes = [toolchain.compile, toolchain.run]
+      .filter(Boolean)
+      .flatMap(command => getToolchainPrefix(command[0]) || []);
+    return Array.from(new Set([...DEFAULT_READ_ONLY_PATHS, ...this.readOnlyPaths, ...prefixes]));
+  }
+
+  // Report the languages whose toolchain is installed on this machine
+  async listRuntimes(languageMap) {
+    return Object.values(languageMap)
+      .filter(config => {
+        const toolchain = LOCAL_TOOLCHAINS[config.language];
+        if (!toolchain) return false;
+        return [toolchain.compile, toolchain.run].every(command => !command || isCommandAvailable(command[0]));
+      })
+      .map(config => ({ language: config.language, version: config.version }));
+  }
+
+  // Run a set of files; the first file is the entry point. Returns the same
+  // { language, version, compile, run } shape as the Piston API. Output is also
+  // passed to onOutput(stage, stream, data) as it arrives; aborting `signal`
+  // kills the running process. `stdin` is a string or, for interactive runs, a
+  // readable stream that is piped into the program while it runs.
+  async execute({ config, files, stdin = '', limits = {}, onOutput = null, signal = null }) {
+    const toolchain = LOCAL_TOOLCHAINS[config.language];
+    if (!toolchain) {
+      throw new Error(`Language ${config.language} is not available on the local runner`);
+    }
+    const missing = ISOLATION_COMMANDS.filter(command => !isCommandAvailable(command));
+    if (missing.length) {
+      throw new Error(`Local execution needs ${missing.join(', ')} to isolate programs`);
+    }
+
+    // <runDir>/root is the mount point of the isolated root, <runDir>/workspace
+    // holds the files and becomes /workspace
+    const runDir = await fs.promises.mkdtemp(path.join(this.workRoot, 'codecollab-run-'));
+    const workDir = path.join(runDir, 'workspace');
+    const readOnlyPaths = this.getReadOnlyPaths(toolchain);
+    try {
+      await fs.promises.mkdir(path.join(runDir, 'root'));
+      await fs.promises.mkdir(workDir);
+      await this.writeFiles(workDir, files);
+
+      const main = files[0].name;
+      const packageDeclaration = (files[0].content || '').match(/^\s*package\s+([\w.]+)\s*;/m);
+      const values = {
+        main,
+        mainBase: main.slice(0, main.length - path.extname(main).length),
+        mainClass: (packageDeclaration ? `${packageDeclaration[1]}.` : '') + path.basename(main, path.extname(main)),
+        memory: String(this.memoryLimitMb)
+      };
+      const sources = files
+        .map(file => file.name)
+        .filter(name => (toolchain.sources || []).includes(path.extname(name)));
+      const expand = (command) => command.flatMap(arg => arg === '{sources}'
+        ? sources
+        : [arg.replace(/\{(\w+)\}/g, (match, key) => values[key] ?? match)]);
+
+      const result = { language: config.language, version: config.version };
+
+      if (toolchain.compile) {
+        // Compilers need more memory than programs, so only the timeout applies
+        result.compile = await this.runProcess(expand(toolchain.compile), {
+          runDir,
+          readOnlyPaths,
+          timeout: limits.compileTimeout || 10000,
+          onOutput: onOutput && ((stream, data) => onOutput('compile', stream, data)),
+          signal
+        });
+        if (result.compile.code !== 0 || signal?.aborted) {
+          return result;
+        }
+      }
+
+      result.run = await this.runProcess(expand(toolchain.run), {
+        runDir,
+        readOnlyPaths,
+        stdin,
+        timeout: limits.runTimeout || 3000,
+        memoryLimitMb: toolchain.limitAddressSpace === false ? null : this.memoryLimitMb,
+        maxProcesses: this.maxProcesses,
+        onOutput: onOutput && ((stream, data) => onOutput('run', stream, data)),
+        signal
+      });
+      return result;
+    } finally {
+      fs.promises.rm(runDir, { recursive: true, force: true }).catch(error => {
+        console.warn(`⚠️ Failed to remove execution directory ${runDir}:`, error.message);
+      });
+    }
+  }
+
+  async writeFiles(workDir, files) {
+    for (const file of files) {
+      const target = path.resolve(workDir, file.name);
+      if (!target.startsWith(workDir + path.sep)) {
+        throw new Error(`Invalid file name: ${file.name}`);
+      }
+      await fs.promises.mkdir(path.dirname(target), { recursive: true });
+      await fs.promises.writeFile(target, file.content || '', 'utf8');
+    }
+  }
+
+  runProcess(command, { runDir, readOnlyPaths, stdin = '', timeout, memoryLimitMb = null, maxProcesses = null, onOutput = null, signal = null }) {
+    return new Promise((resolve) => {
+      // Apply limits in a shell inside the isolated root, then exec the real command
+      const limits = [
+        'ulimit -f 10240', // No single file over 10MB
+        `ulimit -t ${Math.ceil(timeout / 1000) + 1}` // CPU time, in case the wall-clock kill is missed
+      ];
+      if (memoryLimitMb) limits.push(`ulimit -v ${memoryLimitMb * 1024}`);
+      // Caps fork bombs; bash calls the process limit -u, dash -p
+      if (maxProcesses) limits.push(`{ ulimit -u ${maxProcesses} 2>/dev/null || ulimit -p ${maxProcesses}; }`);
+      const namespaces = ['--user', '--map-root-user', '--mount', '--pid', '--fork', '--kill-child'];
+      if (this.network === 'none') namespaces.push('--net');
+      const argv = [
+        'unshare', ...namespaces,
+        'sh', '-c', ISOLATION_SCRIPT, 'sh',
+        path.join(runDir, 'root'), path.join(runDir, 'workspace'), String(readOnlyPaths.length), ...readOnlyPaths,
+        'sh', '-c', `${limits.join('; ')}; cd /workspace && exec "$@"`, 'sh', ...command
+      ];
+
+      const child = spawn(argv[0], argv.slice(1), {
+        cwd: runDir,
+        detached: true, // Own process group so a timeout kills every child process
+        env: {
+          PATH: process.env.PATH,
+          HOME: '/workspace',
+          TMPDIR: '/tmp',
+          LANG: 'C.UTF-8'
+        }
+      });
+
+      const output = { stdout: '', stderr: '', output: '' };
+      let truncated = false;
+      let timedOut = false;
+      let cancelled = false;
+
+      const append = (stream) => (text) => {
+        // Output past the limit is dropped, both from the result and the stream
+        if (output[stream].length + text.length > this.maxOutputBytes) {
+          truncated = true;
+          text = text.slice(0, Math.max(0, this.maxOutputBytes - output[stream].length));
+        }
+        if (!text) return;
+        output[stream] += text;
+        output.output += text;
+        if (onOutput) onOutput(stream, text);
+      };
+      child.stdout.setEncoding('utf8');
+      child.stderr.setEncoding('utf8');
+      child.stdout.on('data', append('stdout'));
+      child.stderr.on('data', append('stderr'));
+
+      const killGroup = () => {
+        try {
+          process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+          // Process group already gone
+        }
+      };
+      const timer = setTimeout(() => {
+        timedOut = true;
+        killGroup();
+      }, timeout);
+
+      const onAbort = () => {
+        cancelled = true;
+        killGroup();
+      };
+      if (signal) {
+        if (signal.aborted) onAbort();
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        resolve({ ...output, stderr: output.stderr + error.message, code: null, signal: null });
+      });
+
+      child.on('close', (code, exitSignal) => {
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+        killGroup();
+        resolve({
+          ...output,
+          code,
+          signal: exitSignal,
+          timedOut,
+          cancelled,
+          truncated,
+          message: timedOut ? `Time limit of ${timeout}ms exceeded` : cancelled ? 'Execution cancelled' : undefined
+        });
+      });
+
+      child.stdin.on('error', () => {}); // Program exited before reading its input
+      if (typeof stdin === 'string') {
+        child.stdin.end(stdin);
+      } else {
+        stdin.pipe(child.stdin);
+        child.on('close', () => stdin.unpipe(child.stdin));
+      }
+    });
+  }
+}
+
+module.exports = {
+  LocalBackend,
+  LOCAL_TOOLCHAINS,
+  DEFAULT_READ_ONLY_PATHS,
+  isCommandAvailable
+};
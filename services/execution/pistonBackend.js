@@ -0,0 +1,59 @@
+// Execution backend that runs code on a Piston API server
+
+const axios = require('axios');
+
+const DEFAULT_PISTON_API_URL = 'https://emkc.org/api/v2/piston';
+
+class PistonBackend {
+  constructor({ apiUrl = DEFAULT_PISTON_API_URL } = {}) {
+    this.name = 'piston';
+    this.supportsInteractiveInput = false;
+    this.apiUrl = apiUrl;
+  }
+
+  async listRuntimes() {
+    const response = await axios.get(`${this.apiUrl}/runtimes`);
+    return response.data;
+  }
+
+  // Run a set of files; the first file is the entry point. Piston only returns
+  // output when the run has finished, so onOutput receives it all at the end.
+  async execute({ config, files, stdin = '', limits = {}, onOutput = null, signal = null }) {
+    if (typeof stdin !== 'string') {
+      throw new Error('Interactive input requires the local execution backend');
+    }
+
+    const executionRequest = {
+      language: config.language,
+      version: config.version,
+      files: files,
+      stdin: stdin,
+      compile_timeout: limits.compileTimeout || 10000,
+      run_timeout: limits.runTimeout || 3000,
+      compile_memory_limit: -1,
+      run_memory_limit: -1
+    };
+
+    const response = await axios.post(`${this.apiUrl}/execute`, executionRequest, {
+      timeout: 15000,
+      signal: signal || undefined,
+      headers: {
+        'Content-Type': 'application/json'
+      }
+    });
+
+    const result = response.data;
+    if (onOutput) {
+      for (const stage of ['compile', 'run']) {
+        if (result[stage]?.stdout) onOutput(stage, 'stdout', result[stage].stdout);
+        if (result[stage]?.stderr) onOutput(stage, 'stderr', result[stage].stderr);
+      }
+    }
+    return result;
+  }
+}
+
+module.exports = {
+  PistonBackend,
+  DEFAULT_PISTON_API_URL
+};
@@ -0,0 +1,61 @@
+// Execution history of a session
+// Entries are kept newest last in session.executionHistory and are stored with
+// the session, so output is trimmed to keep stored sessions small.
+
+const crypto = require('crypto');
+
+const MAX_HISTORY_ENTRIES = 100;
+const MAX_STORED_OUTPUT = 10 * 1024;
+
+// Hash of the files that were run, so identical runs can be recognised
+const hashExecutionCode = (files) => {
+  const hash = crypto.createHash('sha256');
+  for (const file of files) {
+    hash.update(file.name).update('\0').update(file.content || '').update('\0');
+  }
+  return hash.digest('hex');
+};
+
+const trimOutput = (text) => {
+  if (!text || text.length <= MAX_STORED_OUTPUT) return text || '';
+  return text.slice(0, MAX_STORED_OUTPUT) + '\n... (output truncated)';
+};
+
+// Add an entry for a finished, failed or cancelled run
+const recordExecution = (history, { id, files, language, entryPoint = null, status, output = '', error = '', exitCode = null, user, startedAt, finishedAt = Date.now() }) => {
+  const entry = {
+    id,
+    codeHash: hashExecutionCode(files),
+    language,
+    entryPoint,
+    status,
+    output: trimOutput(output),
+    error: trimOutput(error),
+    exitCode,
+    userId: user.id,
+    userName: user.name,
+    startedAt: startedAt || finishedAt,
+    finishedAt,
+    duration: startedAt ? finishedAt - startedAt : 0
+  };
+
+  history.push(entry);
+  if (history.length > MAX_HISTORY_ENTRIES) {
+    history.splice(0, history.length - MAX_HISTORY_ENTRIES);
+  }
+  return entry;
+};
+
+// Newest entries first
+const listExecutions = (history, { limit = MAX_HISTORY_ENTRIES, userId = null } = {}) => {
+  return history
+    .filter(entry => !userId || entry.userId === userId)
+    .slice(-limit)
+    .reverse();
+};
+
+module.exports = {
+  recordExecution,
+  listExecutions,
+  hashExecutionCode
+};
@@ -0,0 +1,103 @@
+// Per-session execution queue
+// Each session runs at most `concurrency` jobs at a time; later jobs wait in
+// FIFO order, up to `maxQueued` of them. A job is an async function that is
+// called once a slot is free.
+
+class ExecutionQueue {
+  constructor({ maxQueued = 20 } = {}) {
+    this.sessions = new Map(); // sessionId -> { running: Set of job ids, waiting: [] }
+    this.maxQueued = maxQueued;
+  }
+
+  getQueue(sessionId) {
+    if (!this.sessions.has(sessionId)) {
+      this.sessions.set(sessionId, { running: new Set(), waiting: [] });
+    }
+    return this.sessions.get(sessionId);
+  }
+
+  // Add a job; resolves or rejects with the job's own result. When the
+  // session already has maxQueued jobs waiting it rejects with an error whose
+  // code is EXECUTION_QUEUE_FULL.
+  enqueue(sessionId, jobId, task, { concurrency = 1 } = {}) {
+    return new Promise((resolve, reject) => {
+      const queue = this.getQueue(sessionId);
+      if (queue.waiting.length >= this.maxQueued) {
+        if (queue.running.size === 0) this.sessions.delete(sessionId);
+        const error = new Error(`Too many runs are waiting in this session (limit ${this.maxQueued}), try again later`);
+        error.code = 'EXECUTION_QUEUE_FULL';
+        reject(error);
+        return;
+      }
+      queue.waiting.push({ id: jobId, task, resolve, reject, concurrency });
+      this.drain(sessionId);
+    });
+  }
+
+  drain(sessionId) {
+    const queue = this.sessions.get(sessionId);
+    if (!queue) return;
+
+    while (queue.waiting.length > 0 && queue.running.size < Math.max(1, queue.waiting[0].concurrency)) {
+      const job = queue.waiting.shift();
+      queue.running.add(job.id);
+
+      Promise.resolve()
+        .then(() => job.task())
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          queue.running.delete(job.id);
+          if (queue.running.size === 0 && queue.waiting.length === 0) {
+            this.sessions.delete(sessionId);
+          } else {
+            this.drain(sessionId);
+          }
+        });
+    }
+  }
+
+  // 1-based position of a waiting job, 0 while it runs, -1 if unknown
+  position(sessionId, jobId) {
+    const queue = this.sessions.get(sessionId);
+    if (!queue) return -1;
+    if (queue.running.has(jobId)) return 0;
+    const index = queue.waiting.findIndex(job => job.id === jobId);
+    return index === -1 ? -1 : index + 1;
+  }
+
+  // Take a job out of the queue before it starts; its promise rejects with
+  // an error whose code is EXECUTION_CANCELLED
+  remove(sessionId, jobId) {
+    const queue = this.sessions.get(sessionId);
+    if (!queue) return false;
+    const index = queue.waiting.findIndex(job => job.id === jobId);
+    if (index === -1) return false;
+
+    const [job] = queue.waiting.splice(index, 1);
+    const error = new Error('Execution cancelled before it started');
+    error.code = 'EXECUTION_CANCELLED';
+    job.reject(error);
+    return true;
+  }
+
+  // Drop every waiting job of a session (running jobs finish on their own)
+  clear(sessionId) {
+    const queue = this.sessions.get(sessionId);
+    if (!queue) return;
+    for (const job of [...queue.waiting]) {
+      this.remove(sessionId, job.id);
+    }
+  }
+
+  status(sessionId) {
+    const queue = this.sessions.get(sessionId);
+    return {
+      running: queue ? Array.from(queue.running) : [],
+      queued: queue ? queue.waiting.map(job => job.id) : []
+    };
+  }
+}
+
+module.exports = {
+  ExecutionQueue
+};
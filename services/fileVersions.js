@@ -0,0 +1,247 @@
+// File version history
+// Versions are kept in a Map of fileKey -> array of version records, which is
+// what reads use. Records use the fields of the file_versions table in
+// migration.js. A version store adapter keeps them durable:
+//   save(fileKey, version)  -> persist a new or updated (coalesced) version
+//   loadAll(keyPrefix)      -> Map of fileKey -> versions for keys under keyPrefix
+// FILE_VERSION_STORE selects it: 'postgres' (file_versions table, needs
+// DATABASE_URL; the default when DATABASE_URL is set) or 'session' (versions
+// stay in the session snapshot).
+
+const crypto = require('crypto');
+const path = require('path');
+const { countLineChanges, createUnifiedDiff } = require('./diff');
+
+const MAX_VERSIONS_PER_FILE = 100;
+const COALESCE_WINDOW = 60 * 1000; // Edits by the same author within a minute share a version
+
+const checksum = (content) => crypto.createHash('sha256').update(content || '').digest('hex');
+
+// Record a new version of a file. Successive realtime edits by the same author
+// are coalesced into the latest version so every keystroke is not a version.
+const recordFileVersion = (versions, fileKey, content, author, { source = 'edit', comment = null, coalesce = false, changes = {} } = {}) => {
+  const history = versions.get(fileKey) || [];
+  const latest = history[history.length - 1];
+  const now = Date.now();
+
+  // Nothing changed since the latest version
+  if (latest && latest.checksum === checksum(content)) {
+    return latest;
+  }
+
+  if (coalesce && latest && latest.authorId === author.id &&
+      latest.changes.source === source && now - latest.timestamp < COALESCE_WINDOW) {
+    const previous = history[history.length - 2];
+    Object.assign(latest, {
+      content,
+      timestamp: now,
+      checksum: checksum(content),
+      ...countLineChanges(previous ? previous.content : '', content)
+    });
+    return latest;
+  }
+
+  const version = {
+    id: crypto.randomUUID(),
+    fileId: fileKey,
+    version: latest ? latest.version + 1 : 1,
+    content,
+    changes: { source, ...changes },
+    authorId: author.id,
+    authorName: author.name,
+    timestamp: now,
+    comment,
+    checksum: checksum(content),
+    ...countLineChanges(latest ? latest.content : '', content)
+  };
+
+  history.push(version);
+  if (history.length > MAX_VERSIONS_PER_FILE) {
+    history.shift();
+  }
+  versions.set(fileKey, history);
+  return version;
+};
+
+// List versions without their content
+const listFileVersions = (versions, fileKey) => {
+  return (versions.get(fileKey) || []).map(({ content, ...summary }) => summary);
+};
+
+const getFileVersion = (versions, fileKey, versionNumber) => {
+  return (versions.get(fileKey) || []).find(version => version.version === versionNumber) || null;
+};
+
+// Unified diff between two versions of a file
+const diffFileVersions = (versions, fileKey, fromVersion, toVersion) => {
+  const from = getFileVersion(versions, fileKey, fromVersion);
+  const to = getFileVersion(versions, fileKey, toVersion);
+  if (!from || !to) {
+    throw new Error(`Version ${!from ? fromVersion : toVersion} of ${fileKey} not found`);
+  }
+
+  return {
+    fileKey,
+    fromVersion,
+    toVersion,
+    ...countLineChanges(from.content, to.content),
+    diff: createUnifiedDiff(from.content, to.content, {
+      fromLabel: `${fileKey}@v${fromVersion}`,
+      toLabel: `${fileKey}@v${toVersion}`
+    })
+  };
+};
+
+// Adapter for versions that are saved with their session snapshot
+class SessionFileVersionStore {
+  get persistsVersions() {
+    return false;
+  }
+
+  save() {}
+
+  async loadAll() {
+    return new Map();
+  }
+
+  async flush() {}
+}
+
+const VERSION_SAVE_DELAY = 1000; // Coalesced realtime versions change on every keystroke
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Adapter for the file_versions table. Versions belong to a row of the files
+// table with the file key as its path; rows are created for files that have none.
+class PostgresFileVersionStore {
+  constructor(pool) {
+    this.pool = pool;
+    this.fileIds = new Map(); // fileKey -> files.id
+    this.pendingSaves = new Map(); // version id -> { fileKey, version, timeout }
+  }
+
+  get persistsVersions() {
+    return true;
+  }
+
+  async getFileId(fileKey) {
+    if (this.fileIds.has(fileKey)) return this.fileIds.get(fileKey);
+
+    const existing = await this.pool.query('SELECT id FROM files WHERE path = $1 ORDER BY created_at LIMIT 1', [fileKey]);
+    const fileId = existing.rows[0]
+      ? existing.rows[0].id
+      : (await this.pool.query(
+        'INSERT INTO files (name, path, type) VALUES ($1, $2, $3) RETURNING id',
+        [path.posix.basename(fileKey), fileKey, 'text/plain']
+      )).rows[0].id;
+    this.fileIds.set(fileKey, fileId);
+    return fileId;
+  }
+
+  // Saves are debounced per version, so a coalesced version is written once per burst
+  save(fileKey, version) {
+    clearTimeout(this.pendingSaves.get(version.id)?.timeout);
+    const timeout = setTimeout(() => {
+      this.pendingSaves.delete(version.id);
+      this.write(fileKey, version).catch(error => this.logError(fileKey, version, error));
+    }, VERSION_SAVE_DELAY);
+    this.pendingSaves.set(version.id, { fileKey, version, timeout });
+  }
+
+  logError(fileKey, version, error) {
+    console.error(`❌ Failed to save version ${version.version} of ${fileKey}:`, error.message);
+  }
+
+  async write(fileKey, version) {
+    const fileId = await this.getFileId(fileKey);
+    // author_id references users(id); guests and non-UUID ids are stored by name only
+    const authorId = UUID_PATTERN.test(String(version.authorId)) ? version.authorId : null;
+    await this.pool.query(
+      `INSERT INTO file_versions
+        (id, file_id, version, content, changes, author_id, author_name, timestamp, comment, lines_added, lines_removed, checksum)
+       VALUES ($1, $2, $3, $4, $5, (SELECT id FROM users WHERE id = $6::uuid), $7, $8, $9, $10, $11, $12)
+       ON CONFLICT (file_id, version) DO UPDATE SET
+         content = EXCLUDED.content,
+         timestamp = EXCLUDED.timestamp,
+         lines_added = EXCLUDED.lines_added,
+         lines_removed = EXCLUDED.lines_removed,
+         checksum = EXCLUDED.checksum`,
+      [
+        version.id, fileId, version.version, version.content, JSON.stringify(version.changes),
+        authorId, version.authorName, new Date(version.timestamp), version.comment,
+        version.linesAdded, version.linesRemoved, version.checksum
+      ]
+    );
+  }
+
+  async loadAll(keyPrefix) {
+    const result = await this.pool.query(
+      `SELECT f.path, v.* FROM file_versions v JOIN files f ON f.id = v.file_id
+       WHERE left(f.path, length($1)) = $1
+       ORDER BY f.path, v.version`,
+      [keyPrefix]
+    );
+
+    const versions = new Map();
+    for (const row of result.rows) {
+      const fileKey = row.path.slice(keyPrefix.length);
+      const history = versions.get(fileKey) || [];
+      history.push({
+        id: row.id,
+        fileId: fileKey,
+        version: row.version,
+        content: row.content,
+        changes: row.changes || {},
+        authorId: row.author_id ? String(row.author_id) : null,
+        authorName: row.author_name,
+        timestamp: row.timestamp instanceof Date ? row.timestamp.getTime() : row.timestamp,
+        comment: row.comment,
+        checksum: row.checksum,
+        linesAdded: row.lines_added,
+        linesRemoved: row.lines_removed
+      });
+      versions.set(fileKey, history.slice(-MAX_VERSIONS_PER_FILE));
+    }
+    return versions;
+  }
+
+  // Write every pending version now, e.g. on shutdown
+  flush() {
+    const writes = [];
+    for (const [versionId, { fileKey, version, timeout }] of this.pendingSaves.entries()) {
+      clearTimeout(timeout);
+      this.pendingSaves.delete(versionId);
+      writes.push(this.write(fileKey, version).catch(error => this.logError(fileKey, version, error)));
+    }
+    return Promise.all(writes);
+  }
+}
+
+// Create the configured version store ('postgres' or 'session')
+const createFileVersionStore = ({ type, databaseUrl } = {}) => {
+  switch (type || (databaseUrl ? 'postgres' : 'session')) {
+    case 'session':
+      return new SessionFileVersionStore();
+    case 'postgres': {
+      if (!databaseUrl) {
+        throw new Error('FILE_VERSION_STORE=postgres needs DATABASE_URL');
+      }
+      const { Pool } = require('pg');
+      return new PostgresFileVersionStore(new Pool({
+        connectionString: databaseUrl,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+      }));
+    }
+    default:
+      throw new Error(`Unknown file version store type: ${type}`);
+  }
+};
+
+module.exports = {
+  createFileVersionStore,
+  SessionFileVersionStore,
+  PostgresFileVersionStore,
+  recordFileVersion,
+  listFileVersions,
+  getFileVersion,
+  diffFileVersions
+};
@@ -0,0 +1,90 @@
+// Outgoing mail
+// A mail transport implements one async method:
+//   send({ to, subject, text, html }) -> { id }
+// MAIL_TRANSPORT selects it: 'console' (default, logs the message), 'file'
+// (writes each message as JSON to MAIL_DIR, default data/mail) or 'smtp'
+// (SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS, needs the nodemailer package).
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const createMessageId = () => `${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+
+// Transport that only logs messages, for local development
+class ConsoleMailTransport {
+  constructor({ from }) {
+    this.from = from;
+  }
+
+  async send({ to, subject, text }) {
+    const id = createMessageId();
+    console.log(`📧 Mail ${id} from ${this.from} to ${to}: ${subject}\n${text}`);
+    return { id };
+  }
+}
+
+// Transport that writes every message to its own file
+class FileMailTransport {
+  constructor({ from, directory }) {
+    this.from = from;
+    this.directory = directory;
+  }
+
+  async send({ to, subject, text, html }) {
+    const id = createMessageId();
+    await fs.mkdir(this.directory, { recursive: true });
+    const message = { id, from: this.from, to, subject, text, html, sentAt: new Date().toISOString() };
+    await fs.writeFile(path.join(this.directory, `${id}.json`), JSON.stringify(message, null, 2), 'utf8');
+    console.log(`📧 Mail ${id} to ${to} written to ${this.directory}`);
+    return { id };
+  }
+}
+
+class SmtpMailTransport {
+  constructor({ from, host, port, user, pass }) {
+    const nodemailer = require('nodemailer');
+    this.from = from;
+    this.transporter = nodemailer.createTransport({
+      host,
+      port,
+      secure: port === 465,
+      auth: user ? { user, pass } : undefined
+    });
+  }
+
+  async send({ to, subject, text, html }) {
+    const info = await this.transporter.sendMail({ from: this.from, to, subject, text, html });
+    return { id: info.messageId };
+  }
+}
+
+// Create the configured transport ('console', 'file' or 'smtp')
+const createMailTransport = ({ type = 'console', from = 'CodeCollab <no-reply@codecollab.local>', directory } = {}) => {
+  switch (type) {
+    case 'console':
+      return new ConsoleMailTransport({ from });
+    case 'file':
+      return new FileMailTransport({ from, directory: directory || path.join(__dirname, '..', 'data', 'mail') });
+    case 'smtp':
+      if (!process.env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+      }
+      return new SmtpMailTransport({
+        from,
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    default:
+      throw new Error(`Unknown mail transport: ${type}`);
+  }
+};
+
+module.exports = {
+  createMailTransport,
+  ConsoleMailTransport,
+  FileMailTransport,
+  SmtpMailTransport
+};
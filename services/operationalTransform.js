@@ -0,0 +1,418 @@
+// Operational transformation for collaborative text editing
+// Operations use the ot.js wire format: an array of components where a
+// positive integer retains characters, a string inserts text and a negative
+// integer deletes characters. Clients may also send simple positional edits
+// ({ type: 'insert', position, text } / { type: 'delete', position, length })
+// which are converted with fromPositionalEdits().
+
+// Largest operation payload accepted, counted in components plus inserted
+// characters (the same 1MB limit as whole-file code changes)
+const MAX_OPERATION_SIZE = 1000000;
+
+// Maximum number of operations kept per file for transforming late edits
+const MAX_OPERATION_HISTORY = 500;
+
+const isRetain = (component) => typeof component === 'number' && component > 0;
+const isInsert = (component) => typeof component === 'string';
+const isDelete = (component) => typeof component === 'number' && component < 0;
+
+class TextOperation {
+  constructor() {
+    this.ops = [];
+    this.baseLength = 0; // Length of the document the operation applies to
+    this.targetLength = 0; // Length of the document after applying it
+  }
+
+  retain(n) {
+    if (n === 0) return this;
+    this.baseLength += n;
+    this.targetLength += n;
+    if (isRetain(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  insert(str) {
+    if (str === '') return this;
+    this.targetLength += str.length;
+    const ops = this.ops;
+    if (isInsert(ops[ops.length - 1])) {
+      ops[ops.length - 1] += str;
+    } else if (isDelete(ops[ops.length - 1])) {
+      // Keep inserts before deletes so equivalent operations look the same
+      if (isInsert(ops[ops.length - 2])) {
+        ops[ops.length - 2] += str;
+      } else {
+        ops[ops.length] = ops[ops.length - 1];
+        ops[ops.length - 2] = str;
+      }
+    } else {
+      ops.push(str);
+    }
+    return this;
+  }
+
+  delete(n) {
+    if (n === 0) return this;
+    if (n > 0) n = -n;
+    this.baseLength -= n;
+    if (isDelete(this.ops[this.ops.length - 1])) {
+      this.ops[this.ops.length - 1] += n;
+    } else {
+      this.ops.push(n);
+    }
+    return this;
+  }
+
+  isNoop() {
+    return this.ops.length === 0 || (this.ops.length === 1 && isRetain(this.ops[0]));
+  }
+
+  toJSON() {
+    return this.ops;
+  }
+
+  // Apply the operation to a document string
+  apply(doc) {
+    if (doc.length !== this.baseLength) {
+      throw new Error(`Operation base length (${this.baseLength}) does not match document length (${doc.length})`);
+    }
+
+    const parts = [];
+    let index = 0;
+    for (const component of this.ops) {
+      if (isRetain(component)) {
+        parts.push(doc.slice(index, index + component));
+        index += component;
+      } else if (isInsert(component)) {
+        parts.push(component);
+      } else {
+        index -= component;
+      }
+    }
+    return parts.join('');
+  }
+
+  // Combine this operation with one that follows it into a single operation
+  compose(other) {
+    if (this.targetLength !== other.baseLength) {
+      throw new Error('Cannot compose operations: target length of the first does not match base length of the second');
+    }
+
+    const result = new TextOperation();
+    const ops1 = this.ops;
+    const ops2 = other.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isDelete(op1)) {
+        result.delete(op1);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        result.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot compose operations: first operation is too short');
+      }
+
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          result.retain(op2);
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          result.retain(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.retain(op1);
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isDelete(op2)) {
+        if (op1.length > -op2) {
+          op1 = op1.slice(-op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === -op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 += op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isInsert(op1) && isRetain(op2)) {
+        if (op1.length > op2) {
+          result.insert(op1.slice(0, op2));
+          op1 = op1.slice(op2);
+          op2 = ops2[i2++];
+        } else if (op1.length === op2) {
+          result.insert(op1);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.insert(op1);
+          op2 -= op1.length;
+          op1 = ops1[i1++];
+        }
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          result.delete(op2);
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          result.delete(op2);
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          result.delete(op1);
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+      } else {
+        throw new Error('Cannot compose operations: incompatible components');
+      }
+    }
+
+    return result;
+  }
+
+  // Build an operation from its JSON component array
+  static fromJSON(ops) {
+    if (!Array.isArray(ops)) {
+      throw new Error('Operation must be an array of components');
+    }
+
+    const operation = new TextOperation();
+    for (const component of ops) {
+      if (isRetain(component)) {
+        operation.retain(component);
+      } else if (isInsert(component)) {
+        operation.insert(component);
+      } else if (isDelete(component)) {
+        operation.delete(component);
+      } else {
+        throw new Error(`Invalid operation component: ${JSON.stringify(component)}`);
+      }
+    }
+    return operation;
+  }
+
+  // Transform two concurrent operations a and b that apply to the same document.
+  // Returns [a', b'] such that apply(apply(doc, a), b') === apply(apply(doc, b), a').
+  // When both insert at the same position, a's text is placed first.
+  static transform(operation1, operation2) {
+    if (operation1.baseLength !== operation2.baseLength) {
+      throw new Error('Cannot transform operations: base lengths differ');
+    }
+
+    const operation1prime = new TextOperation();
+    const operation2prime = new TextOperation();
+    const ops1 = operation1.ops;
+    const ops2 = operation2.ops;
+    let i1 = 0;
+    let i2 = 0;
+    let op1 = ops1[i1++];
+    let op2 = ops2[i2++];
+
+    while (op1 !== undefined || op2 !== undefined) {
+      if (isInsert(op1)) {
+        operation1prime.insert(op1);
+        operation2prime.retain(op1.length);
+        op1 = ops1[i1++];
+        continue;
+      }
+      if (isInsert(op2)) {
+        operation1prime.retain(op2.length);
+        operation2prime.insert(op2);
+        op2 = ops2[i2++];
+        continue;
+      }
+      if (op1 === undefined || op2 === undefined) {
+        throw new Error('Cannot transform operations: operations have different lengths');
+      }
+
+      let minl;
+      if (isRetain(op1) && isRetain(op2)) {
+        if (op1 > op2) {
+          minl = op2;
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          minl = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minl = op1;
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+        operation1prime.retain(minl);
+        operation2prime.retain(minl);
+      } else if (isDelete(op1) && isDelete(op2)) {
+        // Both deleted the same range; nothing left to do for that part
+        if (-op1 > -op2) {
+          op1 -= op2;
+          op2 = ops2[i2++];
+        } else if (op1 === op2) {
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          op2 -= op1;
+          op1 = ops1[i1++];
+        }
+      } else if (isDelete(op1) && isRetain(op2)) {
+        if (-op1 > op2) {
+          minl = op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (-op1 === op2) {
+          minl = op2;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minl = -op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        operation1prime.delete(minl);
+      } else if (isRetain(op1) && isDelete(op2)) {
+        if (op1 > -op2) {
+          minl = -op2;
+          op1 += op2;
+          op2 = ops2[i2++];
+        } else if (op1 === -op2) {
+          minl = op1;
+          op1 = ops1[i1++];
+          op2 = ops2[i2++];
+        } else {
+          minl = op1;
+          op2 += op1;
+          op1 = ops1[i1++];
+        }
+        operation2prime.delete(minl);
+      } else {
+        throw new Error('Cannot transform operations: incompatible components');
+      }
+    }
+
+    return [operation1prime, operation2prime];
+  }
+}
+
+// Convert a list of positional edits into a single operation. Each edit is
+// applied to the result of the previous one, like a sequence of editor changes.
+const fromPositionalEdits = (edits, docLength) => {
+  if (!Array.isArray(edits) || edits.length === 0) {
+    throw new Error('Edits must be a non-empty array');
+  }
+
+  let operation = null;
+  let length = docLength;
+
+  for (const edit of edits) {
+    const position = edit && edit.position;
+    if (!Number.isInteger(position) || position < 0 || position > length) {
+      throw new Error(`Invalid edit position: ${position}`);
+    }
+
+    const step = new TextOperation().retain(position);
+    if (edit.type === 'insert' && typeof edit.text === 'string') {
+      step.insert(edit.text).retain(length - position);
+    } else if (edit.type === 'delete' && Number.isInteger(edit.length) && edit.length > 0) {
+      if (position + edit.length > length) {
+        throw new Error('Delete range extends past the end of the document');
+      }
+      step.delete(edit.length).retain(length - position - edit.length);
+    } else {
+      throw new Error(`Invalid edit: ${JSON.stringify(edit)}`);
+    }
+
+    operation = operation ? operation.compose(step) : step;
+    length = step.targetLength;
+  }
+
+  return operation;
+};
+
+// Size of an operation payload: one per component plus the inserted text
+const operationPayloadSize = (payload) => {
+  if (!Array.isArray(payload)) return 0;
+  let size = payload.length;
+  for (const component of payload) {
+    if (typeof component === 'string') {
+      size += component.length;
+    } else if (component && typeof component.text === 'string') {
+      size += component.text.length;
+    }
+  }
+  return size;
+};
+
+// Parse an incoming operation payload in either supported format
+const parseOperation = (payload, docLength) => {
+  if (operationPayloadSize(payload) > MAX_OPERATION_SIZE) {
+    const error = new Error(`Operation is larger than ${MAX_OPERATION_SIZE} characters`);
+    error.code = 'OPERATION_TOO_LARGE';
+    throw error;
+  }
+  if (Array.isArray(payload) && payload.length > 0 && typeof payload[0] === 'object' && payload[0] !== null) {
+    return fromPositionalEdits(payload, docLength);
+  }
+  return TextOperation.fromJSON(payload);
+};
+
+// Transform an operation created against baseRevision over every operation
+// applied since then. history.operations[i] produced revision history.startRevision + i + 1.
+const transformAgainstHistory = (operation, history, baseRevision) => {
+  if (baseRevision < history.startRevision) {
+    throw new Error(`Revision ${baseRevision} is no longer available for merging`);
+  }
+
+  let transformed = operation;
+  for (let i = baseRevision - history.startRevision; i < history.operations.length; i++) {
+    transformed = TextOperation.transform(transformed, history.operations[i])[0];
+  }
+  return transformed;
+};
+
+// Add an applied operation to a file's history ({ startRevision, operations }),
+// dropping the oldest operations past maxOperations
+const recordOperation = (history, operation, maxOperations = MAX_OPERATION_HISTORY) => {
+  history.operations.push(operation);
+  while (history.operations.length > maxOperations) {
+    history.operations.shift();
+    history.startRevision++;
+  }
+  return history;
+};
+
+// Work out the document length at baseRevision from the current length
+const lengthAtRevision = (currentLength, history, baseRevision) => {
+  let length = currentLength;
+  for (let i = history.operations.length - 1; i >= baseRevision - history.startRevision && i >= 0; i--) {
+    const operation = history.operations[i];
+    length -= operation.targetLength - operation.baseLength;
+  }
+  return length;
+};
+
+module.exports = {
+  MAX_OPERATION_SIZE,
+  MAX_OPERATION_HISTORY,
+  TextOperation,
+  fromPositionalEdits,
+  parseOperation,
+  transformAgainstHistory,
+  recordOperation,
+  lengthAtRevision
+};
@@ -0,0 +1,499 @@
+// Session permission evaluation
+// Members of a session hold granular capabilities, either through a named role
+// in session.memberRoles or as a permission object in session.userPermissions.
+// Every socket event and REST route that needs one is listed in
+// ACTION_CAPABILITIES, so handlers ask checkPermission() instead of reading
+// permission flags themselves.
+//
+// Roles are the built-in ROLE_TEMPLATES plus custom roles the session owners
+// define in session.roles (name -> role). A member's role is looked up on
+// every check, so changing a custom role changes what its members may do.
+//
+// Path rules in session.pathRules (userId -> { defaultAccess, rules }) narrow
+// a member's capabilities to parts of the file tree. Each rule gives a path
+// prefix an access level ('none', 'read' or 'write'); the longest matching
+// prefix wins, other paths get defaultAccess. Members without path rules have
+// session-wide access.
+//
+// Owners are the creator plus the members in session.coOwners. They manage
+// the session itself (keys, permissions, roles, invites, projects); only the
+// creator can hand the session over or name co-owners. Members whose role
+// grants canManagePermissions (or canInviteOthers) share the owners' rights to
+// manage access (or invites), but the 'owner' role alone does not make anyone
+// an owner of the session. Only owners define roles or hand out access that
+// grants canManagePermissions.
+//
+// Owners can also pre-assign a role or permission object to users who have
+// not joined yet. These wait in session.pendingPermissions under the user id,
+// or 'email:<address>' for invitees known only by email, until the user joins.
+
+const { posix } = require('path');
+
+const CAPABILITIES = [
+  'canViewFiles',
+  'canEditFiles',
+  'canCreateFiles',
+  'canCreateFolders',
+  'canDeleteFiles',
+  'canManagePermissions',
+  'canInviteOthers',
+  'canExecute',
+  'canChat'
+];
+
+// Older permission objects only have canEdit; it stands for these capabilities
+const LEGACY_EDIT_CAPABILITIES = ['canEditFiles', 'canCreateFiles', 'canCreateFolders'];
+
+// Capability needed by each socket event and REST route
+const ACTION_CAPABILITIES = {
+  // Socket events
+  code_change: 'canEditFiles',
+  realtime_code_change: 'canEditFiles',
+  restore_file_version: 'canEditFiles',
+  create_file: 'canCreateFiles',
+  create_folder: 'canCreateFolders',
+  get_session_files: 'canViewFiles',
+  get_file_versions: 'canViewFiles',
+  get_file_diff: 'canViewFiles',
+  chat_message: 'canChat',
+  execute_code: 'canExecute',
+  execution_stdin: 'canExecute',
+  get_execution_history: 'canExecute',
+  // file_operation depends on its action, see FILE_OPERATION_CAPABILITIES
+
+  // REST routes
+  'GET /api/sessions/:sessionId/files/versions': 'canViewFiles',
+  'GET /api/sessions/:sessionId/files/versions/:version': 'canViewFiles',
+  'GET /api/sessions/:sessionId/files/diff': 'canViewFiles',
+  'POST /api/sessions/:sessionId/files/restore': 'canEditFiles',
+  'POST /api/sessions/:sessionId/invites': 'canInviteOthers',
+  'GET /api/sessions/:sessionId/invites': 'canInviteOthers',
+  'POST /api/sessions/:sessionId/invitations': 'canInviteOthers',
+  'POST /api/execution/execute': 'canExecute'
+};
+
+// file_operation actions; actions not listed change existing files
+const FILE_OPERATION_CAPABILITIES = {
+  create: 'canCreateFiles',
+  create_file: 'canCreateFiles',
+  create_folder: 'canCreateFolders',
+  delete: 'canDeleteFiles',
+  delete_folder: 'canDeleteFiles'
+};
+
+const allPermissions = (value) => Object.fromEntries(CAPABILITIES.map(capability => [capability, value]));
+
+// Built-in roles every session has
+const ROLE_TEMPLATES = {
+  owner: {
+    label: 'Owner',
+    description: 'Full access, including managing permissions and invites (session ownership is separate)',
+    permissions: allPermissions(true)
+  },
+  editor: {
+    label: 'Editor',
+    description: 'Create, edit and delete files, run code and chat',
+    permissions: {
+      ...allPermissions(false),
+      canViewFiles: true,
+      canEditFiles: true,
+      canCreateFiles: true,
+      canCreateFolders: true,
+      canDeleteFiles: true,
+      canExecute: true,
+      canChat: true
+    }
+  },
+  commenter: {
+    label: 'Commenter',
+    description: 'View files and take part in chat',
+    permissions: { ...allPermissions(false), canViewFiles: true, canChat: true }
+  },
+  viewer: {
+    label: 'Viewer',
+    description: 'View files only',
+    permissions: { ...allPermissions(false), canViewFiles: true }
+  }
+};
+
+const PATH_ACCESS_LEVELS = ['none', 'read', 'write'];
+const MAX_PATH_RULES = 50;
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+const MAX_CUSTOM_ROLES = 20;
+const MAX_PENDING_PERMISSIONS = 100;
+
+// Error with a code the socket layer can report
+const permissionError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const DENIED_MESSAGES = {
+  canViewFiles: 'You do not have permission to view files in this session',
+  canEditFiles: 'You do not have permission to edit in this session',
+  canCreateFiles: 'You do not have permission to create files in this session',
+  canCreateFolders: 'You do not have permission to create folders in this session',
+  canDeleteFiles: 'You do not have permission to delete files in this session',
+  canManagePermissions: 'You do not have permission to manage permissions in this session',
+  canInviteOthers: 'You do not have permission to invite others to this session',
+  canExecute: 'You do not have permission to execute code in this session',
+  canChat: 'You do not have permission to chat in this session'
+};
+
+// Full capability set of a stored permission object; missing flags are false
+// unless the legacy canEdit flag covers them
+const resolvePermissions = (permissions) => {
+  if (!permissions) return null;
+
+  const resolved = {};
+  for (const capability of CAPABILITIES) {
+    if (typeof permissions[capability] === 'boolean') {
+      resolved[capability] = permissions[capability];
+    } else {
+      resolved[capability] = LEGACY_EDIT_CAPABILITIES.includes(capability) && permissions.canEdit === true;
+    }
+  }
+  return resolved;
+};
+
+// Validate a permission object sent by a client: only known capabilities,
+// each true or false. Capabilities left out are false.
+const normalizePermissions = (permissions, code = 'INVALID_PERMISSIONS') => {
+  if (!permissions || typeof permissions !== 'object' || Array.isArray(permissions)) {
+    throw permissionError(code, 'Permissions must be an object');
+  }
+  for (const [key, value] of Object.entries(permissions)) {
+    if (!CAPABILITIES.includes(key)) {
+      throw permissionError(code, `Unknown permission: ${key}`);
+    }
+    if (typeof value !== 'boolean') {
+      throw permissionError(code, `Permission ${key} must be true or false`);
+    }
+  }
+  return { ...allPermissions(false), ...permissions };
+};
+
+// Role definition by name: a custom role of the session or a built-in one
+const getSessionRole = (session, name) => {
+  if (typeof name !== 'string') return null;
+  const custom = session.roles && session.roles.get(name);
+  if (custom) return { name, builtIn: false, ...custom };
+  return ROLE_TEMPLATES[name] ? { name, builtIn: true, ...ROLE_TEMPLATES[name] } : null;
+};
+
+const listSessionRoles = (session) => [
+  ...Object.keys(ROLE_TEMPLATES).map(name => getSessionRole(session, name)),
+  ...Array.from(session.roles ? session.roles.keys() : []).map(name => getSessionRole(session, name))
+];
+
+// Add or replace a custom role: { name, label, description, permissions }.
+// Permissions must only use known capabilities; missing ones are false.
+const defineSessionRole = (session, { name, label, description, permissions } = {}, createdBy) => {
+  if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name)) {
+    throw permissionError('INVALID_ROLE', 'Role names are 2-32 lowercase letters, digits, - or _ and start with a letter');
+  }
+  if (ROLE_TEMPLATES[name]) {
+    throw permissionError('INVALID_ROLE', `${name} is a built-in role and cannot be changed`);
+  }
+  const rolePermissions = normalizePermissions(permissions, 'INVALID_ROLE');
+  if (!session.roles.has(name) && session.roles.size >= MAX_CUSTOM_ROLES) {
+    throw permissionError('INVALID_ROLE', `A session can have at most ${MAX_CUSTOM_ROLES} custom roles`);
+  }
+
+  const role = {
+    label: typeof label === 'string' && label.trim() ? label.trim().slice(0, 50) : name,
+    description: typeof description === 'string' ? description.trim().slice(0, 200) : '',
+    permissions: rolePermissions,
+    createdBy,
+    updatedAt: Date.now()
+  };
+  session.roles.set(name, role);
+  return getSessionRole(session, name);
+};
+
+// Remove a custom role; members that had it become viewers. Returns their ids.
+const deleteSessionRole = (session, name) => {
+  if (!session.roles.has(name)) {
+    throw permissionError('INVALID_ROLE', ROLE_TEMPLATES[name] ? `${name} is a built-in role and cannot be deleted` : `Unknown role: ${name}`);
+  }
+  session.roles.delete(name);
+
+  const reassigned = [];
+  for (const [userId, roleName] of session.memberRoles) {
+    if (roleName === name) {
+      session.memberRoles.set(userId, 'viewer');
+      reassigned.push(userId);
+    }
+  }
+  return reassigned;
+};
+
+// Give a member a role; the permission object is kept as a snapshot for
+// clients that still read it
+const assignSessionRole = (session, userId, name) => {
+  const role = getSessionRole(session, name);
+  if (!role) {
+    throw permissionError('INVALID_ROLE', `Unknown role: ${name}`);
+  }
+  session.memberRoles.set(userId, name);
+  session.userPermissions.set(userId, { ...role.permissions });
+  return role;
+};
+
+// Validate an access change sent by a client: { role } or { permissions }
+const normalizeAccessAssignment = (session, { role, permissions } = {}) => {
+  if ((role === undefined) === (permissions === undefined)) {
+    throw permissionError('INVALID_PERMISSIONS', 'Send either a role or a permission object');
+  }
+  if (role !== undefined) {
+    if (!getSessionRole(session, role)) {
+      throw permissionError('INVALID_PERMISSIONS', `Unknown role: ${role}`);
+    }
+    return { role };
+  }
+  return { permissions: normalizePermissions(permissions) };
+};
+
+// Apply a normalized access assignment to a member
+const applyAccessAssignment = (session, userId, { role, permissions }) => {
+  if (role !== undefined) {
+    assignSessionRole(session, userId, role);
+  } else {
+    session.memberRoles.delete(userId);
+    session.userPermissions.set(userId, { ...permissions });
+  }
+};
+
+// Whether an access assignment lets its holder manage permissions
+const grantsPermissionManagement = (session, { role, permissions }) => {
+  const granted = role !== undefined ? (getSessionRole(session, role) || {}).permissions : permissions;
+  return Boolean(granted && granted.canManagePermissions);
+};
+
+const pendingPermissionKey = ({ userId, email }) => (email ? `email:${email.trim().toLowerCase()}` : userId);
+
+// Keep an access assignment for a user who has not joined yet: { userId } or { email }
+const setPendingPermissions = (session, target, assignment, assignedBy) => {
+  const key = pendingPermissionKey(target);
+  if (!session.pendingPermissions.has(key) && session.pendingPermissions.size >= MAX_PENDING_PERMISSIONS) {
+    throw permissionError('INVALID_PERMISSIONS', `A session can have at most ${MAX_PENDING_PERMISSIONS} pre-assigned members`);
+  }
+  const pending = { ...assignment, assignedBy, assignedAt: Date.now() };
+  session.pendingPermissions.set(key, pending);
+  return pending;
+};
+
+// Remove and return the pre-assigned access of a joining user; an assignment
+// made for their user id wins over one made for their email address
+const takePendingPermissions = (session, userId, email) => {
+  if (!session.pendingPermissions) return null;
+  let result = null;
+  for (const key of [pendingPermissionKey({ userId }), email && pendingPermissionKey({ email })]) {
+    const pending = key && session.pendingPermissions.get(key);
+    if (pending) {
+      session.pendingPermissions.delete(key);
+      result = result || pending;
+    }
+  }
+  return result;
+};
+
+const getMemberRole = (session, userId) => {
+  const name = session.memberRoles && session.memberRoles.get(userId);
+  return name && getSessionRole(session, name) ? name : null;
+};
+
+// Effective capabilities of a member: those of their role, else their permission object
+const getUserPermissions = (session, userId) => {
+  const role = getSessionRole(session, getMemberRole(session, userId));
+  return resolvePermissions(role ? role.permissions : session.userPermissions.get(userId));
+};
+
+// Session file paths relative to the session root: clients send 'src/a.js',
+// '/src/a.js', './src/a.js' or '<sessionId>/src/a.js'. '.' and '..' segments
+// are resolved; a path that leaves the session root gives null.
+const normalizeSessionPath = (session, filePath) => {
+  let normalized = posix.normalize(String(filePath || '').replace(/\\/g, '/').replace(/^\/+/, ''));
+  if (normalized.startsWith(`${session.id}/`)) {
+    normalized = normalized.slice(session.id.length + 1);
+  }
+  if (normalized === '..' || normalized.startsWith('../')) {
+    return null;
+  }
+  return normalized === '.' || normalized === './' ? '' : normalized;
+};
+
+// Key of a file (or, with a trailing slash, folder) in session.files:
+// '<sessionId>/<normalized path>', or null when the path is not valid
+const sessionFileKey = (session, filePath) => {
+  const normalized = normalizeSessionPath(session, filePath);
+  return normalized ? `${session.id}/${normalized}` : null;
+};
+
+// Validate path rules sent by a client: { defaultAccess, rules: [{ path, access }] }
+const normalizePathRules = ({ defaultAccess = 'read', rules } = {}) => {
+  if (!PATH_ACCESS_LEVELS.includes(defaultAccess)) {
+    throw permissionError('INVALID_PATH_RULES', `defaultAccess must be one of: ${PATH_ACCESS_LEVELS.join(', ')}`);
+  }
+  if (!Array.isArray(rules) || rules.length > MAX_PATH_RULES) {
+    throw permissionError('INVALID_PATH_RULES', `rules must be a list of at most ${MAX_PATH_RULES} rules`);
+  }
+
+  return {
+    defaultAccess,
+    rules: rules.map((rule, index) => {
+      const path = rule && typeof rule.path === 'string' ? posix.normalize(rule.path.replace(/\\/g, '/').replace(/^\/+/, '')) : '';
+      if (!path || path === '.' || path === './' || path.includes('..') || path.length > 500) {
+        throw permissionError('INVALID_PATH_RULES', `Rule ${index + 1} needs a valid path`);
+      }
+      if (!PATH_ACCESS_LEVELS.includes(rule.access)) {
+        throw permissionError('INVALID_PATH_RULES', `Rule ${index + 1}: access must be one of: ${PATH_ACCESS_LEVELS.join(', ')}`);
+      }
+      return { path, access: rule.access };
+    })
+  };
+};
+
+// Access level of a member for a path: 'none', 'read' or 'write'
+const getPathAccess = (session, userId, filePath) => {
+  const path = normalizeSessionPath(session, filePath);
+  if (path === null) return 'none';
+
+  const pathRules = session.pathRules && session.pathRules.get(userId);
+  if (!pathRules) return 'write';
+
+  let match = null;
+  for (const rule of pathRules.rules) {
+    // 'frontend' and 'frontend/' both cover the folder and everything in it
+    const base = rule.path.replace(/\/+$/, '');
+    const matches = path === base || path.startsWith(`${base}/`);
+    if (matches && (!match || rule.path.length > match.path.length)) {
+      match = rule;
+    }
+  }
+  return match ? match.access : pathRules.defaultAccess;
+};
+
+const canReadPath = (session, userId, filePath) => getPathAccess(session, userId, filePath) !== 'none';
+
+const isSessionOwner = (session, userId) => {
+  if (!userId) return false;
+  return session.creatorId === userId || Boolean(session.coOwners && session.coOwners.has(userId));
+};
+
+// How a member got in, in session.memberGrants (userId -> grant): { type: 'key' }
+// for the session's invite key, { type: 'invite', inviteId } for a named invite.
+// Access through an invite lasts while the invite is neither revoked nor
+// expired; members without a grant count as having joined with the key.
+const hasValidMemberGrant = (session, userId) => {
+  const grant = session.memberGrants && session.memberGrants.get(userId);
+  if (!grant || grant.type !== 'invite') return true;
+  const invite = session.invites && session.invites.get(grant.inviteId);
+  return Boolean(invite && !(invite.expiresAt && invite.expiresAt <= Date.now()));
+};
+
+const setMemberGrant = (session, userId, grant) => {
+  session.memberGrants.set(userId, grant);
+};
+
+// Members are the owners and everyone currently allowed in. Each member has an
+// entry in session.userPermissions, which is persisted with the session, so
+// membership survives restarts while connectedUsers starts empty.
+const isSessionMember = (session, userId) => {
+  return isSessionOwner(session, userId) ||
+    Boolean(userId && session.userPermissions.has(userId) && hasValidMemberGrant(session, userId));
+};
+
+// Take away a member's access; they need a valid key to join again. The
+// creator cannot be removed.
+const removeSessionMember = (session, userId) => {
+  if (userId === session.creatorId) return false;
+  const wasMember = session.userPermissions.delete(userId);
+  session.memberRoles.delete(userId);
+  session.pathRules.delete(userId);
+  session.memberGrants.delete(userId);
+  session.coOwners.delete(userId);
+  return wasMember;
+};
+
+// Only members currently allowed in have capabilities
+const hasCapability = (session, userId, capability) => {
+  if (!isSessionMember(session, userId)) return false;
+  const permissions = getUserPermissions(session, userId);
+  return Boolean(permissions && permissions[capability]);
+};
+
+const getActionCapability = (action, details = {}) => {
+  if (action === 'file_operation') {
+    return FILE_OPERATION_CAPABILITIES[details.action] || 'canEditFiles';
+  }
+  return ACTION_CAPABILITIES[action] || null;
+};
+
+// Check whether a member may perform an action (a socket event name or a
+// 'METHOD /route' string): { allowed, capability, message }. With
+// details.path, the member's path rules must allow the action there too:
+// viewing needs read access, everything else write access.
+const checkPermission = (session, userId, action, details = {}) => {
+  const capability = getActionCapability(action, details);
+  if (!capability) {
+    throw new Error(`No capability is defined for ${action}`);
+  }
+
+  if (!hasCapability(session, userId, capability)) {
+    return { allowed: false, capability, message: DENIED_MESSAGES[capability] };
+  }
+
+  if (details.path !== undefined) {
+    if (normalizeSessionPath(session, details.path) === null) {
+      return { allowed: false, capability, message: 'Invalid file path' };
+    }
+    const access = getPathAccess(session, userId, details.path);
+    const needed = capability === 'canViewFiles' ? 'read' : 'write';
+    if (PATH_ACCESS_LEVELS.indexOf(access) < PATH_ACCESS_LEVELS.indexOf(needed)) {
+      return {
+        allowed: false,
+        capability,
+        message: `You do not have ${needed} access to ${normalizeSessionPath(session, details.path)}`
+      };
+    }
+  }
+
+  return { allowed: true, capability, message: null };
+};
+
+module.exports = {
+  CAPABILITIES,
+  LEGACY_EDIT_CAPABILITIES,
+  ROLE_TEMPLATES,
+  ACTION_CAPABILITIES,
+  FILE_OPERATION_CAPABILITIES,
+  resolvePermissions,
+  getSessionRole,
+  listSessionRoles,
+  defineSessionRole,
+  deleteSessionRole,
+  assignSessionRole,
+  normalizePermissions,
+  normalizeAccessAssignment,
+  applyAccessAssignment,
+  grantsPermissionManagement,
+  setPendingPermissions,
+  takePendingPermissions,
+  getMemberRole,
+  getUserPermissions,
+  normalizeSessionPath,
+  sessionFileKey,
+  normalizePathRules,
+  getPathAccess,
+  canReadPath,
+  isSessionOwner,
+  isSessionMember,
+  setMemberGrant,
+  removeSessionMember,
+  hasCapability,
+  getActionCapability,
+  checkPermission
+};
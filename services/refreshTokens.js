@@ -0,0 +1,162 @@
+// Rotating refresh tokens
+// Every refresh token belongs to a family that starts at sign-in. Refreshing
+// uses up the presented token and issues the next one in the same family.
+// Presenting a token that was already used means it was copied, so the whole
+// family is revoked and every holder has to sign in again.
+// Only SHA-256 hashes of tokens are kept. With a filePath, tokens and families
+// are written to a JSON file after every change and read back by load(), so
+// sign-ins (and revocations) survive a restart.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_REFRESH_TOKEN_TTL = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Error with a code the REST layer can report
+const refreshTokenError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+class RefreshTokenStore {
+  constructor({ ttl = DEFAULT_REFRESH_TOKEN_TTL, filePath = null } = {}) {
+    this.ttl = ttl;
+    this.filePath = filePath;
+    this.tokens = new Map(); // token hash -> record
+    this.families = new Map(); // family id -> { userId, revoked, expiresAt }
+    this.writing = Promise.resolve();
+  }
+
+  // Read the persisted tokens and families; returns the number of families
+  async load() {
+    if (!this.filePath) return 0;
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.tokens = new Map(data.tokens || []);
+      this.families = new Map(data.families || []);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+    this.prune();
+    return this.families.size;
+  }
+
+  // Writes are chained so they reach the file in order
+  persist() {
+    if (!this.filePath) return this.writing;
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempFile = `${this.filePath}.tmp`;
+      const data = { tokens: Array.from(this.tokens), families: Array.from(this.families) };
+      await fs.writeFile(tempFile, JSON.stringify(data), 'utf8');
+      await fs.rename(tempFile, this.filePath);
+    }).catch(error => {
+      console.warn('⚠️ Failed to save refresh tokens:', error.message);
+    });
+    return this.writing;
+  }
+
+  // Start a new family for a user that signed in
+  issue(userId) {
+    this.prune();
+    const familyId = crypto.randomUUID();
+    this.families.set(familyId, { userId, revoked: false, expiresAt: Date.now() + this.ttl });
+    const issued = this.createToken(familyId, userId);
+    this.persist();
+    return issued;
+  }
+
+  createToken(familyId, userId) {
+    const token = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = Date.now() + this.ttl;
+    this.tokens.set(hashToken(token), { familyId, userId, expiresAt, usedAt: null });
+    this.families.get(familyId).expiresAt = expiresAt;
+    return { refreshToken: token, familyId, expiresAt };
+  }
+
+  // Use up a refresh token and issue the next one of its family
+  rotate(token) {
+    const record = typeof token === 'string' ? this.tokens.get(hashToken(token)) : null;
+    if (!record) {
+      throw refreshTokenError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+    }
+
+    const family = this.families.get(record.familyId);
+    if (!family || family.revoked) {
+      throw refreshTokenError('REFRESH_TOKEN_REVOKED', 'Refresh token has been revoked');
+    }
+    if (record.usedAt) {
+      this.revokeFamily(record.familyId);
+      throw refreshTokenError('REFRESH_TOKEN_REUSED', 'Refresh token was already used - all sessions from this sign-in have been revoked');
+    }
+    if (record.expiresAt <= Date.now()) {
+      throw refreshTokenError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+    }
+
+    record.usedAt = Date.now();
+    const rotated = { ...this.createToken(record.familyId, record.userId), userId: record.userId };
+    this.persist();
+    return rotated;
+  }
+
+  // Revoke the family of a token (sign out); returns the token's record or null
+  revoke(token) {
+    const record = typeof token === 'string' ? this.tokens.get(hashToken(token)) : null;
+    if (!record) return null;
+    this.revokeFamily(record.familyId);
+    return { userId: record.userId, familyId: record.familyId };
+  }
+
+  revokeFamily(familyId) {
+    const family = this.families.get(familyId);
+    if (family) {
+      family.revoked = true;
+    }
+    for (const [hash, record] of this.tokens) {
+      if (record.familyId === familyId) {
+        this.tokens.delete(hash);
+      }
+    }
+    this.persist();
+  }
+
+  // Sign a user out everywhere
+  revokeUser(userId) {
+    for (const [familyId, family] of this.families) {
+      if (family.userId === userId) {
+        this.revokeFamily(familyId);
+      }
+    }
+  }
+
+  // Families are persisted, so one that is not known was revoked and pruned
+  isFamilyRevoked(familyId) {
+    const family = this.families.get(familyId);
+    return !family || family.revoked;
+  }
+
+  // Forget expired tokens and families that have none left. Revoked families
+  // are kept until they expire so access tokens issued for them stay rejected.
+  prune() {
+    const now = Date.now();
+    for (const [hash, record] of this.tokens) {
+      if (record.expiresAt <= now) {
+        this.tokens.delete(hash);
+      }
+    }
+    for (const [familyId, family] of this.families) {
+      if (family.expiresAt <= now) {
+        this.families.delete(familyId);
+      }
+    }
+  }
+}
+
+module.exports = {
+  RefreshTokenStore,
+  DEFAULT_REFRESH_TOKEN_TTL
+};
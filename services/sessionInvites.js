@@ -0,0 +1,152 @@
+// Named session invites
+// Besides its permanent invite key, a session can hand out invites that each
+// carry their own key, role, expiry time and usage limit. The role (any session
+// role except owner) decides the permissions a user gets when joining with the invite. An invite with an
+// email address is a personal invitation: it can be used once, and only by
+// the signed-in user with that address.
+
+const crypto = require('crypto');
+const { getSessionRole } = require('./permissions');
+
+const INVITE_KEY_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+const MAX_INVITES_PER_SESSION = 50;
+const MAX_INVITE_LIFETIME = 30 * 24 * 60 * 60 * 1000; // 30 days
+const DEFAULT_INVITATION_LIFETIME = 7 * 24 * 60 * 60 * 1000; // 7 days for email invitations
+
+// Error with a code the REST and socket layers can report
+const inviteError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Random invite key from a cryptographically secure source
+const generateInviteKey = (length = 12) => {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += INVITE_KEY_CHARS.charAt(crypto.randomInt(INVITE_KEY_CHARS.length));
+  }
+  return result;
+};
+
+const normalizeEmail = (email) => (typeof email === 'string' ? email.trim().toLowerCase() : '');
+
+// Validate invite options sent by a client: { name, role, expiresIn (seconds), maxUses, email }
+const normalizeInviteOptions = (session, { name, role = 'editor', expiresIn, maxUses, email } = {}) => {
+  if (role === 'owner' || !getSessionRole(session, role)) {
+    throw inviteError('INVALID_INVITE', `Unknown invite role: ${role}`);
+  }
+
+  let expiresAt = null;
+  if (expiresIn !== undefined && expiresIn !== null) {
+    const lifetime = Number(expiresIn) * 1000;
+    if (!Number.isFinite(lifetime) || lifetime <= 0 || lifetime > MAX_INVITE_LIFETIME) {
+      throw inviteError('INVALID_INVITE', 'expiresIn must be a number of seconds up to 30 days');
+    }
+    expiresAt = Date.now() + lifetime;
+  }
+
+  if (maxUses !== undefined && maxUses !== null && (!Number.isInteger(maxUses) || maxUses < 1)) {
+    throw inviteError('INVALID_INVITE', 'maxUses must be a positive integer');
+  }
+
+  const invitation = {};
+  if (email !== undefined) {
+    invitation.email = normalizeEmail(email);
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(invitation.email) || invitation.email.length > 254) {
+      throw inviteError('INVALID_INVITE', 'A valid email address is required');
+    }
+  }
+
+  return {
+    name: typeof name === 'string' && name.trim() ? name.trim().slice(0, 100) : null,
+    role,
+    expiresAt: expiresAt || (invitation.email ? Date.now() + DEFAULT_INVITATION_LIFETIME : null),
+    maxUses: invitation.email ? 1 : maxUses || null,
+    ...invitation
+  };
+};
+
+// Add an invite to session.invites (inviteId -> invite) and return it
+const createInvite = (session, options, createdBy) => {
+  if (session.invites.size >= MAX_INVITES_PER_SESSION) {
+    throw inviteError('INVALID_INVITE', `A session can have at most ${MAX_INVITES_PER_SESSION} invites`);
+  }
+
+  const invite = {
+    id: `invite_${crypto.randomBytes(6).toString('hex')}`,
+    key: generateInviteKey(),
+    ...normalizeInviteOptions(session, options),
+    uses: 0,
+    createdBy,
+    createdAt: Date.now()
+  };
+  session.invites.set(invite.id, invite);
+  return invite;
+};
+
+const findInviteByKey = (session, key) => {
+  for (const invite of session.invites.values()) {
+    if (invite.key === key) return invite;
+  }
+  return null;
+};
+
+// Throws when an invite can no longer be used
+const assertInviteUsable = (invite) => {
+  if (invite.expiresAt && invite.expiresAt <= Date.now()) {
+    throw inviteError('INVITE_EXPIRED', 'This invite has expired');
+  }
+  if (invite.maxUses && invite.uses >= invite.maxUses) {
+    throw inviteError('INVITE_EXHAUSTED', 'This invite has reached its usage limit');
+  }
+};
+
+// Throws when the joining user may not use a personal invitation
+const assertInviteRecipient = (invite, userInfo) => {
+  if (!invite.email) return;
+  if (!userInfo || userInfo.isGuest || userInfo.role === 'guest') {
+    throw inviteError('INVITE_AUTH_REQUIRED', 'Sign in to accept this invitation');
+  }
+  if (normalizeEmail(userInfo.email) !== invite.email) {
+    throw inviteError('INVITE_EMAIL_MISMATCH', 'This invitation was sent to a different email address');
+  }
+};
+
+// Pending personal invitations for an email address: [{ session, invite }]
+const findInvitationsForEmail = (sessions, email) => {
+  const address = normalizeEmail(email);
+  const result = [];
+  if (!address) return result;
+
+  for (const session of sessions) {
+    for (const invite of session.invites.values()) {
+      if (invite.email === address && describeInvite(invite).status === 'active') {
+        result.push({ session, invite });
+      }
+    }
+  }
+  return result;
+};
+
+// Invite data for clients, with its current status
+const describeInvite = (invite) => {
+  let status = 'active';
+  if (invite.expiresAt && invite.expiresAt <= Date.now()) {
+    status = 'expired';
+  } else if (invite.maxUses && invite.uses >= invite.maxUses) {
+    status = invite.email ? 'accepted' : 'exhausted';
+  }
+  return { ...invite, status };
+};
+
+module.exports = {
+  generateInviteKey,
+  normalizeInviteOptions,
+  createInvite,
+  findInviteByKey,
+  assertInviteUsable,
+  assertInviteRecipient,
+  findInvitationsForEmail,
+  describeInvite
+};
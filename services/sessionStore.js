@@ -0,0 +1,143 @@
+// Session persistence for private collaboration sessions
+// A store adapter implements three async methods:
+//   loadAll()          -> array of serialized sessions
+//   save(serialized)   -> persist one serialized session
+//   remove(sessionId)  -> delete a persisted session
+// Sessions hold Maps and Sets, so they are converted with serializeSession()
+// and deserializeSession() before they reach an adapter.
+
+const fs = require('fs').promises;
+const path = require('path');
+
+// Session fields stored as Map / Set at runtime
+const MAP_FIELDS = ['files', 'userPermissions', 'fileVersions', 'invites', 'roles', 'memberRoles', 'pathRules', 'pendingPermissions', 'memberGrants'];
+const SET_FIELDS = ['bannedUsers', 'coOwners'];
+
+// Runtime-only fields that start empty after a restart
+const TRANSIENT_FIELDS = {
+  connectedUsers: () => new Set(),
+  fileOperations: () => new Map(),
+  joinRequests: () => new Map()
+};
+
+// Convert a live session into plain JSON-safe data
+const serializeSession = (session) => {
+  const data = {};
+  for (const [key, value] of Object.entries(session)) {
+    if (key in TRANSIENT_FIELDS) continue;
+    if (MAP_FIELDS.includes(key) && value instanceof Map) {
+      data[key] = Array.from(value.entries());
+    } else if (SET_FIELDS.includes(key) && value instanceof Set) {
+      data[key] = Array.from(value);
+    } else {
+      data[key] = value;
+    }
+  }
+  return data;
+};
+
+// Rebuild a live session from serialized data
+const deserializeSession = (data) => {
+  const session = { ...data };
+  for (const key of MAP_FIELDS) {
+    session[key] = new Map(Array.isArray(data[key]) ? data[key] : []);
+  }
+  for (const key of SET_FIELDS) {
+    session[key] = new Set(Array.isArray(data[key]) ? data[key] : []);
+  }
+  for (const [key, create] of Object.entries(TRANSIENT_FIELDS)) {
+    session[key] = create();
+  }
+  return session;
+};
+
+// Adapter that keeps nothing - sessions live only as long as the process
+class MemorySessionStore {
+  async loadAll() {
+    return [];
+  }
+
+  async save() {}
+
+  async remove() {}
+}
+
+// Adapter that writes one JSON file per session into a directory
+class JsonFileSessionStore {
+  constructor(directory) {
+    this.directory = directory;
+    this.pendingWrites = new Map(); // sessionId -> promise chain, keeps writes in order
+  }
+
+  filePath(sessionId) {
+    // Session ids are generated server-side, but never trust them as file names
+    return path.join(this.directory, `${String(sessionId).replace(/[^a-zA-Z0-9_-]/g, '_')}.json`);
+  }
+
+  async loadAll() {
+    await fs.mkdir(this.directory, { recursive: true });
+    const entries = await fs.readdir(this.directory);
+    const sessions = [];
+
+    for (const entry of entries) {
+      if (!entry.endsWith('.json')) continue;
+      try {
+        const raw = await fs.readFile(path.join(this.directory, entry), 'utf8');
+        sessions.push(JSON.parse(raw));
+      } catch (error) {
+        console.warn(`⚠️ Skipping unreadable session file ${entry}:`, error.message);
+      }
+    }
+
+    return sessions;
+  }
+
+  save(serialized) {
+    return this.enqueue(serialized.id, async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      const target = this.filePath(serialized.id);
+      const tempFile = `${target}.tmp`;
+      // Write to a temp file first so a crash never leaves a half-written session
+      await fs.writeFile(tempFile, JSON.stringify(serialized), 'utf8');
+      await fs.rename(tempFile, target);
+    });
+  }
+
+  remove(sessionId) {
+    return this.enqueue(sessionId, async () => {
+      await fs.rm(this.filePath(sessionId), { force: true });
+    });
+  }
+
+  enqueue(sessionId, task) {
+    const previous = this.pendingWrites.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(task);
+    this.pendingWrites.set(sessionId, next);
+    next.finally(() => {
+      if (this.pendingWrites.get(sessionId) === next) {
+        this.pendingWrites.delete(sessionId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+}
+
+// Create the configured store adapter ('json' or 'memory')
+const createSessionStore = ({ type = 'json', directory } = {}) => {
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'json':
+      return new JsonFileSessionStore(directory || path.join(__dirname, '..', 'data', 'sessions'));
+    default:
+      throw new Error(`Unknown session store type: ${type}`);
+  }
+};
+
+module.exports = {
+  createSessionStore,
+  serializeSession,
+  deserializeSession,
+  MemorySessionStore,
+  JsonFileSessionStore
+};
@@ -0,0 +1,121 @@
+// Test-runner mode for code execution
+// Runs the same program once per test case with the case input as stdin and
+// compares what it printed with the expected output.
+
+const { createUnifiedDiff } = require('./diff');
+
+const MAX_TEST_CASES = 50;
+
+// Output is compared without trailing whitespace on each line and without
+// trailing blank lines, so a missing final newline does not fail a test
+const normalizeOutput = (text) => {
+  return (text || '')
+    .replace(/\r\n/g, '\n')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n+$/, '');
+};
+
+// Validate test cases sent by a client: [{ name, input, expectedOutput }]
+const normalizeTestCases = (testCases) => {
+  if (!Array.isArray(testCases) || testCases.length === 0) {
+    throw new Error('At least one test case is required');
+  }
+  if (testCases.length > MAX_TEST_CASES) {
+    throw new Error(`Too many test cases (maximum ${MAX_TEST_CASES})`);
+  }
+
+  return testCases.map((testCase, index) => {
+    if (!testCase || typeof testCase.expectedOutput !== 'string') {
+      throw new Error(`Test case ${index + 1} needs an expectedOutput string`);
+    }
+    return {
+      name: typeof testCase.name === 'string' && testCase.name ? testCase.name : `Test ${index + 1}`,
+      input: typeof testCase.input === 'string' ? testCase.input : '',
+      expectedOutput: testCase.expectedOutput
+    };
+  });
+};
+
+// Read test cases from a test file: a JSON array of test cases or { "tests": [...] }
+const parseTestFile = (content) => {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error(`Test file is not valid JSON: ${error.message}`);
+  }
+  return normalizeTestCases(Array.isArray(data) ? data : data && data.tests);
+};
+
+// Run every test case with the given backend. onOutput(caseIndex, stage, stream, data)
+// receives streamed output; a compile error fails every case without running it.
+const runTestCases = async ({ backend, config, files, testCases, limits = {}, signal = null, onOutput = null }) => {
+  const startedAt = Date.now();
+  const cases = [];
+  let lastResult = null;
+  let compileError = null;
+
+  for (const [index, testCase] of testCases.entries()) {
+    if (signal?.aborted) break;
+
+    if (compileError) {
+      cases.push({ ...testCase, passed: false, actualOutput: '', error: compileError, exitCode: null, duration: 0, diff: '' });
+      continue;
+    }
+
+    const caseStartedAt = Date.now();
+    const result = await backend.execute({
+      config,
+      files,
+      stdin: testCase.input,
+      limits,
+      signal,
+      onOutput: onOutput && ((stage, stream, data) => onOutput(index, stage, stream, data))
+    });
+    lastResult = result;
+
+    if (result.compile && result.compile.code !== 0) {
+      compileError = result.compile.stderr || result.compile.stdout || 'Compilation failed';
+      cases.push({ ...testCase, passed: false, actualOutput: '', error: compileError, exitCode: result.compile.code, duration: Date.now() - caseStartedAt, diff: '' });
+      continue;
+    }
+
+    const run = result.run || {};
+    const expected = normalizeOutput(testCase.expectedOutput);
+    const actual = normalizeOutput(run.stdout);
+    const passed = actual === expected && (run.code === 0 || run.code === undefined);
+
+    cases.push({
+      ...testCase,
+      passed,
+      actualOutput: run.stdout || '',
+      error: run.stderr || run.message || '',
+      exitCode: run.code ?? null,
+      timedOut: Boolean(run.timedOut),
+      duration: Date.now() - caseStartedAt,
+      diff: actual === expected ? '' : createUnifiedDiff(`${expected}\n`, `${actual}\n`, { fromLabel: 'expected', toLabel: 'actual' })
+    });
+  }
+
+  const passedCount = cases.filter(testCase => testCase.passed).length;
+  return {
+    result: lastResult,
+    report: {
+      total: testCases.length,
+      passed: passedCount,
+      failed: cases.length - passedCount,
+      skipped: testCases.length - cases.length, // Not run because the run was cancelled
+      cases,
+      duration: Date.now() - startedAt
+    }
+  };
+};
+
+module.exports = {
+  normalizeTestCases,
+  parseTestFile,
+  runTestCases,
+  normalizeOutput
+};
@@ -0,0 +1,401 @@
+// User accounts
+// Users are kept by a store adapter and cached in memory by id, so socket
+// handlers can look members up synchronously. Adapters implement:
+//   loadAll()              -> array of users to prime the cache with
+//   find(field, value)     -> one user or null ('id', 'email' or 'firebaseUid')
+//   list({ search, limit, offset }) -> { users, total }
+//   insert(user)           -> stored user (may assign the id)
+//   update(id, changes, { presence }) -> stored user or null; presence-only
+//                            changes may be written lazily
+// USER_STORE selects the adapter: 'json' (default, data/users.json),
+// 'postgres' (users table of migration.js, needs DATABASE_URL) or 'memory'.
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+// Fields a user record can have; everything else is dropped on insert/update
+const USER_FIELDS = [
+  'id', 'firebaseUid', 'email', 'name', 'avatar', 'role', 'provider', 'passwordHash',
+  'isActive', 'isOnline', 'emailVerified', 'profile', 'preferences', 'collaborationSettings',
+  'createdAt', 'updatedAt', 'lastLoginAt'
+];
+const USER_ROLES = ['admin', 'user', 'guest'];
+
+const pickUserFields = (data) => {
+  const user = {};
+  for (const field of USER_FIELDS) {
+    if (data[field] !== undefined) user[field] = data[field];
+  }
+  return user;
+};
+
+const matchesSearch = (user, search) => {
+  if (!search) return true;
+  const needle = search.toLowerCase();
+  return [user.email, user.name].some(value => value && value.toLowerCase().includes(needle));
+};
+
+// Adapter that keeps users only as long as the process runs
+class MemoryUserStore {
+  constructor() {
+    this.users = [];
+  }
+
+  async loadAll() {
+    return this.users;
+  }
+
+  async find(field, value) {
+    return this.users.find(user => user[field] === value) || null;
+  }
+
+  async list({ search = '', limit = 50, offset = 0 } = {}) {
+    const matching = this.users.filter(user => matchesSearch(user, search));
+    return { users: matching.slice(offset, offset + limit), total: matching.length };
+  }
+
+  async insert(user) {
+    this.users.push(user);
+    return user;
+  }
+
+  async update(id, changes) {
+    const user = this.users.find(candidate => candidate.id === id);
+    if (!user) return null;
+    Object.assign(user, changes);
+    return user;
+  }
+}
+
+// Longest time a presence change waits before the JSON file is rewritten
+const PRESENCE_SAVE_DELAY = 5000;
+
+// Adapter that keeps every user in one JSON file
+class JsonFileUserStore extends MemoryUserStore {
+  constructor(filePath) {
+    super();
+    this.filePath = filePath;
+    this.writing = Promise.resolve();
+    this.persistTimer = null;
+  }
+
+  async loadAll() {
+    try {
+      this.users = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.users = [];
+    }
+    return this.users;
+  }
+
+  async insert(user) {
+    await super.insert(user);
+    await this.persist();
+    return user;
+  }
+
+  // Presence (isOnline, lastLoginAt) changes on every connect, so it is
+  // written with the next save instead of rewriting the file each time
+  async update(id, changes, { presence = false } = {}) {
+    const user = await super.update(id, changes);
+    if (user && presence) {
+      this.schedulePersist();
+    } else if (user) {
+      await this.persist();
+    }
+    return user;
+  }
+
+  schedulePersist() {
+    if (this.persistTimer) return;
+    this.persistTimer = setTimeout(() => this.persist(), PRESENCE_SAVE_DELAY);
+    this.persistTimer.unref();
+  }
+
+  // Writes are chained so they reach the file in order
+  persist() {
+    clearTimeout(this.persistTimer);
+    this.persistTimer = null;
+    this.writing = this.writing.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      const tempFile = `${this.filePath}.tmp`;
+      await fs.writeFile(tempFile, JSON.stringify(this.users, null, 2), 'utf8');
+      await fs.rename(tempFile, this.filePath);
+    });
+    return this.writing;
+  }
+}
+
+// Adapter for the users table created by migration.js
+const POSTGRES_COLUMNS = {
+  id: 'id',
+  firebaseUid: 'firebase_uid',
+  email: 'email',
+  name: 'display_name',
+  avatar: 'photo_url',
+  role: 'role',
+  provider: 'provider',
+  passwordHash: 'password_hash',
+  isActive: 'is_active',
+  isOnline: 'is_online',
+  emailVerified: 'email_verified',
+  profile: 'profile',
+  preferences: 'preferences',
+  collaborationSettings: 'collaboration_settings',
+  createdAt: 'created_at',
+  updatedAt: 'updated_at',
+  lastLoginAt: 'last_login_at'
+};
+
+const POSTGRES_TIMESTAMPS = ['createdAt', 'updatedAt', 'lastLoginAt'];
+
+class PostgresUserStore {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  fromRow(row) {
+    if (!row) return null;
+    const user = {};
+    for (const [field, column] of Object.entries(POSTGRES_COLUMNS)) {
+      user[field] = row[column] instanceof Date ? row[column].getTime() : row[column];
+    }
+    user.id = String(user.id);
+    return user;
+  }
+
+  // Users are loaded on demand
+  async loadAll() {
+    return [];
+  }
+
+  async find(field, value) {
+    const column = POSTGRES_COLUMNS[field];
+    if (!column) throw new Error(`Unknown user field: ${field}`);
+    const result = await this.pool.query(`SELECT * FROM users WHERE ${column} = $1 LIMIT 1`, [value]);
+    return this.fromRow(result.rows[0]);
+  }
+
+  async list({ search = '', limit = 50, offset = 0 } = {}) {
+    const pattern = `%${search}%`;
+    const where = search ? 'WHERE email ILIKE $1 OR display_name ILIKE $1' : '';
+    const params = search ? [pattern] : [];
+    const [rows, count] = await Promise.all([
+      this.pool.query(`SELECT * FROM users ${where} ORDER BY created_at LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`, params),
+      this.pool.query(`SELECT COUNT(*) AS total FROM users ${where}`, params)
+    ]);
+    return { users: rows.rows.map(row => this.fromRow(row)), total: parseInt(count.rows[0].total) };
+  }
+
+  async insert(user) {
+    // The table generates UUID ids and timestamps
+    const { id, createdAt, updatedAt, ...fields } = user;
+    const entries = Object.entries(fields).filter(([field]) => POSTGRES_COLUMNS[field]);
+    const columns = entries.map(([field]) => POSTGRES_COLUMNS[field]);
+    const values = entries.map(([field, value]) => this.toColumnValue(field, value));
+    const placeholders = values.map((value, index) => `$${index + 1}`);
+    const result = await this.pool.query(
+      `INSERT INTO users (${columns.join(', ')}) VALUES (${placeholders.join(', ')}) RETURNING *`,
+      values
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  async update(id, changes) {
+    // updated_at is maintained by a trigger
+    const entries = Object.entries(changes).filter(([field]) => POSTGRES_COLUMNS[field] && !['id', 'updatedAt'].includes(field));
+    if (entries.length === 0) return this.find('id', id);
+    const assignments = entries.map(([field], index) => `${POSTGRES_COLUMNS[field]} = $${index + 2}`);
+    const result = await this.pool.query(
+      `UPDATE users SET ${assignments.join(', ')} WHERE id = $1 RETURNING *`,
+      [id, ...entries.map(([field, value]) => this.toColumnValue(field, value))]
+    );
+    return this.fromRow(result.rows[0]);
+  }
+
+  toColumnValue(field, value) {
+    if (POSTGRES_TIMESTAMPS.includes(field) && typeof value === 'number') return new Date(value);
+    if (value && typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+}
+
+class UserRepository {
+  constructor(store) {
+    this.store = store;
+    this.cache = new Map(); // id -> user
+  }
+
+  async initialize() {
+    for (const user of await this.store.loadAll()) {
+      this.cache.set(user.id, user);
+    }
+    return this.cache.size;
+  }
+
+  remember(user) {
+    if (user) this.cache.set(user.id, user);
+    return user;
+  }
+
+  // Synchronous lookups for users that were loaded or used before
+  getCachedById(id) {
+    return this.cache.get(id) || null;
+  }
+
+  getCachedByEmail(email) {
+    if (!email) return null;
+    for (const user of this.cache.values()) {
+      if (user.email === email) return user;
+    }
+    return null;
+  }
+
+  async findById(id) {
+    return this.getCachedById(id) || this.remember(await this.store.find('id', id));
+  }
+
+  async findByEmail(email) {
+    if (!email) return null;
+    return this.getCachedByEmail(email) || this.remember(await this.store.find('email', email));
+  }
+
+  async findByFirebaseUid(firebaseUid) {
+    for (const user of this.cache.values()) {
+      if (user.firebaseUid === firebaseUid) return user;
+    }
+    return this.remember(await this.store.find('firebaseUid', firebaseUid));
+  }
+
+  async list(options) {
+    return this.store.list(options);
+  }
+
+  async create(data) {
+    if (!data.email) {
+      throw new Error('Email is required');
+    }
+    if (await this.findByEmail(data.email)) {
+      throw new Error(`A user with email ${data.email} already exists`);
+    }
+    if (data.role && !USER_ROLES.includes(data.role)) {
+      throw new Error(`Unknown role: ${data.role}`);
+    }
+
+    const now = Date.now();
+    const user = {
+      id: crypto.randomUUID(),
+      name: data.email.split('@')[0],
+      role: 'user',
+      provider: 'local',
+      isActive: true,
+      isOnline: false,
+      emailVerified: false,
+      profile: {},
+      preferences: {},
+      collaborationSettings: {},
+      createdAt: now,
+      updatedAt: now,
+      ...pickUserFields(data)
+    };
+    return this.remember(await this.store.insert(user));
+  }
+
+  async update(id, changes, options) {
+    if (changes.role && !USER_ROLES.includes(changes.role)) {
+      throw new Error(`Unknown role: ${changes.role}`);
+    }
+    const { id: ignored, createdAt, ...fields } = pickUserFields(changes);
+    const user = await this.store.update(id, { ...fields, updatedAt: Date.now() }, options);
+    if (!user) return null;
+
+    // Keep the cached object so references held elsewhere see the change
+    const cached = this.cache.get(id);
+    return cached ? Object.assign(cached, user) : this.remember(user);
+  }
+
+  // Find or create the user a verified token belongs to. A token is only
+  // linked to an existing account with the same email when its issuer verified
+  // that email; Firebase accounts linked this way get their firebaseUid.
+  async findOrCreateFromToken(tokenInfo) {
+    let user = tokenInfo.type === 'firebase'
+      ? await this.findByFirebaseUid(tokenInfo.userId)
+      : await this.findById(tokenInfo.userId).catch(() => null);
+    if (user) return user;
+
+    const existing = await this.findByEmail(tokenInfo.email);
+    if (existing) {
+      if (tokenInfo.decoded?.email_verified !== true) {
+        console.warn(`⚠️ Not linking ${tokenInfo.type} token to existing user ${tokenInfo.email}: email not verified`);
+        return null;
+      }
+      if (tokenInfo.type !== 'firebase') return existing;
+      console.log(`🔗 Linked Firebase account ${tokenInfo.userId} to user ${existing.email}`);
+      return this.update(existing.id, { firebaseUid: tokenInfo.userId });
+    }
+    if (!tokenInfo.email) return null;
+
+    const created = await this.create({
+      // Keep the token's user id where the store allows it (UUID ids in Postgres)
+      id: tokenInfo.type === 'firebase' ? undefined : tokenInfo.userId,
+      firebaseUid: tokenInfo.type === 'firebase' ? tokenInfo.userId : undefined,
+      email: tokenInfo.email,
+      name: tokenInfo.name,
+      avatar: tokenInfo.decoded?.picture,
+      provider: tokenInfo.type === 'firebase' ? 'google' : 'jwt',
+      emailVerified: Boolean(tokenInfo.decoded?.email_verified)
+    });
+    console.log(`✅ Created user account for ${created.email} (${tokenInfo.type} token)`);
+    return created;
+  }
+
+  async setOnline(id, isOnline) {
+    const changes = { isOnline };
+    if (isOnline) changes.lastLoginAt = Date.now();
+    return this.update(id, changes, { presence: true }).catch(error => {
+      console.warn(`⚠️ Failed to update online status of user ${id}:`, error.message);
+      return null;
+    });
+  }
+}
+
+// User data that is safe to send to clients
+const toPublicUser = (user) => {
+  if (!user) return null;
+  const { passwordHash, ...publicUser } = user;
+  return publicUser;
+};
+
+// Create the configured repository ('json', 'postgres' or 'memory')
+const createUserRepository = ({ type = 'json', filePath, databaseUrl } = {}) => {
+  switch (type) {
+    case 'memory':
+      return new UserRepository(new MemoryUserStore());
+    case 'json':
+      return new UserRepository(new JsonFileUserStore(filePath || path.join(__dirname, '..', 'data', 'users.json')));
+    case 'postgres': {
+      if (!databaseUrl) {
+        throw new Error('USER_STORE=postgres needs DATABASE_URL');
+      }
+      const { Pool } = require('pg');
+      return new UserRepository(new PostgresUserStore(new Pool({
+        connectionString: databaseUrl,
+        ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false
+      })));
+    }
+    default:
+      throw new Error(`Unknown user store type: ${type}`);
+  }
+};
+
+module.exports = {
+  createUserRepository,
+  UserRepository,
+  MemoryUserStore,
+  JsonFileUserStore,
+  PostgresUserStore,
+  toPublicUser,
+  USER_ROLES
+};
@@ -0,0 +1,175 @@
+// Forged and invalid tokens must be rejected by the REST middleware and by the
+// Socket.IO handshake middleware alike.
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const { createTokenVerifier } = require('../services/tokenVerifier');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { createSocketAuthMiddleware } = require('../middleware/socketAuth');
+
+// The modules log every verification attempt; keep the test output readable
+mock.method(console, 'log', () => {});
+
+const JWT_SECRET = 'test-secret';
+const REVOKED_FAMILY = 'revoked-family';
+
+const users = new Map([
+  ['user-1', { id: 'user-1', name: 'Ada', email: 'ada@example.com', role: 'user' }],
+  ['user-2', { id: 'user-2', name: 'Inactive', email: 'inactive@example.com', role: 'user', isActive: false }]
+]);
+const resolveUser = async (tokenInfo) => users.get(tokenInfo.userId) || null;
+
+const createVerifier = (authMode = 'strict') => createTokenVerifier({
+  jwtSecret: JWT_SECRET,
+  authMode,
+  isFamilyRevoked: (familyId) => familyId === REVOKED_FAMILY
+});
+
+const sign = (payload, options = {}) => jwt.sign(payload, JWT_SECRET, { algorithm: 'HS256', expiresIn: '5m', ...options });
+
+const base64url = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+const unsignedToken = (payload) => `${base64url({ alg: 'none', typ: 'JWT' })}.${base64url(payload)}.`;
+
+// Tokens that must never authenticate in strict mode
+const forgedTokens = {
+  'signed with another secret': () => jwt.sign({ sub: 'user-1', email: 'ada@example.com' }, 'wrong-secret', { expiresIn: '5m' }),
+  'unsigned (alg none)': () => unsignedToken({ sub: 'user-1', email: 'ada@example.com', exp: Math.floor(Date.now() / 1000) + 300 }),
+  'with a tampered payload': () => {
+    const [header, , signature] = sign({ sub: 'user-2', email: 'inactive@example.com' }).split('.');
+    return `${header}.${base64url({ sub: 'user-1', email: 'ada@example.com', exp: Math.floor(Date.now() / 1000) + 300 })}.${signature}`;
+  },
+  'signed with RS256': () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    return jwt.sign({ sub: 'user-1' }, privateKey, { algorithm: 'RS256', expiresIn: '5m' });
+  },
+  'expired': () => jwt.sign({ sub: 'user-1', exp: Math.floor(Date.now() / 1000) - 60 }, JWT_SECRET, { algorithm: 'HS256' }),
+  'without an expiry': () => jwt.sign({ sub: 'user-1' }, JWT_SECRET, { algorithm: 'HS256' }),
+  'without a subject': () => sign({ email: 'ada@example.com' }),
+  'from a revoked sign-in': () => sign({ sub: 'user-1', fid: REVOKED_FAMILY }),
+  'that is not a JWT': () => 'not-a-token'
+};
+
+describe('REST authentication', () => {
+  let server;
+  let baseUrl;
+
+  before(async () => {
+    const { authenticate } = createAuthMiddleware({
+      verifyToken: createVerifier(),
+      resolveUser,
+      guestPolicy: 'anonymous'
+    });
+    const app = express();
+    app.get('/required', authenticate('required'), (req, res) => res.json({ userId: req.user.id }));
+    app.get('/guest', authenticate('guest'), (req, res) => res.json({ userId: req.user.id, isGuest: Boolean(req.user.isGuest) }));
+
+    server = app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const request = (path, token) => fetch(`${baseUrl}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+
+  test('accepts a valid signed token', async () => {
+    const response = await request('/required', sign({ sub: 'user-1', email: 'ada@example.com' }));
+    assert.strictEqual(response.status, 200);
+    assert.deepStrictEqual(await response.json(), { userId: 'user-1' });
+  });
+
+  test('rejects requests without a token', async () => {
+    const response = await request('/required');
+    assert.strictEqual(response.status, 401);
+    assert.strictEqual((await response.json()).code, 'AUTH_REQUIRED');
+  });
+
+  for (const [name, createToken] of Object.entries(forgedTokens)) {
+    test(`rejects a token ${name}`, async () => {
+      const response = await request('/required', createToken());
+      assert.strictEqual(response.status, 401);
+      assert.strictEqual((await response.json()).code, 'INVALID_TOKEN');
+    });
+  }
+
+  test('does not fall back to a guest when the token is forged', async () => {
+    const response = await request('/guest', forgedTokens['signed with another secret']());
+    assert.strictEqual(response.status, 401);
+  });
+
+  test('rejects inactive users', async () => {
+    const response = await request('/required', sign({ sub: 'user-2' }));
+    assert.strictEqual(response.status, 403);
+    assert.strictEqual((await response.json()).code, 'USER_INACTIVE');
+  });
+});
+
+describe('socket authentication', () => {
+  const connect = async (auth, { guestPolicy = 'anonymous', authMode = 'strict' } = {}) => {
+    const { authenticateSocket } = createSocketAuthMiddleware({
+      verifyToken: createVerifier(authMode),
+      resolveUser,
+      guestPolicy
+    });
+    const socket = { handshake: { auth } };
+    const error = await new Promise(resolve => authenticateSocket(socket, resolve));
+    return { socket, error };
+  };
+
+  test('authenticates a valid signed token', async () => {
+    const { socket, error } = await connect({ token: sign({ sub: 'user-1', email: 'ada@example.com' }) });
+    assert.strictEqual(error, undefined);
+    assert.strictEqual(socket.authenticated, true);
+    assert.strictEqual(socket.userId, 'user-1');
+    assert.strictEqual(socket.authError, undefined);
+  });
+
+  for (const [name, createToken] of Object.entries(forgedTokens)) {
+    test(`does not authenticate a token ${name}`, async () => {
+      const { socket } = await connect({ token: createToken() });
+      assert.notStrictEqual(socket.authenticated, true);
+      assert.notStrictEqual(socket.userId, 'user-1');
+      assert.strictEqual(socket.authError.code, 'INVALID_TOKEN');
+    });
+  }
+
+  test('continues as a guest after a forged token when guests are allowed', async () => {
+    const { socket } = await connect({ token: forgedTokens['unsigned (alg none)']() });
+    assert.strictEqual(socket.authenticated, false);
+    assert.strictEqual(socket.userRole, 'guest');
+    assert.strictEqual(socket.authError.fatal, false);
+  });
+
+  test('turns a forged token away when guests are rejected', async () => {
+    const { socket } = await connect({ token: forgedTokens['unsigned (alg none)']() }, { guestPolicy: 'reject' });
+    assert.strictEqual(socket.userId, undefined);
+    assert.strictEqual(socket.authError.fatal, true);
+  });
+
+  test('requires a guest name under the named policy', async () => {
+    const { socket } = await connect({}, { guestPolicy: 'named' });
+    assert.strictEqual(socket.authError.code, 'GUEST_NAME_REQUIRED');
+
+    const named = await connect({ guestName: 'Grace' }, { guestPolicy: 'named' });
+    assert.strictEqual(named.socket.userName, 'Grace');
+    assert.strictEqual(named.socket.authError, undefined);
+  });
+
+  test('rejects inactive users', async () => {
+    const { error } = await connect({ token: sign({ sub: 'user-2' }) });
+    assert.ok(error instanceof Error);
+  });
+
+  test('accepts unsigned development tokens only in dev-unsigned mode', async () => {
+    const token = unsignedToken({ sub: 'user-1', email: 'ada@example.com' });
+    const { socket } = await connect({ token }, { authMode: 'dev-unsigned' });
+    assert.strictEqual(socket.authenticated, true);
+    assert.strictEqual(socket.tokenType, 'demo-jwt');
+  });
+});
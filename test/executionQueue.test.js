@@ -0,0 +1,154 @@
+// Per-session execution queue: FIFO order, concurrency, the waiting limit and
+// cancelling jobs before they start.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { ExecutionQueue } = require('../services/executionQueue');
+
+// A job that finishes only when the test says so
+const createJob = (log, id) => {
+  let finish;
+  const done = new Promise((resolve) => { finish = resolve; });
+  const task = async () => {
+    log.push(`start ${id}`);
+    await done;
+    log.push(`end ${id}`);
+    return id;
+  };
+  return { task, finish };
+};
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('ExecutionQueue', () => {
+  test('runs one job per session at a time in FIFO order', async () => {
+    const queue = new ExecutionQueue();
+    const log = [];
+    const jobs = ['a', 'b', 'c'].map((id) => createJob(log, id));
+    const results = jobs.map((job, i) => queue.enqueue('session', `job${i}`, job.task));
+
+    await settle();
+    assert.deepStrictEqual(queue.status('session'), { running: ['job0'], queued: ['job1', 'job2'] });
+    assert.strictEqual(queue.position('session', 'job0'), 0);
+    assert.strictEqual(queue.position('session', 'job2'), 2);
+
+    for (const job of jobs) {
+      job.finish();
+      await settle();
+    }
+    assert.deepStrictEqual(await Promise.all(results), ['a', 'b', 'c']);
+    assert.deepStrictEqual(log, ['start a', 'end a', 'start b', 'end b', 'start c', 'end c']);
+    assert.deepStrictEqual(queue.status('session'), { running: [], queued: [] });
+    assert.strictEqual(queue.position('session', 'job0'), -1);
+  });
+
+  test('sessions do not wait for each other', async () => {
+    const queue = new ExecutionQueue();
+    const log = [];
+    const first = createJob(log, 'a');
+    const second = createJob(log, 'b');
+    queue.enqueue('one', 'job1', first.task);
+    queue.enqueue('two', 'job2', second.task);
+
+    await settle();
+    assert.deepStrictEqual(log, ['start a', 'start b']);
+    first.finish();
+    second.finish();
+  });
+
+  test('runs up to the requested concurrency side by side', async () => {
+    const queue = new ExecutionQueue();
+    const log = [];
+    const jobs = ['a', 'b', 'c'].map((id) => createJob(log, id));
+    const results = jobs.map((job, i) => queue.enqueue('user:1', `job${i}`, job.task, { concurrency: 2 }));
+
+    await settle();
+    assert.deepStrictEqual(queue.status('user:1').running, ['job0', 'job1']);
+    jobs[1].finish();
+    await settle();
+    assert.deepStrictEqual(queue.status('user:1').running, ['job0', 'job2']);
+
+    jobs[0].finish();
+    jobs[2].finish();
+    await Promise.all(results);
+  });
+
+  test('passes job failures to the caller and keeps going', async () => {
+    const queue = new ExecutionQueue();
+    const failed = queue.enqueue('session', 'job1', async () => { throw new Error('compile error'); });
+    const next = queue.enqueue('session', 'job2', async () => 'ok');
+
+    await assert.rejects(failed, /compile error/);
+    assert.strictEqual(await next, 'ok');
+  });
+
+  test('rejects jobs with EXECUTION_QUEUE_FULL once maxQueued are waiting', async () => {
+    const queue = new ExecutionQueue({ maxQueued: 2 });
+    const log = [];
+    const jobs = ['a', 'b', 'c'].map((id) => createJob(log, id));
+    const results = jobs.map((job, i) => queue.enqueue('session', `job${i}`, job.task));
+
+    await settle();
+    await assert.rejects(
+      queue.enqueue('session', 'job3', async () => 'late'),
+      (error) => error.code === 'EXECUTION_QUEUE_FULL'
+    );
+    assert.deepStrictEqual(queue.status('session').queued, ['job1', 'job2']);
+
+    // Other sessions have their own limit
+    assert.strictEqual(await queue.enqueue('other', 'job4', async () => 'ok'), 'ok');
+
+    for (const job of jobs) {
+      job.finish();
+      await settle();
+    }
+    await Promise.all(results);
+  });
+
+  test('remove() cancels a waiting job with EXECUTION_CANCELLED', async () => {
+    const queue = new ExecutionQueue();
+    const log = [];
+    const running = createJob(log, 'a');
+    const waiting = createJob(log, 'b');
+    const last = createJob(log, 'c');
+    const results = [
+      queue.enqueue('session', 'job1', running.task),
+      queue.enqueue('session', 'job2', waiting.task),
+      queue.enqueue('session', 'job3', last.task)
+    ];
+
+    await settle();
+    assert.strictEqual(queue.remove('session', 'job1'), false, 'running jobs cannot be removed');
+    assert.strictEqual(queue.remove('session', 'job2'), true);
+    assert.strictEqual(queue.remove('session', 'job2'), false);
+    assert.strictEqual(queue.remove('missing', 'job2'), false);
+    await assert.rejects(results[1], (error) => error.code === 'EXECUTION_CANCELLED');
+    assert.strictEqual(queue.position('session', 'job3'), 1);
+
+    running.finish();
+    await settle();
+    last.finish();
+    await Promise.all([results[0], results[2]]);
+    assert.ok(!log.includes('start b'));
+  });
+
+  test('clear() cancels every waiting job but lets the running one finish', async () => {
+    const queue = new ExecutionQueue();
+    const log = [];
+    const running = createJob(log, 'a');
+    const results = [
+      queue.enqueue('session', 'job1', running.task),
+      queue.enqueue('session', 'job2', async () => 'b'),
+      queue.enqueue('session', 'job3', async () => 'c')
+    ];
+
+    await settle();
+    queue.clear('session');
+    await assert.rejects(results[1], (error) => error.code === 'EXECUTION_CANCELLED');
+    await assert.rejects(results[2], (error) => error.code === 'EXECUTION_CANCELLED');
+
+    running.finish();
+    assert.strictEqual(await results[0], 'a');
+  });
+});
@@ -0,0 +1,146 @@
+// File version history and the line diff behind it: recording and coalescing
+// versions, diffs between versions, and restoring an earlier version.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { diffLines, countLineChanges, createUnifiedDiff } = require('../services/diff');
+const {
+  createFileVersionStore,
+  SessionFileVersionStore,
+  recordFileVersion,
+  listFileVersions,
+  getFileVersion,
+  diffFileVersions
+} = require('../services/fileVersions');
+
+const alice = { id: 'alice', name: 'Alice' };
+const bob = { id: 'bob', name: 'Bob' };
+
+// Rebuild the new text from an edit script
+const applyScript = (script) => script.filter(entry => entry.type !== 'delete').map(entry => entry.line);
+const originalOf = (script) => script.filter(entry => entry.type !== 'insert').map(entry => entry.line);
+
+describe('diff', () => {
+  test('finds the shortest edit script', () => {
+    const script = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+    assert.deepStrictEqual(applyScript(script), ['c', 'b', 'a', 'b', 'a', 'c']);
+    assert.deepStrictEqual(originalOf(script), ['a', 'b', 'c', 'a', 'b', 'b', 'a']);
+    assert.strictEqual(script.filter(entry => entry.type !== 'equal').length, 5);
+  });
+
+  test('stays correct when the cost budget runs out', () => {
+    const oldLines = Array.from({ length: 200 }, (_, i) => `old ${i}`);
+    const newLines = Array.from({ length: 200 }, (_, i) => (i % 3 === 0 ? `old ${i}` : `new ${i}`));
+    const script = diffLines(oldLines, newLines, { maxCost: 10 });
+    assert.deepStrictEqual(applyScript(script), newLines);
+    assert.deepStrictEqual(originalOf(script), oldLines);
+  });
+
+  test('counts added and removed lines, ignoring a trailing newline', () => {
+    assert.deepStrictEqual(countLineChanges('a\nb\nc\n', 'a\nB\nc\nd'), { linesAdded: 2, linesRemoved: 1 });
+    assert.deepStrictEqual(countLineChanges('', 'x\n'), { linesAdded: 1, linesRemoved: 0 });
+    assert.deepStrictEqual(countLineChanges('same\n', 'same'), { linesAdded: 0, linesRemoved: 0 });
+  });
+
+  test('writes unified diff hunks with context', () => {
+    const oldText = ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'].join('\n');
+    const newText = ['1', '2', '3', '4', 'five', '6', '7', '8', '9', '10'].join('\n');
+    assert.strictEqual(createUnifiedDiff(oldText, newText, { fromLabel: 'old', toLabel: 'new' }), [
+      '--- old',
+      '+++ new',
+      '@@ -2,7 +2,7 @@',
+      ' 2',
+      ' 3',
+      ' 4',
+      '-5',
+      '+five',
+      ' 6',
+      ' 7',
+      ' 8',
+      ''
+    ].join('\n'));
+  });
+
+  test('gives an empty-range hunk for a new file', () => {
+    assert.strictEqual(createUnifiedDiff('', 'a\nb\n'), '--- a\n+++ b\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+  });
+});
+
+describe('file versions', () => {
+  test('numbers versions and skips unchanged content', () => {
+    const versions = new Map();
+    const first = recordFileVersion(versions, 'main.js', 'a\n', alice);
+    const second = recordFileVersion(versions, 'main.js', 'a\nb\n', bob, { comment: 'add b' });
+    const unchanged = recordFileVersion(versions, 'main.js', 'a\nb\n', alice);
+
+    assert.strictEqual(first.version, 1);
+    assert.strictEqual(second.version, 2);
+    assert.strictEqual(unchanged, second);
+    assert.strictEqual(second.linesAdded, 1);
+    assert.strictEqual(second.comment, 'add b');
+
+    const listed = listFileVersions(versions, 'main.js');
+    assert.deepStrictEqual(listed.map(version => version.version), [1, 2]);
+    assert.ok(listed.every(version => !('content' in version)));
+  });
+
+  test('coalesces successive realtime edits by the same author', () => {
+    const versions = new Map();
+    recordFileVersion(versions, 'main.js', 'a\n', alice);
+    recordFileVersion(versions, 'main.js', 'a\nb\n', alice, { source: 'realtime', coalesce: true });
+    const coalesced = recordFileVersion(versions, 'main.js', 'a\nb\nc\n', alice, { source: 'realtime', coalesce: true });
+    const other = recordFileVersion(versions, 'main.js', 'a\nb\nc\nd\n', bob, { source: 'realtime', coalesce: true });
+
+    assert.strictEqual(coalesced.version, 2);
+    assert.strictEqual(coalesced.content, 'a\nb\nc\n');
+    assert.strictEqual(coalesced.linesAdded, 2);
+    assert.strictEqual(other.version, 3);
+  });
+
+  test('diffs two versions and reports missing ones', () => {
+    const versions = new Map();
+    recordFileVersion(versions, 'main.js', 'a\nb\n', alice);
+    recordFileVersion(versions, 'main.js', 'a\nc\n', bob);
+
+    const result = diffFileVersions(versions, 'main.js', 1, 2);
+    assert.strictEqual(result.linesAdded, 1);
+    assert.strictEqual(result.linesRemoved, 1);
+    assert.strictEqual(result.diff, '--- main.js@v1\n+++ main.js@v2\n@@ -1,2 +1,2 @@\n a\n-b\n+c\n');
+    assert.throws(() => diffFileVersions(versions, 'main.js', 1, 3), /Version 3 of main.js not found/);
+  });
+
+  test('restoring records the old content as a new version', () => {
+    const versions = new Map();
+    recordFileVersion(versions, 'main.js', 'first\n', alice);
+    recordFileVersion(versions, 'main.js', 'second\n', bob);
+
+    const restored = recordFileVersion(versions, 'main.js', getFileVersion(versions, 'main.js', 1).content, alice, {
+      source: 'restore',
+      changes: { restoredFrom: 1 }
+    });
+
+    assert.strictEqual(restored.version, 3);
+    assert.strictEqual(restored.content, 'first\n');
+    assert.deepStrictEqual(restored.changes, { source: 'restore', restoredFrom: 1 });
+    assert.strictEqual(diffFileVersions(versions, 'main.js', 1, 3).diff, '--- main.js@v1\n+++ main.js@v3\n');
+    assert.strictEqual(getFileVersion(versions, 'main.js', 4), null);
+  });
+
+  test('keeps at most 100 versions per file', () => {
+    const versions = new Map();
+    for (let i = 1; i <= 105; i++) {
+      recordFileVersion(versions, 'main.js', `${i}\n`, alice);
+    }
+    const listed = listFileVersions(versions, 'main.js');
+    assert.strictEqual(listed.length, 100);
+    assert.strictEqual(listed[0].version, 6);
+    assert.strictEqual(getFileVersion(versions, 'main.js', 1), null);
+  });
+
+  test('stores versions with the session unless a database is configured', () => {
+    assert.ok(createFileVersionStore() instanceof SessionFileVersionStore);
+    assert.throws(() => createFileVersionStore({ type: 'postgres' }), /needs DATABASE_URL/);
+    assert.throws(() => createFileVersionStore({ type: 'sqlite' }), /Unknown file version store type/);
+  });
+});
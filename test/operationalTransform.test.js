@@ -0,0 +1,209 @@
+// Merging of concurrent realtime edits: operation building, transform and
+// compose, positional edits, and transforming late edits over the history.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  MAX_OPERATION_SIZE,
+  MAX_OPERATION_HISTORY,
+  TextOperation,
+  fromPositionalEdits,
+  parseOperation,
+  transformAgainstHistory,
+  recordOperation,
+  lengthAtRevision
+} = require('../services/operationalTransform');
+
+const insertAt = (doc, position, text) => new TextOperation().retain(position).insert(text).retain(doc.length - position);
+const deleteAt = (doc, position, length) => new TextOperation().retain(position).delete(length).retain(doc.length - position - length);
+
+// Small deterministic random generator so failures can be reproduced
+const createRandom = (seed) => () => {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+};
+
+const randomOperation = (random, doc) => {
+  const operation = new TextOperation();
+  let remaining = doc.length;
+  while (remaining > 0) {
+    const length = 1 + Math.floor(random() * Math.min(remaining, 5));
+    const choice = random();
+    if (choice < 0.2) {
+      operation.insert('xyz'.slice(0, 1 + Math.floor(random() * 3)));
+    } else if (choice < 0.5) {
+      operation.delete(length);
+      remaining -= length;
+    } else {
+      operation.retain(length);
+      remaining -= length;
+    }
+  }
+  if (random() < 0.3) operation.insert('end');
+  return operation;
+};
+
+describe('TextOperation', () => {
+  test('applies retains, inserts and deletes', () => {
+    const operation = new TextOperation().retain(6).delete(5).insert('there');
+    assert.strictEqual(operation.apply('hello world'), 'hello there');
+    assert.strictEqual(operation.baseLength, 11);
+    assert.strictEqual(operation.targetLength, 11);
+  });
+
+  test('refuses documents of another length', () => {
+    assert.throws(() => insertAt('abc', 1, 'x').apply('abcd'), /does not match document length/);
+  });
+
+  test('round-trips through JSON and rejects invalid components', () => {
+    const operation = new TextOperation().retain(2).insert('x').delete(1);
+    assert.deepStrictEqual(TextOperation.fromJSON(operation.toJSON()).toJSON(), operation.toJSON());
+    assert.throws(() => TextOperation.fromJSON([1, 0]), /Invalid operation component/);
+    assert.throws(() => TextOperation.fromJSON('retain'), /must be an array/);
+  });
+
+  test('compose gives the same result as applying both operations', () => {
+    const doc = 'collaborate';
+    const first = insertAt(doc, 0, 'we ');
+    const second = deleteAt(first.apply(doc), 3, 5);
+    assert.strictEqual(first.compose(second).apply(doc), second.apply(first.apply(doc)));
+    assert.throws(() => first.compose(first), /Cannot compose/);
+  });
+});
+
+describe('transform', () => {
+  const converges = (doc, a, b) => {
+    const [aPrime, bPrime] = TextOperation.transform(a, b);
+    const viaA = bPrime.apply(a.apply(doc));
+    const viaB = aPrime.apply(b.apply(doc));
+    assert.strictEqual(viaA, viaB);
+    return viaA;
+  };
+
+  test('concurrent inserts at the same position keep the first operation first', () => {
+    assert.strictEqual(converges('ac', insertAt('ac', 1, 'X'), insertAt('ac', 1, 'Y')), 'aXYc');
+  });
+
+  test('concurrent inserts at different positions keep both', () => {
+    assert.strictEqual(converges('hello', insertAt('hello', 0, '>'), insertAt('hello', 5, '!')), '>hello!');
+  });
+
+  test('overlapping deletes remove the text once', () => {
+    assert.strictEqual(converges('abcdef', deleteAt('abcdef', 1, 3), deleteAt('abcdef', 2, 3)), 'af');
+    assert.strictEqual(converges('abcdef', deleteAt('abcdef', 1, 2), deleteAt('abcdef', 1, 2)), 'adef');
+  });
+
+  test('an insert inside a concurrently deleted range survives', () => {
+    assert.strictEqual(converges('abcdef', insertAt('abcdef', 3, 'X'), deleteAt('abcdef', 1, 4)), 'aXf');
+  });
+
+  test('refuses operations on documents of different lengths', () => {
+    assert.throws(() => TextOperation.transform(insertAt('ab', 0, 'x'), insertAt('abc', 0, 'y')), /base lengths differ/);
+  });
+
+  test('random concurrent operations converge', () => {
+    const random = createRandom(42);
+    for (let i = 0; i < 500; i++) {
+      const doc = 'the quick brown fox'.slice(0, Math.floor(random() * 20));
+      converges(doc, randomOperation(random, doc), randomOperation(random, doc));
+    }
+  });
+});
+
+describe('positional edits', () => {
+  test('applies each edit to the result of the previous one', () => {
+    const operation = fromPositionalEdits([
+      { type: 'insert', position: 5, text: ',' },
+      { type: 'delete', position: 0, length: 1 },
+      { type: 'insert', position: 0, text: 'H' }
+    ], 'hello world'.length);
+    assert.strictEqual(operation.apply('hello world'), 'Hello, world');
+  });
+
+  test('rejects positions and ranges outside the document', () => {
+    assert.throws(() => fromPositionalEdits([{ type: 'insert', position: 4, text: 'x' }], 3), /Invalid edit position/);
+    assert.throws(() => fromPositionalEdits([{ type: 'delete', position: 2, length: 2 }], 3), /past the end/);
+    assert.throws(() => fromPositionalEdits([{ type: 'replace', position: 0 }], 3), /Invalid edit/);
+    assert.throws(() => fromPositionalEdits([], 3), /non-empty array/);
+  });
+
+  test('parseOperation accepts both formats', () => {
+    assert.strictEqual(parseOperation([1, 'x', 2], 3).apply('abc'), 'axbc');
+    assert.strictEqual(parseOperation([{ type: 'insert', position: 1, text: 'x' }], 3).apply('abc'), 'axbc');
+  });
+
+  test('parseOperation rejects payloads over the size limit', () => {
+    const text = 'x'.repeat(MAX_OPERATION_SIZE);
+    assert.throws(() => parseOperation([text], 0), (error) => error.code === 'OPERATION_TOO_LARGE');
+    assert.throws(() => parseOperation([{ type: 'insert', position: 0, text }], 0), (error) => error.code === 'OPERATION_TOO_LARGE');
+    assert.throws(() => parseOperation(new Array(MAX_OPERATION_SIZE + 1).fill(1), 0), (error) => error.code === 'OPERATION_TOO_LARGE');
+  });
+});
+
+describe('history', () => {
+  // Server side of a file: apply edits made against any kept revision
+  const createFile = (content) => ({ content, history: { startRevision: 0, operations: [] } });
+  const revisionOf = (file) => file.history.startRevision + file.history.operations.length;
+  const applyEdit = (file, operation, baseRevision) => {
+    const transformed = transformAgainstHistory(operation, file.history, baseRevision);
+    file.content = transformed.apply(file.content);
+    recordOperation(file.history, transformed);
+    return transformed;
+  };
+
+  test('edits made against a stale revision are transformed over newer edits', () => {
+    const file = createFile('function add(a, b) {}');
+    applyEdit(file, insertAt(file.content, 0, '// sum\n'), 0);
+    applyEdit(file, insertAt(file.content, file.content.length - 1, ' return a + b; '), 1);
+
+    // A client that only saw revision 0 renames the function
+    const original = 'function add(a, b) {}';
+    const rename = new TextOperation().retain(9).delete(3).insert('sum').retain(original.length - 12);
+    applyEdit(file, rename, 0);
+
+    assert.strictEqual(file.content, '// sum\nfunction sum(a, b) { return a + b; }');
+    assert.strictEqual(revisionOf(file), 3);
+  });
+
+  test('clients that edit concurrently end with the same document', () => {
+    const file = createFile('abc');
+    const base = file.content;
+    const edits = [insertAt(base, 0, '1'), insertAt(base, 3, '2'), deleteAt(base, 1, 1), insertAt(base, 1, '3')];
+    for (const edit of edits) {
+      applyEdit(file, edit, 0);
+    }
+
+    // Any client replaying the server's transformed operations gets the same text
+    let replayed = base;
+    for (const operation of file.history.operations) {
+      replayed = operation.apply(replayed);
+    }
+    assert.strictEqual(replayed, file.content);
+    assert.strictEqual(file.content, '1a3c2');
+  });
+
+  test('lengthAtRevision undoes the length changes of later operations', () => {
+    const file = createFile('abc');
+    applyEdit(file, insertAt(file.content, 0, 'xx'), 0);
+    applyEdit(file, deleteAt(file.content, 0, 4), 1);
+    assert.strictEqual(lengthAtRevision(file.content.length, file.history, 0), 3);
+    assert.strictEqual(lengthAtRevision(file.content.length, file.history, 1), 5);
+    assert.strictEqual(lengthAtRevision(file.content.length, file.history, 2), 1);
+  });
+
+  test('only the last MAX_OPERATION_HISTORY operations are kept', () => {
+    const file = createFile('');
+    for (let i = 0; i < MAX_OPERATION_HISTORY + 5; i++) {
+      applyEdit(file, insertAt(file.content, file.content.length, 'x'), revisionOf(file));
+    }
+    assert.strictEqual(file.history.operations.length, MAX_OPERATION_HISTORY);
+    assert.strictEqual(file.history.startRevision, 5);
+    assert.strictEqual(revisionOf(file), MAX_OPERATION_HISTORY + 5);
+
+    // Edits based on a dropped revision can no longer be merged
+    assert.throws(() => transformAgainstHistory(insertAt('xxxx', 0, 'y'), file.history, 4), /no longer available/);
+    const oldest = 'x'.repeat(5);
+    assert.strictEqual(transformAgainstHistory(insertAt(oldest, 0, 'y'), file.history, 5).apply(file.content), `y${file.content}`);
+  });
+});
@@ -0,0 +1,180 @@
+// What each built-in role may and may not do, for every action listed in
+// ACTION_CAPABILITIES.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const {
+  ACTION_CAPABILITIES,
+  assignSessionRole,
+  defineSessionRole,
+  checkPermission,
+  grantsPermissionManagement,
+  isSessionMember,
+  setMemberGrant,
+  removeSessionMember,
+  sessionFileKey
+} = require('../services/permissions');
+
+const createSession = () => ({
+  id: 'session_1',
+  creatorId: 'creator',
+  coOwners: new Set(),
+  roles: new Map(),
+  memberRoles: new Map([['creator', 'owner']]),
+  userPermissions: new Map(),
+  pathRules: new Map(),
+  pendingPermissions: new Map(),
+  memberGrants: new Map(),
+  invites: new Map()
+});
+
+// Capabilities each role is expected to have; every other capability is denied
+const EXPECTED_CAPABILITIES = {
+  owner: ['canViewFiles', 'canEditFiles', 'canCreateFiles', 'canCreateFolders', 'canDeleteFiles', 'canManagePermissions', 'canInviteOthers', 'canExecute', 'canChat'],
+  editor: ['canViewFiles', 'canEditFiles', 'canCreateFiles', 'canCreateFolders', 'canDeleteFiles', 'canExecute', 'canChat'],
+  commenter: ['canViewFiles', 'canChat'],
+  viewer: ['canViewFiles']
+};
+
+describe('role permissions', () => {
+  for (const [role, capabilities] of Object.entries(EXPECTED_CAPABILITIES)) {
+    describe(role, () => {
+      const session = createSession();
+      assignSessionRole(session, 'member', role);
+
+      for (const [action, capability] of Object.entries(ACTION_CAPABILITIES)) {
+        const expected = capabilities.includes(capability);
+        test(`${expected ? 'allows' : 'denies'} ${action}`, () => {
+          const check = checkPermission(session, 'member', action);
+          assert.strictEqual(check.allowed, expected);
+          assert.strictEqual(check.capability, capability);
+          if (!expected) assert.ok(check.message);
+        });
+      }
+    });
+  }
+
+  test('file_operation needs the capability of its action', () => {
+    const session = createSession();
+    assignSessionRole(session, 'editor', 'editor');
+    assignSessionRole(session, 'viewer', 'viewer');
+
+    assert.strictEqual(checkPermission(session, 'editor', 'file_operation', { action: 'delete' }).allowed, true);
+    assert.strictEqual(checkPermission(session, 'viewer', 'file_operation', { action: 'delete' }).allowed, false);
+    assert.strictEqual(checkPermission(session, 'viewer', 'file_operation', { action: 'create_folder' }).capability, 'canCreateFolders');
+    assert.strictEqual(checkPermission(session, 'viewer', 'file_operation', { action: 'rename' }).capability, 'canEditFiles');
+  });
+
+  test('denies users who are not members', () => {
+    const session = createSession();
+    assert.strictEqual(checkPermission(session, 'stranger', 'get_session_files').allowed, false);
+    assert.strictEqual(checkPermission(session, null, 'chat_message').allowed, false);
+  });
+
+  test('access through an invite ends when the invite expires or is revoked', () => {
+    const session = createSession();
+    session.invites.set('invite_1', { id: 'invite_1', expiresAt: Date.now() + 60000 });
+    assignSessionRole(session, 'member', 'editor');
+    setMemberGrant(session, 'member', { type: 'invite', inviteId: 'invite_1' });
+    assert.strictEqual(isSessionMember(session, 'member'), true);
+
+    session.invites.get('invite_1').expiresAt = Date.now() - 1;
+    assert.strictEqual(isSessionMember(session, 'member'), false);
+    assert.strictEqual(checkPermission(session, 'member', 'code_change').allowed, false);
+
+    session.invites.delete('invite_1');
+    assert.strictEqual(isSessionMember(session, 'member'), false);
+  });
+
+  test('removed members lose their access, the creator cannot be removed', () => {
+    const session = createSession();
+    assignSessionRole(session, 'member', 'editor');
+    setMemberGrant(session, 'member', { type: 'key' });
+    session.coOwners.add('member');
+
+    assert.strictEqual(removeSessionMember(session, 'member'), true);
+    assert.strictEqual(isSessionMember(session, 'member'), false);
+    assert.strictEqual(session.memberRoles.has('member'), false);
+    assert.strictEqual(removeSessionMember(session, 'creator'), false);
+    assert.strictEqual(isSessionMember(session, 'creator'), true);
+  });
+
+  test('throws for actions without a capability', () => {
+    assert.throws(() => checkPermission(createSession(), 'creator', 'no_such_event'), /No capability is defined/);
+  });
+
+  test('custom roles grant exactly their permissions and follow later changes', () => {
+    const session = createSession();
+    defineSessionRole(session, { name: 'runner', permissions: { canViewFiles: true, canExecute: true } }, 'creator');
+    assignSessionRole(session, 'member', 'runner');
+
+    assert.strictEqual(checkPermission(session, 'member', 'execute_code').allowed, true);
+    assert.strictEqual(checkPermission(session, 'member', 'code_change').allowed, false);
+
+    defineSessionRole(session, { name: 'runner', permissions: { canViewFiles: true } }, 'creator');
+    assert.strictEqual(checkPermission(session, 'member', 'execute_code').allowed, false);
+  });
+
+  test('only assignments that include canManagePermissions count as granting it', () => {
+    const session = createSession();
+    defineSessionRole(session, { name: 'steward', permissions: { canViewFiles: true, canManagePermissions: true } }, 'creator');
+
+    assert.strictEqual(grantsPermissionManagement(session, { role: 'owner' }), true);
+    assert.strictEqual(grantsPermissionManagement(session, { role: 'steward' }), true);
+    assert.strictEqual(grantsPermissionManagement(session, { permissions: { canManagePermissions: true } }), true);
+    assert.strictEqual(grantsPermissionManagement(session, { role: 'editor' }), false);
+    assert.strictEqual(grantsPermissionManagement(session, { permissions: { canEditFiles: true } }), false);
+  });
+
+  test('legacy canEdit permission objects can edit but not delete', () => {
+    const session = createSession();
+    session.userPermissions.set('legacy', { canEdit: true, canViewFiles: true });
+
+    assert.strictEqual(checkPermission(session, 'legacy', 'code_change').allowed, true);
+    assert.strictEqual(checkPermission(session, 'legacy', 'create_folder').allowed, true);
+    assert.strictEqual(checkPermission(session, 'legacy', 'file_operation', { action: 'delete' }).allowed, false);
+  });
+
+  test('path rules narrow what a role allows', () => {
+    const session = createSession();
+    assignSessionRole(session, 'member', 'editor');
+    session.pathRules.set('member', {
+      defaultAccess: 'read',
+      rules: [{ path: 'src', access: 'write' }, { path: 'secrets', access: 'none' }]
+    });
+
+    assert.strictEqual(checkPermission(session, 'member', 'code_change', { path: 'src/app.js' }).allowed, true);
+    assert.strictEqual(checkPermission(session, 'member', 'code_change', { path: 'docs/readme.md' }).allowed, false);
+    assert.strictEqual(checkPermission(session, 'member', 'get_session_files', { path: 'docs/readme.md' }).allowed, true);
+    assert.strictEqual(checkPermission(session, 'member', 'get_session_files', { path: 'secrets/key.pem' }).allowed, false);
+
+    // Path rules never add capabilities the role lacks
+    assignSessionRole(session, 'member', 'viewer');
+    assert.strictEqual(checkPermission(session, 'member', 'code_change', { path: 'src/app.js' }).allowed, false);
+  });
+
+  test('path rules apply to ./ and .. forms of a path', () => {
+    const session = createSession();
+    assignSessionRole(session, 'member', 'editor');
+    session.pathRules.set('member', {
+      defaultAccess: 'write',
+      rules: [{ path: 'secrets', access: 'none' }]
+    });
+
+    assert.strictEqual(checkPermission(session, 'member', 'get_session_files', { path: './secrets/key.pem' }).allowed, false);
+    assert.strictEqual(checkPermission(session, 'member', 'get_session_files', { path: 'src/../secrets/key.pem' }).allowed, false);
+    assert.strictEqual(checkPermission(session, 'member', 'code_change', { path: 'session_1/./secrets/key.pem' }).allowed, false);
+    assert.strictEqual(checkPermission(session, 'member', 'code_change', { path: '../other/app.js' }).allowed, false);
+  });
+
+  test('file keys are normalized and may not leave the session', () => {
+    const session = createSession();
+    assert.strictEqual(sessionFileKey(session, './src/app.js'), 'session_1/src/app.js');
+    assert.strictEqual(sessionFileKey(session, 'session_1/src/../app.js'), 'session_1/app.js');
+    assert.strictEqual(sessionFileKey(session, '/src//app.js'), 'session_1/src/app.js');
+    assert.strictEqual(sessionFileKey(session, '../session_2/app.js'), null);
+    assert.strictEqual(sessionFileKey(session, 'session_1/../../app.js'), null);
+    assert.strictEqual(sessionFileKey(session, '.'), null);
+  });
+});
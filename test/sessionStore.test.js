@@ -0,0 +1,135 @@
+// Session persistence: converting live sessions to JSON-safe data and back,
+// and the JSON file adapter that restores them after a restart.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+
+const {
+  createSessionStore,
+  serializeSession,
+  deserializeSession,
+  MemorySessionStore,
+  JsonFileSessionStore
+} = require('../services/sessionStore');
+
+const createSession = () => ({
+  id: 'session_1',
+  name: 'Pairing',
+  creatorId: 'creator',
+  createdAt: '2024-01-01T00:00:00.000Z',
+  files: new Map([['main.js', { content: 'console.log(1);', language: 'javascript' }]]),
+  userPermissions: new Map([['creator', { canEditFiles: true }], ['guest', { canEditFiles: false }]]),
+  fileVersions: new Map([['main.js', [{ id: 'v1', content: '' }]]]),
+  invites: new Map([['invite_1', { role: 'editor', expiresAt: null }]]),
+  roles: new Map(),
+  memberRoles: new Map([['creator', 'owner'], ['guest', 'viewer']]),
+  pathRules: new Map(),
+  pendingPermissions: new Map(),
+  memberGrants: new Map([['guest', { type: 'invite', inviteId: 'invite_1' }]]),
+  bannedUsers: new Set(['banned']),
+  coOwners: new Set(),
+  connectedUsers: new Set(['creator']),
+  fileOperations: new Map([['main.js', { startRevision: 0, operations: [] }]]),
+  joinRequests: new Map([['someone', {}]])
+});
+
+const withTempDirectory = async (run) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'session-store-'));
+  try {
+    await run(directory);
+  } finally {
+    await fs.rm(directory, { recursive: true, force: true });
+  }
+};
+
+describe('serializeSession / deserializeSession', () => {
+  test('round-trips Maps, Sets and plain fields through JSON', () => {
+    const session = createSession();
+    const restored = deserializeSession(JSON.parse(JSON.stringify(serializeSession(session))));
+
+    assert.strictEqual(restored.name, 'Pairing');
+    assert.strictEqual(restored.createdAt, session.createdAt);
+    assert.deepStrictEqual(restored.files, session.files);
+    assert.deepStrictEqual(restored.userPermissions, session.userPermissions);
+    assert.deepStrictEqual(restored.memberGrants, session.memberGrants);
+    assert.deepStrictEqual(restored.invites, session.invites);
+    assert.deepStrictEqual(restored.bannedUsers, session.bannedUsers);
+  });
+
+  test('drops runtime-only state and starts it empty', () => {
+    const serialized = serializeSession(createSession());
+    assert.ok(!('connectedUsers' in serialized));
+    assert.ok(!('fileOperations' in serialized));
+    assert.ok(!('joinRequests' in serialized));
+
+    const restored = deserializeSession(serialized);
+    assert.deepStrictEqual(restored.connectedUsers, new Set());
+    assert.deepStrictEqual(restored.fileOperations, new Map());
+    assert.deepStrictEqual(restored.joinRequests, new Map());
+  });
+
+  test('fills in collections missing from older saved sessions', () => {
+    const restored = deserializeSession({ id: 'old', creatorId: 'creator' });
+    assert.deepStrictEqual(restored.memberGrants, new Map());
+    assert.deepStrictEqual(restored.coOwners, new Set());
+  });
+});
+
+describe('JsonFileSessionStore', () => {
+  test('restores saved sessions and forgets removed ones', async () => {
+    await withTempDirectory(async (directory) => {
+      const store = new JsonFileSessionStore(directory);
+      await store.save(serializeSession(createSession()));
+      await store.save(serializeSession({ ...createSession(), id: 'session_2' }));
+      await store.remove('session_2');
+
+      const loaded = await new JsonFileSessionStore(directory).loadAll();
+      assert.strictEqual(loaded.length, 1);
+      assert.deepStrictEqual(deserializeSession(loaded[0]).files, createSession().files);
+      assert.deepStrictEqual(await fs.readdir(directory), ['session_1.json']);
+    });
+  });
+
+  test('keeps writes to one session in order', async () => {
+    await withTempDirectory(async (directory) => {
+      const store = new JsonFileSessionStore(directory);
+      await Promise.all(['first', 'second', 'third'].map((name) => store.save({ id: 'session_1', name })));
+
+      const [loaded] = await store.loadAll();
+      assert.strictEqual(loaded.name, 'third');
+    });
+  });
+
+  test('never writes outside its directory', async () => {
+    await withTempDirectory(async (directory) => {
+      const store = new JsonFileSessionStore(directory);
+      assert.strictEqual(path.dirname(store.filePath('../../etc/passwd')), directory);
+    });
+  });
+
+  test('skips unreadable session files', async () => {
+    await withTempDirectory(async (directory) => {
+      await fs.writeFile(path.join(directory, 'broken.json'), '{', 'utf8');
+      await fs.writeFile(path.join(directory, 'notes.txt'), 'ignored', 'utf8');
+
+      const warn = console.warn;
+      console.warn = () => {};
+      try {
+        assert.deepStrictEqual(await new JsonFileSessionStore(directory).loadAll(), []);
+      } finally {
+        console.warn = warn;
+      }
+    });
+  });
+});
+
+describe('createSessionStore', () => {
+  test('creates the configured adapter', () => {
+    assert.ok(createSessionStore({ type: 'memory' }) instanceof MemorySessionStore);
+    assert.ok(createSessionStore({ type: 'json', directory: os.tmpdir() }) instanceof JsonFileSessionStore);
+    assert.throws(() => createSessionStore({ type: 'redis' }), /Unknown session store type/);
+  });
+});
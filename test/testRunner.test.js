@@ -0,0 +1,138 @@
+// Test-runner mode: validating test cases, comparing output and the shape of
+// the report, with a fake backend in place of a real runtime.
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert');
+
+const { normalizeTestCases, parseTestFile, runTestCases, normalizeOutput } = require('../services/testRunner');
+
+// Backend that "runs" a program by calling run(stdin)
+const createBackend = (run, compile = null) => {
+  const calls = [];
+  return {
+    calls,
+    execute: async (options) => {
+      calls.push(options);
+      if (compile) return { compile, run: null };
+      return { run: run(options.stdin, options) };
+    }
+  };
+};
+
+const echoUppercase = (stdin) => ({ stdout: `${stdin.toUpperCase()}\n`, stderr: '', code: 0 });
+
+describe('test cases', () => {
+  test('fill in names and input', () => {
+    assert.deepStrictEqual(normalizeTestCases([
+      { name: 'greets', input: 'hi', expectedOutput: 'HI' },
+      { expectedOutput: '' },
+      { name: '', input: 42, expectedOutput: 'x', extra: true }
+    ]), [
+      { name: 'greets', input: 'hi', expectedOutput: 'HI' },
+      { name: 'Test 2', input: '', expectedOutput: '' },
+      { name: 'Test 3', input: '', expectedOutput: 'x' }
+    ]);
+  });
+
+  test('reject missing, empty, oversized and malformed lists', () => {
+    assert.throws(() => normalizeTestCases(undefined), /At least one test case/);
+    assert.throws(() => normalizeTestCases([]), /At least one test case/);
+    assert.throws(() => normalizeTestCases(new Array(51).fill({ expectedOutput: '' })), /maximum 50/);
+    assert.throws(() => normalizeTestCases([{ expectedOutput: '' }, { input: 'x' }]), /Test case 2 needs an expectedOutput/);
+    assert.throws(() => normalizeTestCases([null]), /Test case 1/);
+  });
+
+  test('are read from a test file as an array or { tests }', () => {
+    const cases = [{ name: 'one', input: '1', expectedOutput: '1' }];
+    assert.deepStrictEqual(parseTestFile(JSON.stringify(cases)), cases);
+    assert.deepStrictEqual(parseTestFile(JSON.stringify({ tests: cases })), cases);
+    assert.throws(() => parseTestFile('{ tests: '), /not valid JSON/);
+    assert.throws(() => parseTestFile('{}'), /At least one test case/);
+  });
+
+  test('output comparison ignores trailing whitespace and line endings', () => {
+    assert.strictEqual(normalizeOutput('a  \r\nb\t\n\n\n'), 'a\nb');
+    assert.strictEqual(normalizeOutput(undefined), '');
+  });
+});
+
+describe('runTestCases', () => {
+  test('reports every case with its output and a diff for failures', async () => {
+    const backend = createBackend(echoUppercase);
+    const testCases = normalizeTestCases([
+      { name: 'passes', input: 'abc', expectedOutput: 'ABC' },
+      { name: 'fails', input: 'abc', expectedOutput: 'abd' }
+    ]);
+
+    const { result, report } = await runTestCases({ backend, config: { language: 'python' }, files: [], testCases, limits: { timeout: 5 } });
+
+    assert.deepStrictEqual(result, { run: echoUppercase('abc') });
+    assert.deepStrictEqual(Object.keys(report).sort(), ['cases', 'duration', 'failed', 'passed', 'skipped', 'total']);
+    assert.strictEqual(report.total, 2);
+    assert.strictEqual(report.passed, 1);
+    assert.strictEqual(report.failed, 1);
+    assert.strictEqual(report.skipped, 0);
+
+    const [passed, failed] = report.cases;
+    assert.deepStrictEqual(
+      { name: passed.name, passed: passed.passed, actualOutput: passed.actualOutput, exitCode: passed.exitCode, timedOut: passed.timedOut, diff: passed.diff },
+      { name: 'passes', passed: true, actualOutput: 'ABC\n', exitCode: 0, timedOut: false, diff: '' }
+    );
+    assert.strictEqual(failed.passed, false);
+    assert.strictEqual(failed.expectedOutput, 'abd');
+    assert.strictEqual(failed.diff, '--- expected\n+++ actual\n@@ -1,1 +1,1 @@\n-abd\n+ABC\n');
+
+    // Each case gets its own input and the shared limits
+    assert.deepStrictEqual(backend.calls.map(call => call.stdin), ['abc', 'abc']);
+    assert.deepStrictEqual(backend.calls[0].limits, { timeout: 5 });
+  });
+
+  test('fails cases that exit with an error even when the output matches', async () => {
+    const backend = createBackend(() => ({ stdout: 'ok\n', stderr: 'Traceback', code: 1 }));
+    const { report } = await runTestCases({ backend, config: {}, files: [], testCases: normalizeTestCases([{ expectedOutput: 'ok' }]) });
+
+    assert.strictEqual(report.cases[0].passed, false);
+    assert.strictEqual(report.cases[0].error, 'Traceback');
+    assert.strictEqual(report.cases[0].exitCode, 1);
+    assert.strictEqual(report.cases[0].diff, '');
+  });
+
+  test('a compile error fails every case without running the rest', async () => {
+    const backend = createBackend(null, { code: 1, stderr: 'main.c:1: error', stdout: '' });
+    const testCases = normalizeTestCases([{ expectedOutput: '1' }, { expectedOutput: '2' }, { expectedOutput: '3' }]);
+    const { report } = await runTestCases({ backend, config: {}, files: [], testCases });
+
+    assert.strictEqual(backend.calls.length, 1);
+    assert.strictEqual(report.failed, 3);
+    assert.ok(report.cases.every(testCase => testCase.error === 'main.c:1: error' && !testCase.passed));
+  });
+
+  test('stops at cancellation and counts the rest as skipped', async () => {
+    const controller = new AbortController();
+    const backend = createBackend((stdin) => {
+      controller.abort();
+      return echoUppercase(stdin);
+    });
+    const testCases = normalizeTestCases([{ input: 'a', expectedOutput: 'A' }, { input: 'b', expectedOutput: 'B' }]);
+    const { report } = await runTestCases({ backend, config: {}, files: [], testCases, signal: controller.signal });
+
+    assert.strictEqual(report.total, 2);
+    assert.strictEqual(report.passed, 1);
+    assert.strictEqual(report.failed, 0);
+    assert.strictEqual(report.skipped, 1);
+  });
+
+  test('tags streamed output with the case index', async () => {
+    const streamed = [];
+    const backend = {
+      execute: async ({ stdin, onOutput }) => {
+        onOutput('run', 'stdout', stdin);
+        return { run: { stdout: stdin, code: 0 } };
+      }
+    };
+    const testCases = normalizeTestCases([{ input: 'a', expectedOutput: 'a' }, { input: 'b', expectedOutput: 'b' }]);
+    await runTestCases({ backend, config: {}, files: [], testCases, onOutput: (...args) => streamed.push(args) });
+
+    assert.deepStrictEqual(streamed, [[0, 'run', 'stdout', 'a'], [1, 'run', 'stdout', 'b']]);
+  });
+});